@@ -14,21 +14,66 @@ class BuildingGenerator {
         this.heroRenderer = null;
         this.heroAnimId = null;
         this.designerEnabled = !!document.getElementById('canvas');
+        this.extensions = [createDefaultExtension()];
+        this.selectedExtension = 0;
+        this.neighbourWindows = [];
+        this.plot = [];
+        this.plotDraft = null;
+        this.plotGroup = null;
+        this.siteMetrics = null;
+        this.pdResults = [];
+        this.glazingResults = [];
+        this.heatLossResults = [];
+        this.rooms = null;
+        this.roomGroup = null;
+        this.roomLayout = [];
+        this.unplacedRooms = [];
+        this.openings = null;
+        this.floorViewGroup = null;
+        this.sectionPlane = new THREE.Plane(new THREE.Vector3(-1, 0, 0), 0);
+        this.sectionPosition = SECTION_POSITION_FIELD.fallback;
+        this.sectionGroup = null;
+        this.sectionGizmo = null;
+        this.sectionDrag = null;
+        this.sectionHover = false;
+        this.placingWindow = null;
+        this.daylightGroup = null;
+        this.daylightResults = [];
+        this.hostBox = null;
+        this.handleGroup = null;
+        this.handleDrag = null;
+        this.measureMode = 'off';
+        this.measurements = [];
+        this.measureDraft = null;
+        this.dimensionGroup = null;
+        this.sunGroup = null;
+        this.sunMarker = null;
+        this.sunDay = null;
+        this.sunAnimating = false;
         
         if (this.designerEnabled) {
             this.init();
         }
         this.initHeroAnimation();
         this.setupEventListeners();
+        this.applySavedDisplayUnits();
         this.setupNavigation();
         if (!this.designerEnabled) {
             this.initRevealObserver();
         }
+        // The first extension starts out as whatever the extension sliders show
+        if (this.designerEnabled) this.updateSelectedExtensionFromControls();
+
+        // A shared link wins over the autosaved design
+        const openedFromLink = this.applySharedLink();
         if (this.designerEnabled) {
+            if (!openedFromLink) this.restoreDesignerState();
             this.generateInitialBuilding();
+            this.initHistory();
         }
         // Ensure estimate labels/values render immediately on load
         this.calculateEstimate();
+        this.calculateBeam();
     }
 
     init() {
@@ -63,6 +108,8 @@ class BuildingGenerator {
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1.2;
+        // Floor views clip the model per storey
+        this.renderer.localClippingEnabled = true;
 
         // Add controls
         this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
@@ -75,9 +122,21 @@ class BuildingGenerator {
         // Add lights
         this.setupLights();
 
+        // Sun path and shadow study (drives the directional light when switched on)
+        this.setupSunStudy();
+
         // Add ground
         this.addGround();
 
+        // Section plane; its handle takes the pointer before the extension handles
+        this.setupSectionTool();
+
+        // Drag handles for the selected extension
+        this.setupExtensionHandles();
+
+        // Distance / area / height measuring
+        this.setupMeasureTools();
+
         // Start render loop
         this.animate();
 
@@ -121,6 +180,126 @@ class BuildingGenerator {
         this.scene.add(hemiLight);
     }
 
+    setupSunStudy() {
+        this.sunGroup = new THREE.Group();
+        this.sunGroup.name = 'sun-path';
+        this.sunGroup.visible = false;
+        this.sunMarker = new THREE.Mesh(new THREE.SphereGeometry(1.2, 16, 12), new THREE.MeshBasicMaterial({ color: 0xffd54f }));
+        this.sunMarker.name = 'sun';
+        this.sunGroup.add(this.sunMarker);
+        this.scene.add(this.sunGroup);
+        this.scene.add(this.directionalLight.target);
+
+        const dateInput = document.getElementById('sun-date');
+        if (dateInput && !dateInput.value) dateInput.value = new Date().toISOString().slice(0, 10);
+    }
+
+    // Reads the sun-* controls. The date and time are UK clock time (GMT/BST) at the site.
+    getSunStudySettings() {
+        const dateValue = document.getElementById('sun-date')?.value || new Date().toISOString().slice(0, 10);
+        return {
+            enabled: !!document.getElementById('sun-study')?.checked,
+            latitude: readControlValue(SUN_FIELDS.latitude),
+            longitude: readControlValue(SUN_FIELDS.longitude),
+            date: dateValue,
+            minutes: readControlValue(SUN_FIELDS.minutes)
+        };
+    }
+
+    // Places the sun from solar position maths, or puts the original studio light back
+    updateSunStudy() {
+        if (!this.directionalLight) return;
+        const settings = this.getSunStudySettings();
+        const light = this.directionalLight;
+        const label = document.getElementById('sun-time-value');
+        if (label) label.textContent = formatClockMinutes(settings.minutes);
+        this.sunGroup.visible = settings.enabled;
+
+        if (!settings.enabled) {
+            light.color.setHex(0x00d4ff);
+            light.intensity = 1;
+            light.position.set(50, 50, 50);
+            light.target.position.set(0, 0, 0);
+            const info = document.getElementById('sun-info');
+            if (info) info.textContent = '';
+            return;
+        }
+
+        const center = this.building ? new THREE.Box3().setFromObject(this.building).getCenter(new THREE.Vector3()).setY(0) : new THREE.Vector3();
+        const when = ukClockToDate(settings.date, settings.minutes);
+        const sun = getSolarPosition(when, settings.latitude, settings.longitude);
+        const dir = getSunDirection(sun.azimuth, sun.elevation);
+
+        light.color.setHex(0xfff1d6);
+        light.intensity = sun.elevation > 0 ? 0.4 + 0.8 * Math.sin(THREE.MathUtils.degToRad(sun.elevation)) : 0;
+        light.target.position.copy(center);
+        light.position.copy(center).addScaledVector(dir, SUN_LIGHT_DISTANCE);
+        light.target.updateMatrixWorld();
+
+        // The day's arc only changes with the date, place or model, not while the time animates
+        const dayKey = [settings.date, settings.latitude, settings.longitude, center.x, center.z].join('|');
+        if (this.sunDay?.key !== dayKey) this.sunDay = this.buildSunPath(settings, center, dayKey);
+        this.sunMarker.visible = sun.elevation > 0;
+        this.sunMarker.position.copy(center).addScaledVector(dir, SUN_PATH_RADIUS);
+
+        const info = document.getElementById('sun-info');
+        if (info) {
+            const { sunrise, sunset } = this.sunDay;
+            const daylight = sunrise === null ? 'no sunrise' : `sunrise ${formatClockMinutes(sunrise)}, sunset ${formatClockMinutes(sunset)}`;
+            info.textContent = `Azimuth ${sun.azimuth.toFixed(1)}°, elevation ${sun.elevation.toFixed(1)}° (${daylight})`;
+        }
+    }
+
+    // Arc of the sun above the horizon through the day, sampled every 5 minutes
+    buildSunPath(settings, center, key) {
+        this.sunGroup.children
+            .filter(child => child !== this.sunMarker)
+            .forEach(child => {
+                this.sunGroup.remove(child);
+                disposeObject3D(child);
+            });
+        const path = [];
+        let sunrise = null, sunset = null;
+        for (let m = 0; m <= 1440; m += 5) {
+            const p = getSolarPosition(ukClockToDate(settings.date, m), settings.latitude, settings.longitude);
+            if (p.elevation <= 0) continue;
+            if (sunrise === null) sunrise = m;
+            sunset = m;
+            path.push(center.clone().addScaledVector(getSunDirection(p.azimuth, p.elevation), SUN_PATH_RADIUS));
+        }
+        if (path.length > 1) {
+            const arc = new THREE.Line(new THREE.BufferGeometry().setFromPoints(path), new THREE.LineBasicMaterial({ color: 0xffb000 }));
+            arc.name = 'sun-arc';
+            this.sunGroup.add(arc);
+        }
+        return { key, sunrise, sunset };
+    }
+
+    setSunTime(minutes) {
+        const el = document.getElementById(SUN_FIELDS.minutes.id);
+        if (el) el.value = String(Math.round(minutes) % 1440);
+        this.updateSunStudy();
+    }
+
+    // Jumps to a month-day in the year already chosen, e.g. '03-20' for the March equinox
+    setSunDate(monthDay) {
+        const el = document.getElementById('sun-date');
+        if (!el) return;
+        const year = (el.value || new Date().toISOString()).slice(0, 4);
+        el.value = `${year}-${monthDay}`;
+        this.updateSunStudy();
+    }
+
+    toggleSunAnimation() {
+        this.sunAnimating = !this.sunAnimating;
+        const btn = document.getElementById('sun-animate-btn');
+        if (btn) btn.textContent = this.sunAnimating ? 'Pause' : 'Play day';
+        if (this.sunAnimating) {
+            const study = document.getElementById('sun-study');
+            if (study && !study.checked) study.checked = true;
+        }
+    }
+
     addGround() {
         const groundGeometry = new THREE.PlaneGeometry(200, 200);
         const groundMaterial = new THREE.MeshLambertMaterial({ 
@@ -151,15 +330,10 @@ class BuildingGenerator {
         // Remove existing building efficiently
         if (this.building) {
             this.scene.remove(this.building);
-            this.building.traverse(obj => {
-                if (obj.geometry) obj.geometry.dispose?.();
-                if (obj.material) {
-                    if (Array.isArray(obj.material)) obj.material.forEach(m => m.dispose?.());
-                    else obj.material.dispose?.();
-                }
-                if (obj.texture) obj.texture.dispose?.();
-            });
+            disposeObject3D(this.building);
         }
+        // Block groups belong to the building being replaced; start a fresh set
+        this.buildingParts = {};
 
         // Calculate dimensions
         const floorHeight = 3.5; // meters per floor
@@ -175,6 +349,7 @@ class BuildingGenerator {
 
         // Create building group
         this.building = new THREE.Group();
+        this.building.name = `building-${style}`;
         this.building.matrixAutoUpdate = false; // reduce per-frame updates
 
         // Generate building based on style
@@ -198,19 +373,48 @@ class BuildingGenerator {
                 this.createTerraceHouse(floors, width, depth, totalHeight, floorHeight, features);
                 break;
             case 'uk-detached':
-                this.createUKDetached(floors, width, depth, totalHeight, floorHeight, features);
+                this.buildInFeet(() => this.createUKDetached(floors, width, depth, totalHeight, floorHeight, features));
                 break;
         }
 
-        // Add building to scene
-        this.scene.add(this.building);
+        // Host footprint that extensions attach to: the block walls, or the main box for other styles.
+        // Measured before the house is placed on the plot, so it is in the house's own frame.
         this.building.updateMatrixWorld(true);
+        const blocks = Object.values(this.buildingParts);
+        this.hostBox = blocks.length
+            ? blocks.reduce((box, group) => box.expandByObject(group), new THREE.Box3())
+            : new THREE.Box3(new THREE.Vector3(-width / 2, 0, -depth / 2), new THREE.Vector3(width / 2, totalHeight, depth / 2));
+
+        this.floorHeight = floorHeight;
+
+        // Openings are cut into the walls, then the chosen finishes replace the style's own
+        // walls, roof, frames and glazing
+        this.addOpenings(this.building, 'house', this.hostBox.getCenter(new THREE.Vector3()));
+        if (style === 'cyberpunk' && features.neonFrames) {
+            this.addNeonFrames();
+        }
+        const finish = key => readControlValue(DESIGNER_FIELDS.find(spec => spec.key === key));
+        applyMaterialLibrary(this.building, {
+            wall: finish('wallFinish'),
+            roof: finish('roofCovering'),
+            frame: finish('frameMaterial'),
+            glazing: finish('glazing')
+        });
+
+        // Add building to scene at its position and rotation on the plot
+        this.scene.add(this.building);
+        this.applySiteTransform();
+
+        // Interior partitions and room labels from the room schedule
+        this.updateRoomLayout();
 
         // Auto-frame camera to building
         this.frameCameraToObject(this.building);
 
-        // Update info panel
-        this.updateInfoPanel(width, depth, totalHeight, floorHeight);
+        // Update info panel with the size of the house as built
+        const built = this.hostBox.getSize(new THREE.Vector3());
+        this.infoPanelSize = { width: built.x, depth: built.z, height: built.y, floorHeight };
+        this.updateInfoPanel();
 
         // Hide loading fast
         this.showLoading(false);
@@ -252,7 +456,7 @@ class BuildingGenerator {
     createModernBuilding(floors, width, depth, height, floorHeight, features) {
         // Main structure with realistic proportions
         const mainGeometry = new THREE.BoxGeometry(width, height, depth);
-        const mainMaterial = new THREE.MeshPhongMaterial({
+        const mainMaterial = createElementMaterial('wall', {
             color: 0x3a3a4e,
             transparent: true,
             opacity: 0.95
@@ -269,13 +473,7 @@ class BuildingGenerator {
         // Add exterior walls with texture
         this.addExteriorWalls(width, depth, height, floorHeight);
 
-        // Realistic windows with frames and sills
-        if (features.windows) {
-            this.addModernWindows(width, depth, height, floors, floorHeight);
-        }
-
-        // Add doors
-        this.addDoors(width, depth, floorHeight);
+        // Windows and the front door are openings (see STYLE_OPENINGS), cut in once the house is built
 
         // Modern roof with proper structure
         if (features.roof) {
@@ -299,7 +497,7 @@ class BuildingGenerator {
     createCyberpunkBuilding(floors, width, depth, height, floorHeight, features) {
         // Main structure with realistic proportions
         const mainGeometry = new THREE.BoxGeometry(width, height, depth);
-        const mainMaterial = new THREE.MeshPhongMaterial({
+        const mainMaterial = createElementMaterial('wall', {
             color: 0x2a1a3e,
             transparent: true,
             opacity: 0.95
@@ -316,13 +514,7 @@ class BuildingGenerator {
         // Add exterior walls with cyberpunk texture
         this.addCyberpunkWalls(width, depth, height, floorHeight);
 
-        // Cyberpunk windows with neon frames
-        if (features.windows) {
-            this.addCyberpunkWindows(width, depth, height, floors, floorHeight, features);
-        }
-
-        // Add cyberpunk doors
-        this.addCyberpunkDoors(width, depth, floorHeight);
+        // Windows and the front door are openings (see STYLE_OPENINGS), cut in once the house is built
 
         // Futuristic roof with solar panels
         if (features.roof) {
@@ -346,7 +538,7 @@ class BuildingGenerator {
     createOrganicBuilding(floors, width, depth, height, floorHeight, features) {
         // Main structure with organic curves but still building-like
         const mainGeometry = new THREE.BoxGeometry(width, height, depth);
-        const mainMaterial = new THREE.MeshPhongMaterial({
+        const mainMaterial = createElementMaterial('wall', {
             color: 0x3e2a1a,
             transparent: true,
             opacity: 0.95
@@ -357,41 +549,7 @@ class BuildingGenerator {
         mainBuilding.receiveShadow = true;
         this.building.add(mainBuilding);
 
-        // Organic windows with flowing shapes
-        if (features.windows) {
-            for (let i = 0; i < floors; i++) {
-            // Curved windows
-            for (let j = 0; j < 2; j++) {
-                const windowGeometry = new THREE.CircleGeometry(width * 0.15, 16);
-                const windowMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x00d4ff,
-                    transparent: true,
-                    opacity: 0.6,
-                    side: THREE.DoubleSide
-                });
-                const window = new THREE.Mesh(windowGeometry, windowMaterial);
-                window.position.set(
-                    (j - 0.5) * width * 0.5,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.01
-                );
-                this.building.add(window);
-            }
-
-            // Side windows
-            const sideWindowGeometry = new THREE.EllipseGeometry(width * 0.2, floorHeight * 0.4, 16);
-            const sideWindowMaterial = new THREE.MeshPhongMaterial({
-                color: 0x00d4ff,
-                transparent: true,
-                opacity: 0.5,
-                side: THREE.DoubleSide
-            });
-            const sideWindow = new THREE.Mesh(sideWindowGeometry, sideWindowMaterial);
-            sideWindow.position.set(width / 2 + 0.01, i * floorHeight + floorHeight / 2, 0);
-            sideWindow.rotation.y = Math.PI / 2;
-            this.building.add(sideWindow);
-            }
-        }
+        // Windows are openings (see STYLE_OPENINGS), cut in once the house is built
 
         // Organic roof
         if (features.roof) {
@@ -412,7 +570,7 @@ class BuildingGenerator {
     createGeometricBuilding(floors, width, depth, height, floorHeight, features) {
         // Angular main structure
         const mainGeometry = new THREE.BoxGeometry(width, height, depth);
-        const mainMaterial = new THREE.MeshPhongMaterial({
+        const mainMaterial = createElementMaterial('wall', {
             color: 0x2a2a3e,
             transparent: true,
             opacity: 0.95
@@ -423,29 +581,7 @@ class BuildingGenerator {
         mainBuilding.receiveShadow = true;
         this.building.add(mainBuilding);
 
-        // Geometric windows with precise angles
-        if (features.windows) {
-            for (let i = 0; i < floors; i++) {
-            // Hexagonal windows
-            for (let j = 0; j < 3; j++) {
-                const windowGeometry = new THREE.ConeGeometry(width * 0.1, floorHeight * 0.4, 6);
-                const windowMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x0099cc,
-                    transparent: true,
-                    opacity: 0.6,
-                    side: THREE.DoubleSide
-                });
-                const window = new THREE.Mesh(windowGeometry, windowMaterial);
-                window.position.set(
-                    (j - 1) * width * 0.3,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.01
-                );
-                window.rotation.z = Math.PI;
-                this.building.add(window);
-            }
-            }
-        }
+        // Windows are openings (see STYLE_OPENINGS), cut in once the house is built
 
         // Geometric roof
         if (features.roof) {
@@ -464,1485 +600,2143 @@ class BuildingGenerator {
 
     }
 
-    addExtension(side, length, width, floors) {
-        if (!this.building) return;
-        // Estimate main building size from current group bounding box
-        const bbox = new THREE.Box3().setFromObject(this.building);
-        const size = new THREE.Vector3();
-        const center = new THREE.Vector3();
-        bbox.getSize(size);
-        bbox.getCenter(center);
+    // One extension box on a side of the host house. length projects out from the wall,
+    // width runs along it; opts.offset slides it along the wall from the host's centre line.
+    addExtension(side, length, width, floors, opts = {}) {
+        if (!this.building) return null;
+        const hostBox = opts.hostBox || this.hostBox || new THREE.Box3().setFromObject(this.building);
+        const center = hostBox.getCenter(new THREE.Vector3());
+        const offset = opts.offset || 0;
+        const index = opts.index || 0;
 
         const floorHeight = 3.5;
         const extHeight = floors * floorHeight;
 
-        const extGeom = new THREE.BoxGeometry(width, extHeight, length);
-        const extMat = new THREE.MeshPhongMaterial({ color: 0x8b9bb4, transparent: true, opacity: 0.95 });
-        const ext = new THREE.Mesh(extGeom, extMat);
-        ext.castShadow = true;
-        ext.receiveShadow = true;
-
-        // Position extension relative to main house
-        ext.position.y = extHeight / 2; // sit on ground
-        const offset = 0.05 * Math.max(size.x, size.z); // small gap overlap fudge
+        // Local frame: +x along the host wall, +z away from it, with the wall face at z = -length / 2
+        const group = new THREE.Group();
+        group.name = `extension-${index + 1}`;
+        group.rotation.y = EXTENSION_SIDE_ROTATION[side] ?? EXTENSION_SIDE_ROTATION.right;
+        const reach = length / 2;
         switch (side) {
             case 'front':
-                ext.position.z = bbox.max.z + length / 2 - offset;
+                group.position.set(center.x + offset, 0, hostBox.max.z + reach);
                 break;
             case 'back':
-                ext.position.z = bbox.min.z - length / 2 + offset;
+                group.position.set(center.x + offset, 0, hostBox.min.z - reach);
                 break;
             case 'left':
-                ext.position.x = bbox.min.x - width / 2 + offset;
+                group.position.set(hostBox.min.x - reach, 0, center.z + offset);
                 break;
             case 'right':
             default:
-                ext.position.x = bbox.max.x + width / 2 - offset;
+                group.position.set(hostBox.max.x + reach, 0, center.z + offset);
                 break;
         }
+        group.userData.extension = { index, side, length, width, floors, height: extHeight, floorArea: width * length * floors };
 
-        this.building.add(ext);
+        // The body runs on into the host wall; its outer face stays length from the wall face
+        const extGeom = new THREE.BoxGeometry(width, extHeight, length + EXTENSION_OVERLAP);
+        const extMat = createElementMaterial('wall', { color: opts.color || 0x8b9bb4, transparent: true, opacity: 0.95 });
+        const ext = new THREE.Mesh(extGeom, extMat);
+        ext.name = `${group.name}-body`;
+        ext.userData.layer = 'extension';
+        ext.castShadow = true;
+        ext.receiveShadow = true;
+        ext.position.set(0, extHeight / 2, -EXTENSION_OVERLAP / 2); // sit on ground
+        group.add(ext);
 
-        // Simple flat roof for extension if roof feature enabled
+        // Roof of the chosen type if roof feature enabled
         const features = this.getFeatureToggles();
         if (features.roof) {
-            const roofGeom = new THREE.BoxGeometry(width * 1.02, 0.2, length * 1.02);
-            const roofMat = new THREE.MeshPhongMaterial({ color: 0x4a4a4a, transparent: true, opacity: 0.95 });
-            const roof = new THREE.Mesh(roofGeom, roofMat);
-            roof.position.set(ext.position.x, extHeight + 0.1, ext.position.z);
-            roof.castShadow = true;
-            this.building.add(roof);
+            const roof = opts.roof || { type: 'flat' };
+            Object.assign(group.userData.extension, this.addExtensionRoof(group, width, length, extHeight, roof));
+        } else {
+            Object.assign(group.userData.extension, { roofType: 'none', roofArea: 0, eavesHeight: extHeight, ridgeHeight: extHeight });
         }
-    }
 
-    // Modern Building Features
-    addModernRoof(width, depth, height) {
-        const roofGeometry = new THREE.ConeGeometry(width * 0.7, height * 0.2, 4);
-        const roofMaterial = new THREE.MeshPhongMaterial({
-            color: 0x4a4a5e,
-            transparent: true,
-            opacity: 0.9
-        });
-        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-        roof.position.set(0, height + height * 0.1, 0);
-        roof.rotation.y = Math.PI / 4;
-        roof.castShadow = true;
-        this.building.add(roof);
+        this.building.add(group);
+        group.updateMatrixWorld(true);
+        this.addOpenings(group, `extension-${index + 1}`, group.position, side);
+        applyMaterialLibrary(group, { wall: opts.wallFinish, roof: opts.roofCovering, frame: opts.frameMaterial, glazing: opts.glazing });
+        return group;
     }
 
-    addBalconies(width, depth, height, floors, floorHeight) {
-        for (let i = 1; i < floors; i += 2) {
-            const balconyGeometry = new THREE.BoxGeometry(width * 0.8, 0.2, depth * 0.3);
-            const balconyMaterial = new THREE.MeshPhongMaterial({
-                color: 0x5a5a6e,
-                transparent: true,
-                opacity: 0.9
-            });
-            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
-            balcony.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.15);
-            balcony.castShadow = true;
-            this.building.add(balcony);
+    // Builds the roof in the extension's local frame (host wall at z = -length / 2) and
+    // returns { roofType, roofArea, eavesHeight, ridgeHeight, rooflightArea }. Pitched roofs are closed solids
+    // whose sloping faces give the roof area.
+    addExtensionRoof(group, width, length, eaves, roof) {
+        const roofMat = createElementMaterial('roof', { color: 0x4a4a4a, transparent: true, opacity: 0.95 });
+        const pitch = THREE.MathUtils.degToRad(roof.pitch ?? 22.5);
+        const o = roof.type === 'flat' ? 0 : (roof.overhang ?? 0);
+        const x0 = -width / 2 - o, x1 = width / 2 + o;
+        const z0 = -length / 2, z1 = length / 2 + o;
+        const addRoofMesh = (geometry, name) => {
+            const mesh = new THREE.Mesh(geometry, roofMat);
+            mesh.name = `${group.name}-${name}`;
+            mesh.userData.layer = 'roof';
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            group.add(mesh);
+            return mesh;
+        };
 
-            // Balcony railing
-            const railingGeometry = new THREE.BoxGeometry(width * 0.8, floorHeight * 0.3, 0.1);
-            const railingMaterial = new THREE.MeshPhongMaterial({
-                color: 0x6a6a7e,
-                transparent: true,
-                opacity: 0.8
+        let ridge, area, lightPlane;
+        if (roof.type === 'lean-to') {
+            // Mono-pitch rising from the outer eaves up to the host wall
+            ridge = eaves + (z1 - z0) * Math.tan(pitch);
+            const geometry = createConvexSolidGeometry([
+                [x0, eaves, z0], [x1, eaves, z0], [x1, eaves, z1], [x0, eaves, z1],
+                [x0, ridge, z0], [x1, ridge, z0]
+            ], [[0, 1, 2, 3], [0, 1, 5, 4], [3, 2, 5, 4], [0, 3, 4], [1, 2, 5]]);
+            area = getUpwardFacingArea(addRoofMesh(geometry, 'roof').geometry);
+            lightPlane = { from: [0, eaves, z1], to: [0, ridge, z0], span: x1 - x0 };
+        } else if (roof.type === 'gable') {
+            // Ridge runs away from the host wall with the gable end facing the garden
+            ridge = eaves + (x1 - x0) / 2 * Math.tan(pitch);
+            const geometry = createConvexSolidGeometry([
+                [x0, eaves, z0], [x1, eaves, z0], [0, ridge, z0],
+                [x0, eaves, z1], [x1, eaves, z1], [0, ridge, z1]
+            ], [[0, 1, 2], [3, 4, 5], [0, 1, 4, 3], [1, 2, 5, 4], [2, 0, 3, 5]]);
+            area = getUpwardFacingArea(addRoofMesh(geometry, 'roof').geometry);
+            lightPlane = { from: [x1, eaves, (z0 + z1) / 2], to: [0, ridge, (z0 + z1) / 2], span: z1 - z0, along: 'z' };
+        } else if (roof.type === 'hipped') {
+            // Hipped on the three free sides; the ridge stops one hip run short of the outer eaves
+            const run = (x1 - x0) / 2;
+            ridge = eaves + run * Math.tan(pitch);
+            const ridgeEnd = Math.max(z0, z1 - run);
+            const geometry = createConvexSolidGeometry([
+                [x0, eaves, z0], [x1, eaves, z0], [x1, eaves, z1], [x0, eaves, z1],
+                [0, ridge, z0], [0, ridge, ridgeEnd]
+            ], ridgeEnd > z0
+                ? [[0, 1, 2, 3], [0, 1, 4], [1, 2, 5, 4], [2, 3, 5], [3, 0, 4, 5]]
+                : [[0, 1, 2, 3], [0, 1, 4], [1, 2, 4], [2, 3, 4], [3, 0, 4]]);
+            area = getUpwardFacingArea(addRoofMesh(geometry, 'roof').geometry);
+            lightPlane = { from: [x1, eaves, (z0 + ridgeEnd) / 2], to: [0, ridge, (z0 + ridgeEnd) / 2], span: Math.max(ridgeEnd - z0, 1), along: 'z' };
+        } else {
+            // Flat deck with a parapet upstand on the three free edges
+            const deck = addRoofMesh(new THREE.BoxGeometry(width, 0.2, length), 'roof');
+            deck.position.y = eaves + 0.1;
+            const t = 0.2;
+            const top = eaves + 0.2 + FLAT_ROOF_PARAPET / 2;
+            const front = addRoofMesh(new THREE.BoxGeometry(width, FLAT_ROOF_PARAPET, t), 'parapet-outer');
+            front.position.set(0, top, length / 2 - t / 2);
+            [-1, 1].forEach(sign => {
+                const side = addRoofMesh(new THREE.BoxGeometry(t, FLAT_ROOF_PARAPET, length - t), sign < 0 ? 'parapet-left' : 'parapet-right');
+                side.position.set(sign * (width / 2 - t / 2), top, -t / 2);
             });
-            const railing = new THREE.Mesh(railingGeometry, railingMaterial);
-            railing.position.set(0, i * floorHeight + floorHeight / 2 + floorHeight * 0.15, depth / 2 + depth * 0.2);
-            this.building.add(railing);
+            ridge = eaves + 0.2 + FLAT_ROOF_PARAPET;
+            area = width * length;
+            lightPlane = { from: [0, eaves + 0.2, length / 2], to: [0, eaves + 0.2, -length / 2], span: width };
         }
+
+        const rooflightArea = this.addRoofLights(group, roof.rooflights || 0, lightPlane);
+        return { roofType: roof.type, roofArea: area, eavesHeight: eaves, ridgeHeight: ridge, rooflightArea };
     }
 
-    addModernLighting(width, depth, height, floors, floorHeight) {
-        for (let i = 0; i < floors; i++) {
-            const lightGeometry = new THREE.BoxGeometry(width * 0.9, 0.05, 0.05);
-            const lightMaterial = new THREE.MeshBasicMaterial({
-                color: 0x00d4ff,
-                transparent: true,
-                opacity: 0.8
-            });
-            const light = new THREE.Mesh(lightGeometry, lightMaterial);
-            light.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + 0.1);
-            this.building.add(light);
+    // Glazed roof lights spaced evenly across the middle of a roof slope.
+    // plane.from/to run up the slope; the lights spread across it (along x, or z if plane.along is 'z').
+    // Returns their total glazed area.
+    addRoofLights(group, count, plane) {
+        if (!count) return 0;
+        const glassMat = createElementMaterial('glazing', { color: 0x87ceeb, transparent: true, opacity: 0.7 });
+        const from = new THREE.Vector3(...plane.from);
+        const to = new THREE.Vector3(...plane.to);
+        const up = to.clone().sub(from).normalize();
+        const across = plane.along === 'z' ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+        const normal = new THREE.Vector3().crossVectors(up, across).normalize();
+        if (normal.y < 0) normal.negate();
+        const basis = new THREE.Matrix4().makeBasis(across, normal, up);
+        const mid = from.clone().lerp(to, 0.5).addScaledVector(normal, 0.06);
+        const pitch = plane.span / count;
+        const size = Math.min(0.8, pitch * 0.7);
+        for (let i = 0; i < count; i++) {
+            const light = new THREE.Mesh(new THREE.BoxGeometry(size, 0.1, 1.0), glassMat);
+            light.name = `${group.name}-rooflight-${i + 1}`;
+            light.quaternion.setFromRotationMatrix(basis);
+            light.position.copy(mid).addScaledVector(across, -plane.span / 2 + pitch * (i + 0.5));
+            group.add(light);
         }
+        return count * size * 1.0;
     }
 
-    // Cyberpunk Building Features
-    addCyberpunkRoof(width, depth, height, features) {
-        const roofGeometry = new THREE.ConeGeometry(width * 0.6, height * 0.25, 8);
-        const roofMaterial = new THREE.MeshPhongMaterial({
-            color: 0x3a1a4e,
-            transparent: true,
-            opacity: 0.9
-        });
-        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-        roof.position.set(0, height + height * 0.125, 0);
-        roof.castShadow = true;
-        this.building.add(roof);
-
-        // Solar panels
-        if (features.solarPanels) {
-            const panelGeometry = new THREE.BoxGeometry(width * 0.3, 0.1, depth * 0.4);
-            const panelMaterial = new THREE.MeshPhongMaterial({
-                color: 0x1a1a1a,
-                transparent: true,
-                opacity: 0.9
+    // Roof type and area for each built extension, e.g. for the side panel
+    updateExtensionSummary() {
+        const out = document.getElementById('extension-roof-summary');
+        if (!out || !this.building) return;
+        const lines = this.building.children
+            .filter(child => child.userData.extension)
+            .map(child => {
+                const info = child.userData.extension;
+                return `Extension ${info.index + 1}: ${info.roofType} roof, ${formatArea(info.roofArea)} (eaves ${formatLength(info.eavesHeight)}, ridge ${formatLength(info.ridgeHeight)})`;
             });
-            const panel = new THREE.Mesh(panelGeometry, panelMaterial);
-            panel.position.set(0, height + height * 0.2, 0);
-            this.building.add(panel);
-        }
+        out.textContent = lines.join('\n');
     }
 
-    addTechBalconies(width, depth, height, floors, floorHeight) {
-        for (let i = 1; i < floors; i += 3) {
-            const balconyGeometry = new THREE.BoxGeometry(width * 0.4, 0.1, depth * 0.2);
-            const balconyMaterial = new THREE.MeshPhongMaterial({
-                color: 0x4a1a5e,
-                transparent: true,
-                opacity: 0.9
+    // Replace only the extension groups, leaving the host and the camera alone (used while dragging)
+    rebuildExtensions() {
+        if (!this.building) return;
+        this.building.children
+            .filter(child => child.userData.extension)
+            .forEach(child => {
+                this.building.remove(child);
+                disposeObject3D(child);
             });
-            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
-            balcony.position.set(width * 0.3, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.1);
-            balcony.castShadow = true;
-            this.building.add(balcony);
+        const showExtension = (document.getElementById('show-extension') || { checked: false }).checked;
+        if (showExtension) {
+            this.addExtensions();
+            this.building.updateMatrixWorld(true);
         }
+        this.updateExtensionViews();
     }
 
-    addNeonLighting(width, depth, height, floors, floorHeight) {
-        for (let i = 0; i < floors; i++) {
-            const neonGeometry = new THREE.TorusGeometry(width * 0.15, 0.05, 8, 16);
-            const neonMaterial = new THREE.MeshBasicMaterial({
-                color: 0xff0080,
-                transparent: true,
-                opacity: 0.9
-            });
-            const neon = new THREE.Mesh(neonGeometry, neonMaterial);
-            neon.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.2);
-            neon.rotation.x = Math.PI / 2;
-            this.building.add(neon);
-        }
+    // Everything derived from the built extensions: summary, handles, dimensions and checks
+    updateExtensionViews() {
+        this.updateExtensionSummary();
+        this.updateExtensionHandles();
+        this.updateDimensions();
+        this.updateDaylightCheck();
+        this.updatePlot();
+        this.updatePermittedDevelopment();
+        this.renderOpeningList();
+        this.renderOpeningReport();
+        this.updateGlazingCheck();
+        this.updateHeatLoss();
+        this.updateFloorView();
     }
 
-    // Organic Building Features
-    addOrganicRoof(width, depth, height) {
-        const roofGeometry = new THREE.SphereGeometry(width * 0.4, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
-        const roofMaterial = new THREE.MeshPhongMaterial({
-            color: 0x4e2a1a,
-            transparent: true,
-            opacity: 0.9
-        });
-        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-        roof.position.set(0, height + height * 0.1, 0);
-        roof.castShadow = true;
-        this.building.add(roof);
+    // house-x / house-z / house-rotation place the house on the plot. The building group's
+    // matrix is composed here (matrixAutoUpdate is off); everything inside stays in the house frame.
+    getSiteMatrix() {
+        const field = key => readControlValue(DESIGNER_FIELDS.find(spec => spec.key === key));
+        const position = new THREE.Vector3(field('houseX'), 0, field('houseZ'));
+        const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(field('houseRotation')));
+        return new THREE.Matrix4().compose(position, rotation, new THREE.Vector3(1, 1, 1));
     }
 
-    addFlowingBalconies(width, depth, height, floors, floorHeight) {
-        for (let i = 1; i < floors; i += 2) {
-            const balconyGeometry = new THREE.SphereGeometry(width * 0.2, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
-            const balconyMaterial = new THREE.MeshPhongMaterial({
-                color: 0x5e2a1a,
-                transparent: true,
-                opacity: 0.8
-            });
-            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
-            balcony.position.set(
-                Math.sin(i * 0.3) * width * 0.3,
-                i * floorHeight + floorHeight / 2,
-                depth / 2 + depth * 0.1
-            );
-            balcony.castShadow = true;
-            this.building.add(balcony);
-        }
+    applySiteTransform() {
+        if (!this.building) return;
+        this.building.matrix.copy(this.getSiteMatrix());
+        this.building.updateMatrixWorld(true);
     }
 
-    addNaturalLighting(width, depth, height, floors, floorHeight) {
-        for (let i = 0; i < floors; i++) {
-            const lightGeometry = new THREE.SphereGeometry(width * 0.05, 8, 6);
-            const lightMaterial = new THREE.MeshBasicMaterial({
-                color: 0x00ff88,
-                transparent: true,
-                opacity: 0.7
-            });
-            const light = new THREE.Mesh(lightGeometry, lightMaterial);
-            light.position.set(
-                Math.sin(i * 0.5) * width * 0.4,
-                i * floorHeight + floorHeight / 2,
-                Math.cos(i * 0.5) * depth * 0.4
-            );
-            this.building.add(light);
+    // Moving the house on the plot doesn't rebuild it
+    onSiteChanged(source) {
+        this.applySiteTransform();
+        this.updateExtensionViews();
+        this.updateSunStudy();
+        this.persistDesignerState();
+        this.recordHistory(source);
+    }
+
+    // Runs fn with the house back at the origin, for outputs drawn in the house's own frame
+    withHouseFrame(fn) {
+        const saved = this.building.matrix.clone();
+        this.building.matrix.identity();
+        this.building.updateMatrixWorld(true);
+        try {
+            return fn();
+        } finally {
+            this.building.matrix.copy(saved);
+            this.building.updateMatrixWorld(true);
         }
     }
 
-    // Geometric Building Features
-    addGeometricRoof(width, depth, height) {
-        const roofGeometry = new THREE.ConeGeometry(width * 0.5, height * 0.3, 6);
-        const roofMaterial = new THREE.MeshPhongMaterial({
-            color: 0x3a2a4e,
-            transparent: true,
-            opacity: 0.9
-        });
-        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-        roof.position.set(0, height + height * 0.15, 0);
-        roof.castShadow = true;
-        this.building.add(roof);
+    // Height of the highest part of the house itself (extensions excluded)
+    getHostRidgeHeight() {
+        return this.building.children
+            .filter(child => !child.userData.extension)
+            .reduce((box, child) => box.expandByObject(child), new THREE.Box3()).max.y;
     }
 
-    addAngularBalconies(width, depth, height, floors, floorHeight) {
-        for (let i = 1; i < floors; i += 2) {
-            const balconyGeometry = new THREE.ConeGeometry(width * 0.2, depth * 0.2, 6);
-            const balconyMaterial = new THREE.MeshPhongMaterial({
-                color: 0x4a2a5e,
-                transparent: true,
-                opacity: 0.8
-            });
-            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
-            balcony.position.set(
-                (i % 2 === 0 ? 1 : -1) * width * 0.3,
-                i * floorHeight + floorHeight / 2,
-                depth / 2 + depth * 0.1
-            );
-            balcony.rotation.z = Math.PI;
-            balcony.castShadow = true;
-            this.building.add(balcony);
+    // Boundary outline, distances from each facade and extension to each boundary edge,
+    // and curtilage coverage for Class A.1(b)
+    updatePlot() {
+        if (this.scene && !this.plotGroup) {
+            this.plotGroup = new THREE.Group();
+            this.plotGroup.name = 'plot';
+            this.scene.add(this.plotGroup);
+        }
+        if (this.plotGroup) {
+            this.clearGroup(this.plotGroup);
+            if (this.plot.length >= 3) this.plotGroup.add(createPlotOutline(this.plot, true));
         }
+        this.siteMetrics = this.building && this.hostBox && this.plot.length >= 3 ? this.computeSiteMetrics() : null;
+        this.renderPlotReport();
+        this.renderPlotVertexList();
     }
 
-    // Floor Plan House (exact blueprint recreation)
-    createUKDetached(floors, width, depth, height, floorHeight, features) {
-        // Convert feet to units (1 foot = 1 unit for accuracy)
-        const scale = 1.0;
-        
-        // Ground reference
-        const groundY = 0;
+    computeSiteMetrics() {
+        const matrix = this.building.matrixWorld;
+        const host = this.hostBox;
+        const toPlan = (x, z) => {
+            const v = new THREE.Vector3(x, 0, z).applyMatrix4(matrix);
+            return [v.x, v.z];
+        };
+        const corners = {
+            frontLeft: toPlan(host.min.x, host.max.z), frontRight: toPlan(host.max.x, host.max.z),
+            rearLeft: toPlan(host.min.x, host.min.z), rearRight: toPlan(host.max.x, host.min.z)
+        };
+        const elements = [
+            { name: 'Front facade', edges: [[corners.frontLeft, corners.frontRight]] },
+            { name: 'Rear facade', edges: [[corners.rearLeft, corners.rearRight]] },
+            { name: 'Left facade', edges: [[corners.rearLeft, corners.frontLeft]] },
+            { name: 'Right facade', edges: [[corners.rearRight, corners.frontRight]] }
+        ];
 
-        // Foundation for entire complex shape
-        this.addFoundation(70, 40); // Larger foundation for L-shape
+        const extensionMetrics = {};
+        let extensionsArea = 0;
+        this.building.children.filter(child => child.userData.extension).forEach(group => {
+            const { index, length, width } = group.userData.extension;
+            const footprint = [[-width / 2, -length / 2], [width / 2, -length / 2], [width / 2, length / 2], [-width / 2, length / 2]]
+                .map(([x, z]) => {
+                    const v = new THREE.Vector3(x, 0, z).applyMatrix4(group.matrixWorld);
+                    return [v.x, v.z];
+                });
+            const edges = footprint.map((p, i) => [p, footprint[(i + 1) % footprint.length]]);
+            elements.push({ name: `Extension ${index + 1}`, edges });
+            extensionsArea += width * length;
+
+            // The rear boundary is whatever the outer face looks at
+            const outerMid = new THREE.Vector3(0, 0, length / 2).applyMatrix4(group.matrixWorld);
+            const outward = new THREE.Vector3(0, 0, 1).transformDirection(group.matrixWorld);
+            extensionMetrics[index] = {
+                nearestBoundary: Math.min(...this.plot.map((p, i) => polygonEdgesDistance(edges, [p, this.plot[(i + 1) % this.plot.length]]))),
+                facingBoundary: rayPolygonDistance([outerMid.x, outerMid.z], [outward.x, outward.z], this.plot)
+            };
+        });
 
-        // Main house material
-        const houseMat = new THREE.MeshPhongMaterial({ 
-            color: 0xd4a574, // Warm brick color
-            transparent: true, 
-            opacity: 0.95 
-        });
+        const boundaryEdges = this.plot.map((p, i) => [p, this.plot[(i + 1) % this.plot.length]]);
+        const distances = elements.map(element => ({
+            name: element.name,
+            toEdges: boundaryEdges.map(edge => polygonEdgesDistance(element.edges, edge))
+        }));
+
+        const blocks = Object.values(this.buildingParts).map(group => group.userData.block).filter(Boolean);
+        const size = host.getSize(new THREE.Vector3());
+        const houseFootprint = blocks.length ? blocks.reduce((sum, b) => sum + b.w * b.d, 0) : size.x * size.z;
+        const plotArea = polygonArea(this.plot);
+        const curtilage = plotArea - houseFootprint;
+        const outbuildings = readControlValue(DESIGNER_FIELDS.find(spec => spec.key === 'outbuildingsArea'));
+        const covered = extensionsArea + outbuildings;
+        const houseInside = Object.values(corners).every(p => pointInPolygon(p, this.plot));
 
-        // Ensure parts map exists
-        if (!this.buildingParts) this.buildingParts = {};
+        return {
+            plotArea, houseFootprint, curtilage, extensionsArea, outbuildings, covered,
+            coverage: curtilage > 0 ? covered / curtilage * 100 : null,
+            houseInside, distances, extensionMetrics
+        };
+    }
 
-        // CENTRAL CORE - Great Room, Kitchen, Dining, Entry
-        const coreWidth = 35 * scale;  // Main central area
-        const coreDepth = 25 * scale;
-        const coreHeight = 10 * scale;
-        const coreX = 0;
-        const coreZ = 0;
-        this.addBlockStructure('core', coreX, coreZ, groundY, coreWidth, coreDepth, coreHeight);
+    renderPlotReport() {
+        const out = document.getElementById('plot-report');
+        if (!out) return;
+        const m = this.siteMetrics;
+        if (!m) {
+            out.textContent = 'Draw the plot boundary to measure distances and curtilage coverage.';
+            return;
+        }
+        const summary = document.createElement('p');
+        summary.textContent = `Plot ${formatArea(m.plotArea)}, house footprint ${formatArea(m.houseFootprint)}, curtilage ${formatArea(m.curtilage)}. `
+            + `Extensions ${formatArea(m.extensionsArea)} + outbuildings ${formatArea(m.outbuildings)} = ${formatArea(m.covered)}`
+            + (m.coverage === null ? '.' : ` (${m.coverage.toFixed(1)}% of the curtilage; Class A limit ${PD_LIMITS.curtilageCoverage}%).`);
+        const nodes = [summary];
+        if (!m.houseInside) {
+            const warning = document.createElement('p');
+            warning.className = 'plot-warning';
+            warning.textContent = 'The house footprint crosses the plot boundary.';
+            nodes.push(warning);
+        }
 
-        // LEFT WING - Bedrooms 2 & 3, Bath, Hall
-        const leftWingWidth = 15 * scale;
-        const leftWingDepth = 25 * scale;
-        const leftWingHeight = 9 * scale; // Slightly lower ceiling
-        
-        const leftWingX = -(coreWidth / 2 + leftWingWidth / 2);
-        const leftWingZ = 0;
-        this.addBlockStructure('leftWing', leftWingX, leftWingZ, groundY, leftWingWidth, leftWingDepth, leftWingHeight);
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const head = table.insertRow();
+        ['', ...this.plot.map((_, i) => `B${i + 1}`)].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        m.distances.forEach(row => {
+            const tr = table.insertRow();
+            tr.insertCell().textContent = row.name;
+            const nearest = Math.min(...row.toEdges);
+            row.toEdges.forEach(d => {
+                const cell = tr.insertCell();
+                cell.textContent = formatLength(d);
+                if (d === nearest) cell.className = 'nearest';
+            });
+        });
+        nodes.push(table);
+        out.replaceChildren(...nodes);
+    }
 
-        // RIGHT WING - Master Suite
-        const masterWingWidth = 18 * scale;
-        const masterWingDepth = 20 * scale;
-        const masterWingHeight = 9 * scale;
-        
-        const masterX = (coreWidth / 2 + masterWingWidth / 2);
-        const masterZ = -(coreDepth / 2 - masterWingDepth / 2) - 2;
-        this.addBlockStructure('masterWing', masterX, masterZ, groundY, masterWingWidth, masterWingDepth, masterWingHeight);
+    renderPlotVertexList() {
+        const list = document.getElementById('plot-vertex-list');
+        if (!list) return;
+        list.replaceChildren(...this.plot.map((point, index) => {
+            const row = document.createElement('div');
+            row.className = 'extension-row';
+            const title = document.createElement('span');
+            title.textContent = `Corner ${index + 1}`;
+            row.appendChild(title);
+            PLOT_POINT_FIELDS.forEach((spec, axis) => {
+                row.appendChild(createFieldInput(spec, point[axis], value => this.updatePlotPoint(index, axis, value)));
+            });
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-mini';
+            removeBtn.textContent = 'Remove';
+            removeBtn.disabled = this.plot.length <= 3;
+            removeBtn.addEventListener('click', () => this.removePlotPoint(index));
+            row.appendChild(removeBtn);
+            return row;
+        }));
+    }
 
-        // TWO-CAR GARAGE - Attached to right side
-        const garageWidth = 24 * scale;  // 24' x 22' garage
-        const garageDepth = 22 * scale;
-        const garageHeight = 9 * scale;
-        
-        const garageX = (coreWidth / 2 + masterWingWidth + garageWidth / 2) + 2;
-        const garageZ = (coreDepth / 2 - garageDepth / 2) + 2;
-        this.addBlockStructure('garage', garageX, garageZ, groundY, garageWidth, garageDepth, garageHeight, { color: 0xcaa06a });
+    updatePlotPoint(index, axis, value) {
+        if (!this.plot[index]) return;
+        this.plot[index][axis] = sanitizeField(PLOT_POINT_FIELDS[axis], value, []);
+        this.onPlotChanged(`plot-${index}-${axis}`);
+    }
 
-        // BREAKFAST NOOK (rear bump-out)
-        const breakfastW = 11.5 * scale;
-        const breakfastD = 8 * scale;
-        const breakfastH = 9 * scale;
-        const breakfastX = coreWidth * 0.15;
-        const breakfastZ = -(coreDepth / 2 + breakfastD / 2);
-        this.addBlockStructure('breakfast', breakfastX, breakfastZ, groundY, breakfastW, breakfastD, breakfastH, { color: 0xd8b07b });
+    removePlotPoint(index) {
+        if (this.plot.length <= 3) return;
+        this.plot.splice(index, 1);
+        this.onPlotChanged('plot-remove');
+    }
 
-        // DINING (front bump-out)
-        const diningW = 11.5 * scale;
-        const diningD = 12 * scale;
-        const diningH = 9 * scale;
-        const diningX = coreWidth * 0.15;
-        const diningZ = (coreDepth / 2 + diningD / 2);
-        this.addBlockStructure('dining', diningX, diningZ, groundY, diningW, diningD, diningH, { color: 0xd8b07b });
+    onPlotChanged(source) {
+        this.updatePlot();
+        this.updatePermittedDevelopment();
+        this.persistDesignerState();
+        this.recordHistory(source);
+    }
 
-        // Connecting walls between sections
-        this.addConnectingWalls(coreWidth, coreDepth, coreHeight, masterWingWidth, masterWingDepth, masterWingHeight, garageWidth, garageDepth, garageHeight, groundY, houseMat);
+    // Rectangle around the house: 3m to the sides, 6m in front and 12m behind
+    setDefaultPlot() {
+        if (!this.building || !this.hostBox) return;
+        const host = this.hostBox;
+        this.plot = [
+            [host.min.x - 3, host.max.z + 6], [host.max.x + 3, host.max.z + 6],
+            [host.max.x + 3, host.min.z - 12], [host.min.x - 3, host.min.z - 12]
+        ].map(([x, z]) => {
+            const v = new THREE.Vector3(x, 0, z).applyMatrix4(this.building.matrixWorld);
+            return [Number(v.x.toFixed(2)), Number(v.z.toFixed(2))];
+        });
+        this.onPlotChanged('plot-default');
+    }
 
-        // Covered porches (rear porch centered on back of Great Room, front porch at lower-left)
-        this.addFloorPlanPorches(coreWidth, coreDepth, coreHeight, coreX, groundY);
+    clearPlot() {
+        this.plot = [];
+        this.cancelPlotDrawing();
+        this.onPlotChanged('plot-clear');
+    }
 
-        // Roofs
-        if (features.roof) {
-            this.addFloorPlanRoof(coreWidth, coreDepth, coreHeight, coreX, groundY);
-            this.addFloorPlanWingRoof(leftWingWidth, leftWingDepth, leftWingHeight, leftWingX, leftWingZ, groundY);
-            this.addFloorPlanWingRoof(masterWingWidth, masterWingDepth, masterWingHeight, masterX, masterZ, groundY);
-            this.addFloorPlanGarageRoof(garageWidth, garageDepth, garageHeight, garageX, garageZ, groundY);
-        }
+    // Clicks on the ground add corners; clicking the first corner again (or Enter) closes it
+    startPlotDrawing() {
+        this.plotDraft = [];
+        if (this.renderer) this.renderer.domElement.style.cursor = 'crosshair';
+        showDesignerNotice('Click the plot corners on the ground, then click the first corner again to close it.');
+    }
 
-        // Windows and doors
-        if (features.windows) {
-            this.addFloorPlanWindows(coreWidth, coreDepth, coreHeight, coreX, groundY);
-            this.addFloorPlanWingWindows(leftWingWidth, leftWingDepth, leftWingHeight, leftWingX, leftWingZ, groundY);
-            this.addFloorPlanWingWindows(masterWingWidth, masterWingDepth, masterWingHeight, masterX, masterZ, groundY);
-        }
+    cancelPlotDrawing() {
+        this.plotDraft = null;
+        if (this.renderer) this.renderer.domElement.style.cursor = this.measureMode === 'off' ? '' : 'crosshair';
+        this.updatePlot();
+    }
 
-        this.addFloorPlanDoors(garageWidth, garageHeight, garageDepth, garageX, garageZ, groundY);
+    addPlotPoint(event) {
+        this.setRaycasterFromEvent(event);
+        const point = this.raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+        if (!point) return;
+        const draft = this.plotDraft;
+        if (draft.length >= 3 && this.isNearOnScreen(point, new THREE.Vector3(draft[0][0], 0, draft[0][1]))) {
+            this.finishPlotDrawing();
+            return;
+        }
+        draft.push([Number(point.x.toFixed(2)), Number(point.z.toFixed(2))]);
+        if (draft.length >= MAX_PLOT_POINTS) this.finishPlotDrawing();
+        else this.showPlotDraft(null);
+    }
 
-        // Interior features
-        this.addFloorPlanInterior(coreWidth, coreDepth, coreHeight, coreX, groundY);
+    showPlotDraft(pointer) {
+        if (!this.plotGroup || !this.plotDraft) return;
+        this.clearGroup(this.plotGroup);
+        const points = pointer ? [...this.plotDraft, [pointer.x, pointer.z]] : this.plotDraft;
+        if (points.length) this.plotGroup.add(createPlotOutline(points, false));
+    }
 
-        // Details
-        if (features.lighting) {
-            this.addFloorPlanDetails(coreWidth, coreDepth, coreHeight, garageWidth, garageHeight, garageDepth, groundY);
+    finishPlotDrawing() {
+        const draft = this.plotDraft;
+        this.plotDraft = null;
+        if (this.renderer) this.renderer.domElement.style.cursor = this.measureMode === 'off' ? '' : 'crosshair';
+        if (!draft || draft.length < 3) {
+            this.updatePlot();
+            return;
         }
+        this.plot = draft;
+        this.onPlotChanged('plot-draw');
+    }
 
-        // Scale overall footprint to match requested width/depth while preserving height
-        // Base layout was designed around approximately 70 (w) x 40 (d)
-        const baseFootprintWidth = 70;
-        const baseFootprintDepth = 40;
-        const scaleX = width / baseFootprintWidth;
-        const scaleZ = depth / baseFootprintDepth;
-        this.building.scale.x *= scaleX;
-        this.building.scale.z *= scaleZ;
+    setupExtensionHandles() {
+        this.handleGroup = new THREE.Group();
+        this.handleGroup.name = 'extension-handles';
+        this.scene.add(this.handleGroup);
+        this.raycaster = new THREE.Raycaster();
+        // The model moves to a hidden layer while floor views or sections draw copies of it
+        this.raycaster.layers.enableAll();
+
+        const canvas = this.renderer.domElement;
+        // Capture phase so OrbitControls sees the controls disabled before it starts a rotate
+        canvas.addEventListener('pointerdown', (e) => this.onHandlePointerDown(e), { capture: true });
+        canvas.addEventListener('pointermove', (e) => this.onHandlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onHandlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onHandlePointerUp(e));
     }
 
-    addUKGableRoof(w, d, h, cx, groundY) {
-        // Better gable roof with proper slope
-        const roofHeight = h * 0.4;
-        const roofMat = new THREE.MeshPhongMaterial({ 
-            color: 0x4a4a4a, // Darker roof tiles
-            transparent: true, 
-            opacity: 0.95 
+    // Spheres on the outer face and both side faces of the selected extension. Each carries
+    // the world axis it drags along; the body itself slides the extension along the wall.
+    updateExtensionHandles() {
+        if (!this.handleGroup) return;
+        this.handleGroup.children.slice().forEach(child => {
+            this.handleGroup.remove(child);
+            disposeObject3D(child);
+        });
+        const group = this.getExtensionGroup(this.selectedExtension);
+        if (!group) return;
+
+        const { length, width, height } = group.userData.extension;
+        const toWorld = (x, z) => new THREE.Vector3(x, height / 2, z).applyMatrix4(group.matrixWorld);
+        const localX = new THREE.Vector3(1, 0, 0).transformDirection(group.matrixWorld);
+        const localZ = new THREE.Vector3(0, 0, 1).transformDirection(group.matrixWorld);
+        // Which way a side face moves relative to the extension's offset axis, in the house frame
+        const sideSign = new THREE.Vector3(1, 0, 0).applyQuaternion(group.quaternion).dot(getExtensionOffsetAxis(group.userData.extension.side));
+        const material = new THREE.MeshBasicMaterial({ color: 0xffc107, depthTest: false, transparent: true, opacity: 0.9 });
+        [
+            { kind: 'length', position: toWorld(0, length / 2), axis: localZ },
+            { kind: 'width+', position: toWorld(width / 2, 0), axis: localX, offsetSign: sideSign },
+            { kind: 'width-', position: toWorld(-width / 2, 0), axis: localX.clone().negate(), offsetSign: -sideSign }
+        ].forEach(handle => {
+            const mesh = new THREE.Mesh(new THREE.SphereGeometry(0.3, 16, 12), material);
+            mesh.name = `extension-handle-${handle.kind}`;
+            mesh.position.copy(handle.position);
+            mesh.renderOrder = 999;
+            mesh.userData.handle = { kind: handle.kind, axis: handle.axis, offsetSign: handle.offsetSign };
+            this.handleGroup.add(mesh);
         });
+    }
 
-        // Left slope
-        const leftSlope = new THREE.BoxGeometry(w * 0.6, roofHeight, d);
-        const left = new THREE.Mesh(leftSlope, roofMat);
-        left.position.set(cx - w * 0.1, h + roofHeight / 2 + groundY, 0);
-        left.rotation.z = Math.PI / 8;
-        left.castShadow = true;
-        this.building.add(left);
+    getExtensionGroup(index) {
+        return this.building?.children.find(child => child.userData.extension?.index === index) || null;
+    }
 
-        // Right slope
-        const rightSlope = new THREE.BoxGeometry(w * 0.6, roofHeight, d);
-        const right = new THREE.Mesh(rightSlope, roofMat);
-        right.position.set(cx + w * 0.1, h + roofHeight / 2 + groundY, 0);
-        right.rotation.z = -Math.PI / 8;
-        right.castShadow = true;
-        this.building.add(right);
+    // Points this.raycaster from the camera through the pointer position on the canvas
+    setRaycasterFromEvent(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+    }
 
-        // White bargeboards
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
-        });
-        
-        const bargeboard1 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.05, roofHeight * 0.8, 0.1), whiteMat);
-        bargeboard1.position.set(cx - w * 0.25, h + roofHeight * 0.4 + groundY, d / 2 + 0.05);
-        this.building.add(bargeboard1);
+    // Handles first, then any extension body (which selects it and starts a slide)
+    pickExtensionTarget(event) {
+        if (!this.building || !this.raycaster) return null;
+        this.setRaycasterFromEvent(event);
+        const handleHit = this.raycaster.intersectObjects(this.handleGroup.children, false)[0];
+        if (handleHit) return { hit: handleHit, handle: handleHit.object.userData.handle };
+
+        const bodies = this.building.children.filter(child => child.userData.extension);
+        const bodyHit = this.raycaster.intersectObjects(bodies, true)[0];
+        if (!bodyHit) return null;
+        let group = bodyHit.object;
+        while (group && !group.userData.extension) group = group.parent;
+        const axis = getExtensionOffsetAxis(group.userData.extension.side).transformDirection(this.building.matrixWorld);
+        return { hit: bodyHit, handle: { kind: 'slide', axis }, index: group.userData.extension.index };
+    }
 
-        const bargeboard2 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.05, roofHeight * 0.8, 0.1), whiteMat);
-        bargeboard2.position.set(cx + w * 0.25, h + roofHeight * 0.4 + groundY, d / 2 + 0.05);
-        this.building.add(bargeboard2);
+    onHandlePointerDown(event) {
+        if (event.button !== 0 || this.measureMode !== 'off' || this.plotDraft || this.placingWindow !== null || this.sectionDrag) return;
+        const target = this.pickExtensionTarget(event);
+        if (!target) return;
+        if (target.index !== undefined && target.index !== this.selectedExtension) {
+            this.selectExtension(target.index);
+        }
+        const ext = this.extensions[this.selectedExtension];
+        if (!ext) return;
+
+        // Drag across a horizontal plane through the grabbed point
+        this.handleDrag = {
+            handle: target.handle,
+            plane: new THREE.Plane(new THREE.Vector3(0, 1, 0), -target.hit.point.y),
+            start: target.hit.point.clone(),
+            initial: { ...ext },
+            changed: false
+        };
+        this.controls.enabled = false;
+        this.renderer.domElement.setPointerCapture?.(event.pointerId);
+        event.preventDefault();
     }
 
-    addUKGarageRoof(w, d, h, cx, cz, groundY) {
-        // Flat garage roof with slight slope
-        const roofHeight = h * 0.15;
-        const roofMat = new THREE.MeshPhongMaterial({ 
-            color: 0x4a4a4a, // Dark roof tiles
-            transparent: true, 
-            opacity: 0.95 
-        });
-        
-        const garageRoof = new THREE.Mesh(new THREE.BoxGeometry(w, roofHeight, d), roofMat);
-        garageRoof.position.set(cx, h + roofHeight / 2 + groundY, cz);
-        garageRoof.castShadow = true; 
-        garageRoof.receiveShadow = true;
-        this.building.add(garageRoof);
+    onHandlePointerMove(event) {
+        if (this.measureMode !== 'off' || this.sectionDrag || this.sectionHover) return;
+        if (!this.handleDrag) {
+            const target = this.pickExtensionTarget(event);
+            const cursor = !target ? '' : target.handle.kind === 'slide' ? 'grab' : 'ew-resize';
+            this.renderer.domElement.style.cursor = cursor;
+            return;
+        }
+        this.setRaycasterFromEvent(event);
+        const point = this.raycaster.ray.intersectPlane(this.handleDrag.plane, new THREE.Vector3());
+        if (!point) return;
+
+        const drag = this.handleDrag;
+        const distance = point.sub(drag.start).dot(drag.handle.axis);
+        const next = applyExtensionDrag(drag.initial, drag.handle, distance, this.getHandleSnap());
+        const ext = this.extensions[this.selectedExtension];
+        if (['length', 'width', 'offset'].every(key => next[key] === ext[key])) return;
+        Object.assign(ext, next);
+        drag.changed = true;
+        this.syncExtensionControls();
+        this.rebuildExtensions();
+    }
 
-        // Gutters around garage roof
-        const gutterMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 });
-        const gutterGeom = new THREE.BoxGeometry(w * 0.05, roofHeight * 0.3, d * 0.05);
-        
-        const frontGutter = new THREE.Mesh(gutterGeom, gutterMat);
-        frontGutter.position.set(cx, h + roofHeight + groundY, cz + d / 2 + 0.1);
-        this.building.add(frontGutter);
+    onHandlePointerUp(event) {
+        if (!this.handleDrag) return;
+        const { changed } = this.handleDrag;
+        this.handleDrag = null;
+        this.controls.enabled = true;
+        this.renderer.domElement.releasePointerCapture?.(event.pointerId);
+        if (!changed) return;
+        this.renderExtensionList();
+        this.persistDesignerState();
+        this.recordHistory('extension-drag');
+    }
 
-        const backGutter = new THREE.Mesh(gutterGeom, gutterMat);
-        backGutter.position.set(cx, h + roofHeight + groundY, cz - d / 2 - 0.1);
-        this.building.add(backGutter);
+    // Typed in the display units
+    getHandleSnap() {
+        const value = parseFloat(document.getElementById('handle-snap')?.value);
+        return value > 0 ? fromDisplayValue({ unit: 'length' }, value) : HANDLE_SNAP_DEFAULT;
     }
 
-    addUKWindowsCasement(w, d, h, floorH, cx, groundY) {
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
+    setupMeasureTools() {
+        this.measureGroup = new THREE.Group();
+        this.measureGroup.name = 'measurements';
+        this.draftGroup = new THREE.Group();
+        this.measureGroup.add(this.draftGroup);
+        this.scene.add(this.measureGroup);
+
+        // A click is a press and release without orbiting in between
+        const canvas = this.renderer.domElement;
+        let down = null;
+        canvas.addEventListener('pointerdown', (e) => { down = { x: e.clientX, y: e.clientY }; });
+        canvas.addEventListener('pointerup', (e) => {
+            if (!down || e.button !== 0) return;
+            const moved = Math.hypot(e.clientX - down.x, e.clientY - down.y);
+            down = null;
+            if (moved >= MEASURE_CLICK_TOLERANCE_PX) return;
+            if (this.plotDraft) this.addPlotPoint(e);
+            else if (this.placingWindow !== null) this.placeNeighbourWindow(e);
+            else if (this.measureMode !== 'off') this.onMeasureClick(e);
         });
-        const glassMat = new THREE.MeshPhongMaterial({ 
-            color: 0x87ceeb, 
-            transparent: true, 
-            opacity: 0.7, 
-            side: THREE.DoubleSide,
-            depthWrite: false,
-            polygonOffset: true,
-            polygonOffsetFactor: -1,
-            polygonOffsetUnits: -1
+        canvas.addEventListener('pointermove', (e) => {
+            if (this.plotDraft) {
+                this.setRaycasterFromEvent(e);
+                this.showPlotDraft(this.raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3()));
+            } else if (this.measureMode !== 'off' && this.measureDraft) {
+                this.updateMeasureDraft(this.pickMeasurePoint(e));
+            }
         });
+        window.addEventListener('keydown', (e) => {
+            if (this.plotDraft && !isTextEntryTarget(e.target)) {
+                if (e.key === 'Escape') this.cancelPlotDrawing();
+                if (e.key === 'Enter') this.finishPlotDrawing();
+                return;
+            }
+            if (this.measureMode === 'off' || isTextEntryTarget(e.target)) return;
+            if (e.key === 'Escape') this.cancelMeasureDraft();
+            if (e.key === 'Enter' && this.measureDraft?.type === 'area') this.finishMeasurement();
+        });
+    }
 
-        const addWindow = (x, y, z, windowW, windowH) => {
-            // Window frame
-            const frame = new THREE.Mesh(new THREE.BoxGeometry(windowW, windowH, 0.05), whiteMat);
-            frame.position.set(x, y, z + 0.07);
-            frame.castShadow = true;
-            this.building.add(frame);
-            
-            // Window glass
-            const pane = new THREE.Mesh(new THREE.PlaneGeometry(windowW * 0.9, windowH * 0.9), glassMat);
-            pane.position.set(x, y, z + 0.09);
-            this.building.add(pane);
-            
-            // Window sill
-            const sill = new THREE.Mesh(new THREE.BoxGeometry(windowW * 1.2, 0.1, 0.2), whiteMat);
-            sill.position.set(x, y - windowH / 2 - 0.05, z + 0.11);
-            sill.castShadow = true;
-            this.building.add(sill);
-        };
+    setMeasureMode(mode) {
+        this.cancelMeasureDraft();
+        this.measureMode = MEASURE_TYPES[mode] ? mode : 'off';
+        if (this.renderer) this.renderer.domElement.style.cursor = this.measureMode === 'off' ? '' : 'crosshair';
+        // Handles would get in the way of picking
+        if (this.handleGroup) this.handleGroup.visible = this.measureMode === 'off';
+    }
 
-        const windowW = w * 0.15;
-        const windowH = floorH * 0.6;
+    // Nearest building surface under the pointer, else the ground plane; areas always lie on the ground
+    pickMeasurePoint(event) {
+        this.setRaycasterFromEvent(event);
+        const hit = this.measureMode !== 'area' && this.building
+            ? this.raycaster.intersectObject(this.building, true).find(h => h.object.visible)
+            : null;
+        if (hit) return hit.point.clone();
+        const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        return this.raycaster.ray.intersectPlane(ground, new THREE.Vector3());
+    }
 
-        // Ground floor windows
-        addWindow(cx + w * 0.25, groundY + floorH * 0.5, d / 2 + 0.01, windowW, windowH);
-        addWindow(cx + w * 0.45, groundY + floorH * 0.5, d / 2 + 0.01, windowW, windowH);
+    onMeasureClick(event) {
+        const point = this.pickMeasurePoint(event);
+        if (!point) return;
+        if (!this.measureDraft) this.measureDraft = { type: this.measureMode, points: [] };
+        const draft = this.measureDraft;
+
+        if (draft.type === 'area') {
+            point.y = 0;
+            // Clicking back on the first corner closes the outline
+            if (draft.points.length >= 3 && this.isNearOnScreen(point, draft.points[0])) {
+                this.finishMeasurement();
+                return;
+            }
+        }
+        draft.points.push(point);
+        if (draft.type !== 'area' && draft.points.length === 2) this.finishMeasurement();
+        else this.updateMeasureDraft(null);
+    }
 
-        // First floor windows
-        addWindow(cx - w * 0.2, groundY + floorH * 1.5, d / 2 + 0.01, windowW, windowH);
-        addWindow(cx + w * 0.2, groundY + floorH * 1.5, d / 2 + 0.01, windowW, windowH);
-        addWindow(cx + w * 0.4, groundY + floorH * 1.5, d / 2 + 0.01, windowW, windowH);
+    isNearOnScreen(a, b) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const toScreen = p => {
+            const v = p.clone().project(this.camera);
+            return [(v.x + 1) / 2 * rect.width, (1 - v.y) / 2 * rect.height];
+        };
+        const [ax, ay] = toScreen(a), [bx, by] = toScreen(b);
+        return Math.hypot(ax - bx, ay - by) < MEASURE_CLOSE_TOLERANCE_PX;
     }
 
-    addUKBlueDoors(garageW, garageH, garageD, cx, cz, groundY) {
-        const blueMat = new THREE.MeshPhongMaterial({ 
-            color: 0x1e3a8a, // Better blue color
-            transparent: true, 
-            opacity: 0.95 
-        });
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
-        });
+    // Live preview with the pointer as the next point
+    updateMeasureDraft(pointer) {
+        this.clearGroup(this.draftGroup);
+        const draft = this.measureDraft;
+        if (!draft) return;
+        const points = draft.points.slice();
+        if (pointer) {
+            if (draft.type === 'area') pointer.y = 0;
+            points.push(pointer);
+        }
+        if (points.length >= MEASURE_TYPES[draft.type].minPoints) {
+            this.draftGroup.add(createMeasurementObject(draft.type, points));
+        } else {
+            points.forEach(p => this.draftGroup.add(createMeasureMarker(p)));
+        }
+    }
 
-        // Garage door
-        const gDoor = new THREE.Mesh(new THREE.BoxGeometry(garageW * 0.9, garageH * 0.9, 0.08), blueMat);
-        gDoor.position.set(cx, groundY + garageH * 0.5, cz + garageD / 2 + 0.08);
-        gDoor.castShadow = true;
-        this.building.add(gDoor);
-        
-        // Garage door frame
-        const gFrame = new THREE.Mesh(new THREE.BoxGeometry(garageW, garageH, 0.04), whiteMat);
-        gFrame.position.set(cx, groundY + garageH * 0.5, cz + garageD / 2 + 0.06);
-        this.building.add(gFrame);
+    finishMeasurement() {
+        const draft = this.measureDraft;
+        if (!draft || draft.points.length < MEASURE_TYPES[draft.type].minPoints) return;
+        const measurement = {
+            id: this.measurements.length + 1,
+            type: draft.type,
+            points: draft.points.map(p => p.toArray()),
+            value: measureValue(draft.type, draft.points)
+        };
+        this.measurements.push(measurement);
+        this.measureGroup.add(createMeasurementObject(draft.type, draft.points));
+        this.cancelMeasureDraft();
+        this.renderMeasurementList();
+    }
 
-        // Front door on main house (not garage)
-        const doorW = 0.8;
-        const doorH = 2.0;
-        const door = new THREE.Mesh(new THREE.BoxGeometry(doorW, doorH, 0.06), blueMat);
-        door.position.set(cx - garageW * 0.5, groundY + doorH / 2, cz + garageD / 2 + 0.06);
-        door.castShadow = true;
-        this.building.add(door);
-        
-        // Front door frame
-        const doorFrame = new THREE.Mesh(new THREE.BoxGeometry(doorW * 1.1, doorH * 1.1, 0.03), whiteMat);
-        doorFrame.position.copy(door.position);
-        this.building.add(doorFrame);
+    cancelMeasureDraft() {
+        this.measureDraft = null;
+        if (this.draftGroup) this.clearGroup(this.draftGroup);
+    }
 
-        // Door handle
-        const handle = new THREE.Mesh(new THREE.SphereGeometry(0.02, 8, 6), whiteMat);
-        handle.position.set(cx - garageW * 0.5 + doorW * 0.3, groundY + doorH / 2, cz + garageD / 2 + 0.1);
-        this.building.add(handle);
+    clearMeasurements() {
+        this.cancelMeasureDraft();
+        this.measurements = [];
+        this.measureGroup?.children
+            .filter(child => child !== this.draftGroup)
+            .forEach(child => {
+                this.measureGroup.remove(child);
+                disposeObject3D(child);
+            });
+        this.renderMeasurementList();
     }
 
-    addUKWhiteTrims(w, d, h, cx, groundY) {
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
+    // Labels carry the display units, so they're redrawn when the units change
+    redrawMeasurements() {
+        this.measureGroup?.children
+            .filter(child => child !== this.draftGroup)
+            .forEach(child => {
+                this.measureGroup.remove(child);
+                disposeObject3D(child);
+            });
+        this.measurements.forEach(m => {
+            this.measureGroup?.add(createMeasurementObject(m.type, m.points.map(p => new THREE.Vector3().fromArray(p))));
         });
+        this.renderMeasurementList();
+    }
 
-        // Lintels above windows
-        const lintel1 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.4, 0.1, 0.1), whiteMat);
-        lintel1.position.set(cx + w * 0.35, groundY + 1.0, d / 2 + 0.05);
-        this.building.add(lintel1);
+    clearGroup(group) {
+        group.children.slice().forEach(child => {
+            group.remove(child);
+            disposeObject3D(child);
+        });
+    }
 
-        const lintel2 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.6, 0.1, 0.1), whiteMat);
-        lintel2.position.set(cx, groundY + 2.0, d / 2 + 0.05);
-        this.building.add(lintel2);
+    renderMeasurementList() {
+        const list = document.getElementById('measurement-list');
+        if (!list) return;
+        list.replaceChildren(...this.measurements.map(m => {
+            const row = document.createElement('li');
+            row.textContent = `${MEASURE_TYPES[m.type].label} ${m.id}: ${formatMeasureValue(m.type, m.value)}`;
+            return row;
+        }));
     }
 
-    addUKDetails(houseW, houseD, houseH, garageW, garageH, garageD, groundY) {
-        // Chimney
-        const chimneyGeom = new THREE.BoxGeometry(houseW * 0.08, houseH * 0.3, houseD * 0.08);
-        const brickMat = new THREE.MeshPhongMaterial({ 
-            color: 0xd4a574, 
-            transparent: true, 
-            opacity: 0.95 
+    // One row per measurement, points as x/y/z triples in metres
+    exportMeasurements() {
+        if (!this.measurements.length) {
+            showDesignerNotice('There are no measurements to export yet.');
+            return;
+        }
+        const rows = [['id', 'type', 'value', 'unit', 'points']];
+        this.measurements.forEach(m => {
+            const points = m.points.map(p => p.map(v => v.toFixed(3)).join(' ')).join('; ');
+            rows.push([m.id, m.type, m.value.toFixed(3), MEASURE_TYPES[m.type].unit, points]);
         });
-        const chimney = new THREE.Mesh(chimneyGeom, brickMat);
-        chimney.position.set(houseW * 0.4, houseH + houseH * 0.15 + groundY, houseD * 0.3);
-        chimney.castShadow = true;
-        this.building.add(chimney);
+        const csv = rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\r\n');
+        downloadFile(csv, this.getExportFileName('measurements.csv'), 'text/csv');
+    }
 
-        // Gutters
-        const gutterMat = new THREE.MeshPhongMaterial({ 
-            color: 0x2f2f2f, 
-            transparent: true, 
-            opacity: 0.9 
+    // Dimension lines drawn on the model, one toggleable group per DIMENSION_GROUPS entry
+    updateDimensions() {
+        if (!this.scene || !this.building) return;
+        if (!this.dimensionGroup) {
+            this.dimensionGroup = new THREE.Group();
+            this.dimensionGroup.name = 'dimensions';
+            this.scene.add(this.dimensionGroup);
+        }
+        this.clearGroup(this.dimensionGroup);
+
+        const extensions = this.building.children.filter(child => child.userData.extension);
+        const builders = {
+            overall: () => this.createOverallDimensions(),
+            blocks: () => Object.values(this.buildingParts).flatMap(group =>
+                createBoxPlanDimensions(getBoxInFrame([group], this.building.matrixWorld), 'top', DIMENSION_OFFSET, this.building.matrixWorld)),
+            extensions: () => extensions.flatMap(group => createExtensionDimensions(group)),
+            heights: () => this.createHeightDimensions(extensions)
+        };
+        DIMENSION_GROUPS.forEach(spec => {
+            const group = new THREE.Group();
+            group.name = `dimensions-${spec.key}`;
+            builders[spec.key]().forEach(dim => group.add(dim));
+            this.dimensionGroup.add(group);
         });
-        
-        const frontGutter = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, houseW * 1.2, 8), gutterMat);
-        frontGutter.position.set(houseW * 0.15, houseH + 0.1 + groundY, houseD / 2 + 0.1);
-        frontGutter.rotation.z = Math.PI / 2;
-        this.building.add(frontGutter);
-
-        const backGutter = frontGutter.clone();
-        backGutter.position.z = -houseD / 2 - 0.1;
-        this.building.add(backGutter);
+        this.updateDimensionVisibility();
     }
 
-    // British House Types
-    createTownhouse(floors, width, depth, height, floorHeight, features) {
-        // Main structure - typical British townhouse proportions
-        const mainGeometry = new THREE.BoxGeometry(width, height, depth);
-        const mainMaterial = new THREE.MeshPhongMaterial({
-            color: 0x8B4513, // Brick red
-            transparent: true,
-            opacity: 0.95
+    updateDimensionVisibility() {
+        if (!this.dimensionGroup) return;
+        DIMENSION_GROUPS.forEach(spec => {
+            const group = this.dimensionGroup.getObjectByName(`dimensions-${spec.key}`);
+            if (group) group.visible = readControlValue(spec);
         });
-        const mainBuilding = new THREE.Mesh(mainGeometry, mainMaterial);
-        mainBuilding.position.y = height / 2;
-        mainBuilding.castShadow = true;
-        mainBuilding.receiveShadow = true;
-        this.building.add(mainBuilding);
-
-        // Add foundation
-        this.addFoundation(width, depth);
-
-        // Add brick exterior walls
-        this.addBrickWalls(width, depth, height, floorHeight);
-
-        // Traditional sash windows
-        if (features.windows) {
-            this.addSashWindows(width, depth, height, floors, floorHeight);
-        }
+    }
 
-        // Traditional front door with steps
-        this.addTraditionalDoor(width, depth, floorHeight);
+    // Width and depth of the whole model (host plus extensions) at ground level
+    createOverallDimensions() {
+        const frame = this.building.matrixWorld;
+        const box = getBoxInFrame(this.building.children, frame);
+        if (box.isEmpty()) return [];
+        return createBoxPlanDimensions(box, 'ground', DIMENSION_OFFSET * 2, frame);
+    }
 
-        // Traditional pitched roof
-        if (features.roof) {
-            this.addPitchedRoof(width, depth, height);
-        }
-        
-        // Small balconies on upper floors
-        if (features.balconies) {
-            this.addTownhouseBalconies(width, depth, height, floors, floorHeight);
-        }
-        
-        // Traditional lighting
-        if (features.lighting) {
-            this.addTraditionalLighting(width, depth, height, floors, floorHeight);
+    // Host eaves and ridge at its front-right corner, then each extension's at its outer corner
+    createHeightDimensions(extensions) {
+        const dims = [];
+        const host = this.hostBox;
+        if (host) {
+            const ridge = this.getHostRidgeHeight();
+            const corner = (d) => new THREE.Vector3(host.max.x + d, 0, host.max.z + DIMENSION_OFFSET).applyMatrix4(this.building.matrixWorld);
+            const base = corner(DIMENSION_OFFSET);
+            dims.push(createDimensionLine(base, base.clone().setY(host.max.y), `Eaves ${formatLength(host.max.y)}`));
+            if (ridge > host.max.y + 0.05) {
+                const outer = corner(DIMENSION_OFFSET * 2);
+                dims.push(createDimensionLine(outer, outer.clone().setY(ridge), `Ridge ${formatLength(ridge)}`));
+            }
         }
-
-        // Add traditional architectural details
-        this.addTownhouseDetails(width, depth, height, floors, floorHeight);
+        extensions.forEach(group => {
+            const { length, width, eavesHeight, ridgeHeight } = group.userData.extension;
+            const corner = (d) => new THREE.Vector3(width / 2 + d, 0, length / 2 + d).applyMatrix4(group.matrixWorld);
+            const base = corner(DIMENSION_OFFSET);
+            dims.push(createDimensionLine(base, base.clone().setY(eavesHeight), `Eaves ${formatLength(eavesHeight)}`));
+            if (ridgeHeight > eavesHeight + 0.05) {
+                const outer = corner(DIMENSION_OFFSET * 2);
+                dims.push(createDimensionLine(outer, outer.clone().setY(ridgeHeight), `Ridge ${formatLength(ridgeHeight)}`));
+            }
+        });
+        return dims;
     }
 
-    createTerraceHouse(floors, width, depth, height, floorHeight, features) {
-        // Main structure - narrow terrace house
-        const mainGeometry = new THREE.BoxGeometry(width, height, depth);
-        const mainMaterial = new THREE.MeshPhongMaterial({
-            color: 0x8B4513, // Brick red
-            transparent: true,
-            opacity: 0.95
+    // 45-degree rule: each neighbour window against every extension, drawn in the scene and
+    // summarised as text for the design and access statement
+    updateDaylightCheck() {
+        if (!this.building) return;
+        if (this.scene && !this.daylightGroup) {
+            this.daylightGroup = new THREE.Group();
+            this.daylightGroup.name = 'daylight-45';
+            this.scene.add(this.daylightGroup);
+        }
+        if (this.daylightGroup) this.clearGroup(this.daylightGroup);
+
+        const extensions = this.building.children.filter(child => child.userData.extension);
+        this.daylightResults = this.neighbourWindows.map((win, index) => {
+            const checks = extensions.map(group => checkFortyFiveDegreeRule(win, group));
+            if (this.daylightGroup) {
+                this.daylightGroup.add(createFortyFiveDegreeGuides(win, index));
+                checks.forEach(check => check.breachCells.forEach(cell => this.daylightGroup.add(createBreachCell(cell))));
+            }
+            return { index, window: win, checks };
         });
-        const mainBuilding = new THREE.Mesh(mainGeometry, mainMaterial);
-        mainBuilding.position.y = height / 2;
-        mainBuilding.castShadow = true;
-        mainBuilding.receiveShadow = true;
-        this.building.add(mainBuilding);
 
-        // Add foundation
-        this.addFoundation(width, depth);
-
-        // Add brick exterior walls
-        this.addBrickWalls(width, depth, height, floorHeight);
-
-        // Bay windows and sash windows
-        if (features.windows) {
-            this.addBayWindows(width, depth, height, floors, floorHeight);
-        }
+        const summary = document.getElementById('daylight-summary');
+        if (summary) summary.textContent = formatDaylightSummary(this.daylightResults);
+    }
 
-        // Traditional front door with steps
-        this.addTraditionalDoor(width, depth, floorHeight);
+    // Class A permitted development verdict for every extension, against the host as built
+    updatePermittedDevelopment() {
+        if (!this.building || !this.hostBox) return;
+        const host = {
+            eaves: this.hostBox.max.y,
+            ridge: this.getHostRidgeHeight(),
+            size: this.hostBox.getSize(new THREE.Vector3())
+        };
+        const site = this.siteMetrics;
+        const attachment = readControlValue(DESIGNER_FIELDS.find(spec => spec.key === 'attachment'));
+        this.pdResults = this.building.children
+            .filter(child => child.userData.extension)
+            .map(group => {
+                const info = group.userData.extension;
+                const ext = this.extensions[info.index];
+                const plot = site ? { coverage: site.coverage, ...site.extensionMetrics[info.index] } : null;
+                return { index: info.index, side: info.side, ...checkClassA(ext, info, host, attachment, plot) };
+            });
+        this.renderPermittedDevelopment();
+    }
 
-        // Traditional pitched roof
-        if (features.roof) {
-            this.addPitchedRoof(width, depth, height);
-        }
-        
-        // Small balconies
-        if (features.balconies) {
-            this.addTerraceBalconies(width, depth, height, floors, floorHeight);
-        }
-        
-        // Traditional lighting
-        if (features.lighting) {
-            this.addTraditionalLighting(width, depth, height, floors, floorHeight);
+    renderPermittedDevelopment() {
+        const out = document.getElementById('pd-results');
+        if (!out) return;
+        if (!this.pdResults.length) {
+            out.textContent = 'Add an extension to check it against Class A.';
+            return;
         }
-
-        // Add terrace house details
-        this.addTerraceDetails(width, depth, height, floors, floorHeight);
+        out.replaceChildren(...this.pdResults.map(result => {
+            const section = document.createElement('div');
+            section.className = `pd-extension pd-${result.verdict}`;
+            const heading = document.createElement('h4');
+            heading.textContent = `Extension ${result.index + 1} (${result.side}): ${PD_VERDICT_LABELS[result.verdict]}`;
+            const list = document.createElement('ul');
+            result.rules.forEach(rule => {
+                const item = document.createElement('li');
+                item.className = `pd-rule pd-${rule.status}`;
+                item.textContent = `${PD_STATUS_LABELS[rule.status]} ${rule.ref} ${rule.title}: ${rule.reason}`;
+                list.appendChild(item);
+            });
+            section.append(heading, list);
+            return section;
+        }), Object.assign(document.createElement('p'), { className: 'pd-note', textContent: PD_DISCLAIMER }));
     }
 
-    // British House Components
-    addBrickWalls(width, depth, height, floorHeight) {
-        // Front wall with brick texture
-        const frontWallGeometry = new THREE.BoxGeometry(width, height, 0.2);
-        const frontWallMaterial = new THREE.MeshPhongMaterial({
-            color: 0x8B4513,
-            transparent: true,
-            opacity: 0.9
-        });
-        const frontWall = new THREE.Mesh(frontWallGeometry, frontWallMaterial);
-        frontWall.position.set(0, height / 2, depth / 2 + 0.1);
-        frontWall.castShadow = true;
-        this.building.add(frontWall);
-
-        // Back wall
-        const backWall = frontWall.clone();
-        backWall.position.z = -depth / 2 - 0.1;
-        this.building.add(backWall);
-
-        // Side walls
-        const sideWallGeometry = new THREE.BoxGeometry(0.2, height, depth);
-        const sideWallMaterial = new THREE.MeshPhongMaterial({
-            color: 0x8B4513,
-            transparent: true,
-            opacity: 0.9
+    // House openings (from placed) on the wall an extension is built against, below its top
+    getClosedOffOpenings(group, placed) {
+        const info = group.userData.extension;
+        const centre = this.hostBox.getCenter(new THREE.Vector3());
+        const along = info.side === 'front' || info.side === 'back' ? 'x' : 'z';
+        const [lo, hi] = [group.position[along] - info.width / 2, group.position[along] + info.width / 2];
+        return placed.filter(opening => {
+            if (opening.host !== 'house' || opening.facade !== info.side || opening.sill >= info.height) return false;
+            const mid = centre[along] + opening.offset;
+            return mid + opening.width / 2 > lo && mid - opening.width / 2 < hi;
         });
-        
-        const leftWall = new THREE.Mesh(sideWallGeometry, sideWallMaterial);
-        leftWall.position.set(-width / 2 - 0.1, height / 2, 0);
-        leftWall.castShadow = true;
-        this.building.add(leftWall);
-
-        const rightWall = leftWall.clone();
-        rightWall.position.x = width / 2 + 0.1;
-        this.building.add(rightWall);
     }
 
-    addSashWindows(width, depth, height, floors, floorHeight) {
-        for (let i = 0; i < floors; i++) {
-            // Front sash windows
-            for (let j = 0; j < 2; j++) {
-                const windowWidth = width * 0.3;
-                const windowHeight = floorHeight * 0.7;
-                
-                // Window frame
-                const frameGeometry = new THREE.BoxGeometry(windowWidth + 0.1, windowHeight + 0.1, 0.05);
-                const frameMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x8B4513,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-                frame.position.set(
-                    (j - 0.5) * width * 0.6,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.15
-                );
-                frame.castShadow = true;
-                this.building.add(frame);
-
-                // Window glass
-                const glassGeometry = new THREE.PlaneGeometry(windowWidth, windowHeight);
-                const glassMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x87ceeb,
-                    transparent: true,
-                    opacity: 0.7,
-                    side: THREE.DoubleSide
-                });
-                const glass = new THREE.Mesh(glassGeometry, glassMaterial);
-                glass.position.set(
-                    (j - 0.5) * width * 0.6,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.175
-                );
-                this.building.add(glass);
-
-                // Window sill
-                const sillGeometry = new THREE.BoxGeometry(windowWidth + 0.2, 0.1, 0.2);
-                const sillMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x696969,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                const sill = new THREE.Mesh(sillGeometry, sillMaterial);
-                sill.position.set(
-                    (j - 0.5) * width * 0.6,
-                    i * floorHeight + floorHeight / 2 - windowHeight / 2 - 0.05,
-                    depth / 2 + 0.2
-                );
-                sill.castShadow = true;
-                this.building.add(sill);
-            }
-
-            // Side windows
-            const sideWindowWidth = depth * 0.6;
-            const sideWindowHeight = floorHeight * 0.7;
-            
-            // Side window frame
-            const sideFrameGeometry = new THREE.BoxGeometry(0.05, sideWindowHeight + 0.1, sideWindowWidth + 0.1);
-            const sideFrameMaterial = new THREE.MeshPhongMaterial({
-                color: 0x8B4513,
-                transparent: true,
-                opacity: 0.9
+    // Part L glazing allowance for every extension: windows, doors and roof lights on the
+    // extension against a quarter of its floor area plus the house openings it closes off
+    updateGlazingCheck() {
+        if (!this.building || !this.hostBox) return;
+        const placed = this.getPlacedOpenings();
+        this.glazingResults = this.building.children
+            .filter(child => child.userData.extension)
+            .map(group => {
+                const info = group.userData.extension;
+                const removed = this.getClosedOffOpenings(group, placed);
+                const own = placed.filter(opening => opening.host === `extension-${info.index + 1}`);
+                return { index: info.index, side: info.side, ...checkGlazingArea(info, own, removed) };
             });
-            const sideFrame = new THREE.Mesh(sideFrameGeometry, sideFrameMaterial);
-            sideFrame.position.set(width / 2 + 0.15, i * floorHeight + floorHeight / 2, 0);
-            sideFrame.castShadow = true;
-            this.building.add(sideFrame);
-
-            // Side window glass
-            const sideGlassGeometry = new THREE.PlaneGeometry(sideWindowWidth, sideWindowHeight);
-            const sideGlassMaterial = new THREE.MeshPhongMaterial({
-                color: 0x87ceeb,
-                transparent: true,
-                opacity: 0.6,
-                side: THREE.DoubleSide
-            });
-            const sideGlass = new THREE.Mesh(sideGlassGeometry, sideGlassMaterial);
-            sideGlass.position.set(width / 2 + 0.175, i * floorHeight + floorHeight / 2, 0);
-            sideGlass.rotation.y = Math.PI / 2;
-            this.building.add(sideGlass);
-        }
+        this.renderGlazingCheck();
     }
 
-    addBayWindows(width, depth, height, floors, floorHeight) {
-        for (let i = 0; i < floors; i++) {
-            // Bay window on front
-            const bayWidth = width * 0.4;
-            const bayDepth = depth * 0.2;
-            const bayHeight = floorHeight * 0.7;
-            
-            // Bay window structure
-            const bayGeometry = new THREE.BoxGeometry(bayWidth, bayHeight, bayDepth);
-            const bayMaterial = new THREE.MeshPhongMaterial({
-                color: 0x8B4513,
-                transparent: true,
-                opacity: 0.9
-            });
-            const bay = new THREE.Mesh(bayGeometry, bayMaterial);
-            bay.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + bayDepth / 2 + 0.1);
-            bay.castShadow = true;
-            this.building.add(bay);
-
-            // Bay window glass
-            const bayGlassGeometry = new THREE.PlaneGeometry(bayWidth * 0.8, bayHeight * 0.8);
-            const bayGlassMaterial = new THREE.MeshPhongMaterial({
-                color: 0x87ceeb,
-                transparent: true,
-                opacity: 0.7,
-                side: THREE.DoubleSide
-            });
-            const bayGlass = new THREE.Mesh(bayGlassGeometry, bayGlassMaterial);
-            bayGlass.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + bayDepth + 0.15);
-            this.building.add(bayGlass);
-
-            // Regular sash windows on sides
-            for (let j = 0; j < 2; j++) {
-                const windowWidth = width * 0.25;
-                const windowHeight = floorHeight * 0.6;
-                
-                const frameGeometry = new THREE.BoxGeometry(windowWidth + 0.1, windowHeight + 0.1, 0.05);
-                const frameMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x8B4513,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-                frame.position.set(
-                    (j - 0.5) * width * 0.7,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.15
-                );
-                frame.castShadow = true;
-                this.building.add(frame);
-
-                const glassGeometry = new THREE.PlaneGeometry(windowWidth, windowHeight);
-                const glassMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x87ceeb,
-                    transparent: true,
-                    opacity: 0.7,
-                    side: THREE.DoubleSide
-                });
-                const glass = new THREE.Mesh(glassGeometry, glassMaterial);
-                glass.position.set(
-                    (j - 0.5) * width * 0.7,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.175
-                );
-                this.building.add(glass);
-            }
+    renderGlazingCheck() {
+        const out = document.getElementById('glazing-check');
+        if (!out) return;
+        if (!this.glazingResults.length) {
+            out.textContent = 'Add an extension to check its glazing area.';
+            return;
         }
+        out.replaceChildren(...this.glazingResults.map(result => {
+            const section = document.createElement('div');
+            section.className = `pd-extension pd-${result.over ? 'fail' : 'pass'}`;
+            const heading = document.createElement('h4');
+            heading.textContent = `Extension ${result.index + 1} (${result.side}): ${formatArea(result.area)} of openings against ${formatArea(result.limit)} allowed`
+                + ` (${Math.round(result.ratio * 100)}% of the floor area)`;
+            const table = document.createElement('table');
+            table.className = 'report-table';
+            const addRow = (cells, className) => {
+                const tr = table.insertRow();
+                if (className) tr.className = className;
+                cells.forEach(text => { tr.insertCell().textContent = text; });
+            };
+            addRow(['', 'Area', 'Running total'], 'room-head');
+            result.items.forEach(item => addRow([item.name, formatArea(item.area), formatArea(item.total)], item.over ? 'glazing-over' : ''));
+            const basis = document.createElement('p');
+            basis.className = 'pd-note';
+            basis.textContent = `Limit: ${Math.round(PART_L_GLAZING_RATIO * 100)}% of ${formatArea(result.floorArea)} floor area`
+                + (result.removed.length ? ` plus ${formatArea(result.removedArea)} of openings closed off (${result.removed.join(', ')})` : '') + '.';
+            section.append(heading, table, basis);
+            return section;
+        }), Object.assign(document.createElement('p'), { className: 'pd-note', textContent: PART_L_DISCLAIMER }));
     }
 
-    addTraditionalDoor(width, depth, floorHeight) {
-        // Front door with steps
-        const doorWidth = width * 0.25;
-        const doorHeight = floorHeight * 0.8;
-        
-        // Door frame
-        const doorFrameGeometry = new THREE.BoxGeometry(doorWidth + 0.1, doorHeight + 0.1, 0.05);
-        const doorFrameMaterial = new THREE.MeshPhongMaterial({
-            color: 0x8B4513,
-            transparent: true,
-            opacity: 0.9
+    // Fabric heat loss (sum of U x A per element) and peak demand for the house as it stands,
+    // each extension and the whole house once extended. Walls are the parts of each block's or
+    // extension's sides not against another, less their openings; the house roof is taken as
+    // its plan area (insulated at ceiling level) and an extension's as its roof surface.
+    updateHeatLoss() {
+        if (!this.building || !this.hostBox) return;
+        const value = key => readControlValue(DESIGNER_FIELDS.find(spec => spec.key === key));
+        const uValues = {};
+        HEAT_LOSS_ELEMENTS.forEach(element => { uValues[element.key] = value(element.field); });
+        const deltaT = value('insideTemp') - value('outsideTemp');
+
+        const blocks = this.getRoomBlocks().map(block => ({ ...block, h: block.floors * block.storeyHeight }));
+        const extensions = this.building.children.filter(child => child.userData.extension).map(group => {
+            const info = group.userData.extension;
+            const endOn = info.side === 'front' || info.side === 'back';
+            return {
+                info,
+                cx: group.position.x, cz: group.position.z,
+                w: endOn ? info.width : info.length, d: endOn ? info.length : info.width,
+                h: info.height
+            };
         });
-        const doorFrame = new THREE.Mesh(doorFrameGeometry, doorFrameMaterial);
-        doorFrame.position.set(0, floorHeight / 2, depth / 2 + 0.15);
-        doorFrame.castShadow = true;
-        this.building.add(doorFrame);
+        const openings = this.getPlacedOpenings();
+        // House openings an extension is built against are gone once it's built
+        const closedOff = new Set(this.building.children
+            .filter(child => child.userData.extension)
+            .flatMap(group => this.getClosedOffOpenings(group, openings)));
+        const openingAreas = (host, extended = false) => {
+            const own = openings.filter(opening => opening.host === host && !(extended && closedOff.has(opening)));
+            const sum = list => list.reduce((total, opening) => total + opening.area, 0);
+            return { window: sum(own.filter(opening => opening.glazed)), door: sum(own.filter(opening => !opening.glazed)) };
+        };
 
-        // Door
-        const doorGeometry = new THREE.BoxGeometry(doorWidth, doorHeight, 0.1);
-        const doorMaterial = new THREE.MeshPhongMaterial({
-            color: 0x654321,
-            transparent: true,
-            opacity: 0.9
+        const houseOpenings = openingAreas('house');
+        const house = {
+            name: 'House as it stands',
+            areas: {
+                wall: blocks.reduce((sum, block) => sum + getExposedWallArea(block, blocks.filter(other => other !== block)), 0),
+                roof: blocks.reduce((sum, block) => sum + block.w * block.d, 0),
+                floor: blocks.reduce((sum, block) => sum + block.w * block.d, 0),
+                ...houseOpenings
+            }
+        };
+        // Against the extensions, some of the house walls become internal
+        const extendedWall = blocks.reduce((sum, block) => sum + getExposedWallArea(block, [...blocks.filter(other => other !== block), ...extensions]), 0);
+        const parts = extensions.map(ext => {
+            const own = openingAreas(`extension-${ext.info.index + 1}`);
+            const rooflight = ext.info.rooflightArea || 0;
+            return {
+                name: `Extension ${ext.info.index + 1}`,
+                areas: {
+                    wall: getExposedWallArea(ext, [...blocks, ...extensions.filter(other => other !== ext)]),
+                    roof: (ext.info.roofArea || ext.w * ext.d) - rooflight,
+                    floor: ext.w * ext.d,
+                    rooflight,
+                    ...own
+                }
+            };
         });
-        const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, floorHeight / 2, depth / 2 + 0.175);
-        door.castShadow = true;
-        this.building.add(door);
-
-        // Door handle
-        const handleGeometry = new THREE.SphereGeometry(0.02, 8, 6);
-        const handleMaterial = new THREE.MeshPhongMaterial({
-            color: 0xffd700,
-            transparent: true,
-            opacity: 0.9
+        const whole = { name: 'Whole house, extended', areas: { ...house.areas, wall: extendedWall, ...openingAreas('house', true) } };
+        parts.forEach(part => {
+            Object.entries(part.areas).forEach(([key, area]) => { whole.areas[key] = (whole.areas[key] || 0) + area; });
         });
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.set(doorWidth * 0.3, floorHeight / 2, depth / 2 + 0.2);
-        this.building.add(handle);
 
-        // Front steps
-        for (let i = 0; i < 3; i++) {
-            const stepGeometry = new THREE.BoxGeometry(doorWidth + 0.4, 0.15, 0.3);
-            const stepMaterial = new THREE.MeshPhongMaterial({
-                color: 0x696969,
-                transparent: true,
-                opacity: 0.9
+        this.heatLossResults = [house, ...parts, ...(parts.length ? [whole] : [])]
+            .map(({ name, areas }) => ({ name, ...calculateFabricHeatLoss(areas, uValues, deltaT) }));
+        this.renderHeatLoss(deltaT);
+    }
+
+    renderHeatLoss(deltaT) {
+        const out = document.getElementById('heat-loss-report');
+        if (!out) return;
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const addRow = (cells, className) => {
+            const tr = table.insertRow();
+            if (className) tr.className = className;
+            cells.forEach(text => { tr.insertCell().textContent = text; });
+        };
+        this.heatLossResults.forEach(result => {
+            addRow([result.name, 'Area', 'U (W/m²K)', 'W/K'], 'room-head');
+            result.elements.forEach(element => {
+                addRow([element.label, formatArea(element.area), element.u.toFixed(2), element.ua.toFixed(1)]);
             });
-            const step = new THREE.Mesh(stepGeometry, stepMaterial);
-            step.position.set(0, i * 0.15, depth / 2 + 0.3 + i * 0.3);
-            step.castShadow = true;
-            this.building.add(step);
+            addRow(['Fabric heat loss', '', '', result.ua.toFixed(1)], 'room-total');
+            addRow([`Peak demand at ${deltaT.toFixed(0)} K`, '', '', `${(result.peak / 1000).toFixed(2)} kW`], 'room-total');
+        });
+        out.replaceChildren(table, Object.assign(document.createElement('p'), { className: 'pd-note', textContent: HEAT_LOSS_NOTE }));
+    }
+
+    copyDaylightSummary() {
+        const text = formatDaylightSummary(this.daylightResults);
+        if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(text)
+                .then(() => showDesignerNotice('45-degree summary copied to the clipboard.'))
+                .catch(() => window.prompt('Copy the 45-degree summary:', text));
+        } else {
+            // No async clipboard (e.g. plain http); let the user copy it by hand
+            window.prompt('Copy the 45-degree summary:', text);
         }
     }
 
-    addPitchedRoof(width, depth, height) {
-        // Traditional pitched roof
-        const roofGeometry = new THREE.ConeGeometry(width * 0.7, height * 0.3, 4);
-        const roofMaterial = new THREE.MeshPhongMaterial({
-            color: 0x2F4F4F, // Dark slate
+    // Rebuild every extension in this.extensions against the current host house
+    addExtensions() {
+        this.extensions.forEach((ext, index) => {
+            const roof = { type: ext.roofType, pitch: ext.roofPitch, overhang: ext.roofOverhang, rooflights: ext.rooflights };
+            const finishes = { wallFinish: ext.wallFinish, roofCovering: ext.roofCovering, frameMaterial: ext.frameMaterial, glazing: ext.glazing };
+            this.addExtension(ext.side, ext.length, ext.width, ext.floors, { offset: ext.offset, color: ext.color, roof, index, ...finishes });
+        });
+    }
+
+    // Modern Building Features
+    addModernRoof(width, depth, height) {
+        const roofGeometry = new THREE.ConeGeometry(width * 0.7, height * 0.2, 4);
+        const roofMaterial = createElementMaterial('roof', {
+            color: 0x4a4a5e,
             transparent: true,
             opacity: 0.9
         });
         const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-        roof.position.set(0, height + height * 0.15, 0);
+        roof.position.set(0, height + height * 0.1, 0);
         roof.rotation.y = Math.PI / 4;
         roof.castShadow = true;
         this.building.add(roof);
-
-        // Chimney
-        const chimneyGeometry = new THREE.BoxGeometry(width * 0.1, height * 0.2, depth * 0.1);
-        const chimneyMaterial = new THREE.MeshPhongMaterial({
-            color: 0x8B4513,
-            transparent: true,
-            opacity: 0.9
-        });
-        const chimney = new THREE.Mesh(chimneyGeometry, chimneyMaterial);
-        chimney.position.set(width * 0.3, height + height * 0.1, depth * 0.3);
-        chimney.castShadow = true;
-        this.building.add(chimney);
     }
 
-    addTownhouseBalconies(width, depth, height, floors, floorHeight) {
-        for (let i = 1; i < floors; i++) {
-            const balconyGeometry = new THREE.BoxGeometry(width * 0.6, 0.1, depth * 0.2);
+    addBalconies(width, depth, height, floors, floorHeight) {
+        for (let i = 1; i < floors; i += 2) {
+            const balconyGeometry = new THREE.BoxGeometry(width * 0.8, 0.2, depth * 0.3);
             const balconyMaterial = new THREE.MeshPhongMaterial({
-                color: 0x696969,
+                color: 0x5a5a6e,
                 transparent: true,
                 opacity: 0.9
             });
             const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
-            balcony.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.1);
+            balcony.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.15);
             balcony.castShadow = true;
             this.building.add(balcony);
 
             // Balcony railing
-            const railingGeometry = new THREE.BoxGeometry(width * 0.6, floorHeight * 0.2, 0.05);
+            const railingGeometry = new THREE.BoxGeometry(width * 0.8, floorHeight * 0.3, 0.1);
             const railingMaterial = new THREE.MeshPhongMaterial({
-                color: 0x8B4513,
+                color: 0x6a6a7e,
                 transparent: true,
                 opacity: 0.8
             });
             const railing = new THREE.Mesh(railingGeometry, railingMaterial);
-            railing.position.set(0, i * floorHeight + floorHeight / 2 + floorHeight * 0.1, depth / 2 + depth * 0.15);
+            railing.position.set(0, i * floorHeight + floorHeight / 2 + floorHeight * 0.15, depth / 2 + depth * 0.2);
             this.building.add(railing);
         }
     }
 
-    addTerraceBalconies(width, depth, height, floors, floorHeight) {
-        for (let i = 1; i < floors; i++) {
-            const balconyGeometry = new THREE.BoxGeometry(width * 0.4, 0.1, depth * 0.15);
-            const balconyMaterial = new THREE.MeshPhongMaterial({
-                color: 0x696969,
+    addModernLighting(width, depth, height, floors, floorHeight) {
+        for (let i = 0; i < floors; i++) {
+            const lightGeometry = new THREE.BoxGeometry(width * 0.9, 0.05, 0.05);
+            const lightMaterial = new THREE.MeshBasicMaterial({
+                color: 0x00d4ff,
                 transparent: true,
-                opacity: 0.9
+                opacity: 0.8
             });
-            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
-            balcony.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.08);
-            balcony.castShadow = true;
-            this.building.add(balcony);
+            const light = new THREE.Mesh(lightGeometry, lightMaterial);
+            light.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + 0.1);
+            this.building.add(light);
+        }
+    }
 
-            // Balcony railing
-            const railingGeometry = new THREE.BoxGeometry(width * 0.4, floorHeight * 0.15, 0.05);
-            const railingMaterial = new THREE.MeshPhongMaterial({
-                color: 0x8B4513,
+    // Cyberpunk Building Features
+    addCyberpunkRoof(width, depth, height, features) {
+        const roofGeometry = new THREE.ConeGeometry(width * 0.6, height * 0.25, 8);
+        const roofMaterial = createElementMaterial('roof', {
+            color: 0x3a1a4e,
+            transparent: true,
+            opacity: 0.9
+        });
+        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
+        roof.position.set(0, height + height * 0.125, 0);
+        roof.castShadow = true;
+        this.building.add(roof);
+
+        // Solar panels
+        if (features.solarPanels) {
+            const panelGeometry = new THREE.BoxGeometry(width * 0.3, 0.1, depth * 0.4);
+            const panelMaterial = new THREE.MeshPhongMaterial({
+                color: 0x1a1a1a,
                 transparent: true,
-                opacity: 0.8
+                opacity: 0.9
             });
-            const railing = new THREE.Mesh(railingGeometry, railingMaterial);
-            railing.position.set(0, i * floorHeight + floorHeight / 2 + floorHeight * 0.08, depth / 2 + depth * 0.12);
-            this.building.add(railing);
+            const panel = new THREE.Mesh(panelGeometry, panelMaterial);
+            panel.position.set(0, height + height * 0.2, 0);
+            this.building.add(panel);
         }
     }
 
-    addTraditionalLighting(width, depth, height, floors, floorHeight) {
-        // Traditional wall lights
-        for (let i = 0; i < floors; i++) {
-            const lightGeometry = new THREE.SphereGeometry(width * 0.03, 8, 6);
-            const lightMaterial = new THREE.MeshBasicMaterial({
-                color: 0xffd700,
+    addTechBalconies(width, depth, height, floors, floorHeight) {
+        for (let i = 1; i < floors; i += 3) {
+            const balconyGeometry = new THREE.BoxGeometry(width * 0.4, 0.1, depth * 0.2);
+            const balconyMaterial = new THREE.MeshPhongMaterial({
+                color: 0x4a1a5e,
                 transparent: true,
-                opacity: 0.8
+                opacity: 0.9
             });
-            const light = new THREE.Mesh(lightGeometry, lightMaterial);
-            light.position.set(width * 0.4, i * floorHeight + floorHeight / 2, depth / 2 + 0.1);
-            this.building.add(light);
+            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
+            balcony.position.set(width * 0.3, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.1);
+            balcony.castShadow = true;
+            this.building.add(balcony);
         }
     }
 
-    addTownhouseDetails(width, depth, height, floors, floorHeight) {
-        // Traditional corner columns
-        for (let i = 0; i < 4; i++) {
-            const columnGeometry = new THREE.CylinderGeometry(width * 0.04, width * 0.04, height, 8);
-            const columnMaterial = new THREE.MeshPhongMaterial({
-                color: 0x8B4513,
+    addNeonLighting(width, depth, height, floors, floorHeight) {
+        for (let i = 0; i < floors; i++) {
+            const neonGeometry = new THREE.TorusGeometry(width * 0.15, 0.05, 8, 16);
+            const neonMaterial = new THREE.MeshBasicMaterial({
+                color: 0xff0080,
                 transparent: true,
                 opacity: 0.9
             });
-            const column = new THREE.Mesh(columnGeometry, columnMaterial);
-            
-            const angle = (i * Math.PI) / 2;
-            column.position.set(
-                Math.cos(angle) * (width / 2 + 0.1),
-                height / 2,
-                Math.sin(angle) * (depth / 2 + 0.1)
-            );
-            column.castShadow = true;
-            this.building.add(column);
+            const neon = new THREE.Mesh(neonGeometry, neonMaterial);
+            neon.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.2);
+            neon.rotation.x = Math.PI / 2;
+            this.building.add(neon);
         }
+    }
 
-        // Traditional gutters
-        const gutterGeometry = new THREE.CylinderGeometry(width * 0.02, width * 0.02, width * 1.1, 8);
-        const gutterMaterial = new THREE.MeshPhongMaterial({
-            color: 0x2F4F4F,
+    // Organic Building Features
+    addOrganicRoof(width, depth, height) {
+        const roofGeometry = new THREE.SphereGeometry(width * 0.4, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
+        const roofMaterial = createElementMaterial('roof', {
+            color: 0x4e2a1a,
             transparent: true,
             opacity: 0.9
         });
-        
-        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
-        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
-        frontGutter.rotation.z = Math.PI / 2;
-        this.building.add(frontGutter);
+        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
+        roof.position.set(0, height + height * 0.1, 0);
+        roof.castShadow = true;
+        this.building.add(roof);
+    }
 
-        const backGutter = frontGutter.clone();
-        backGutter.position.z = -depth / 2 - 0.1;
-        this.building.add(backGutter);
+    addFlowingBalconies(width, depth, height, floors, floorHeight) {
+        for (let i = 1; i < floors; i += 2) {
+            const balconyGeometry = new THREE.SphereGeometry(width * 0.2, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2);
+            const balconyMaterial = new THREE.MeshPhongMaterial({
+                color: 0x5e2a1a,
+                transparent: true,
+                opacity: 0.8
+            });
+            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
+            balcony.position.set(
+                Math.sin(i * 0.3) * width * 0.3,
+                i * floorHeight + floorHeight / 2,
+                depth / 2 + depth * 0.1
+            );
+            balcony.castShadow = true;
+            this.building.add(balcony);
+        }
     }
 
-    addTerraceDetails(width, depth, height, floors, floorHeight) {
-        // Terrace house specific details
-        for (let i = 0; i < 2; i++) {
-            const columnGeometry = new THREE.CylinderGeometry(width * 0.03, width * 0.03, height, 8);
-            const columnMaterial = new THREE.MeshPhongMaterial({
-                color: 0x8B4513,
+    addNaturalLighting(width, depth, height, floors, floorHeight) {
+        for (let i = 0; i < floors; i++) {
+            const lightGeometry = new THREE.SphereGeometry(width * 0.05, 8, 6);
+            const lightMaterial = new THREE.MeshBasicMaterial({
+                color: 0x00ff88,
                 transparent: true,
-                opacity: 0.9
+                opacity: 0.7
             });
-            const column = new THREE.Mesh(columnGeometry, columnMaterial);
-            
-            column.position.set(
-                (i === 0 ? -1 : 1) * (width / 2 + 0.1),
-                height / 2,
-                0
+            const light = new THREE.Mesh(lightGeometry, lightMaterial);
+            light.position.set(
+                Math.sin(i * 0.5) * width * 0.4,
+                i * floorHeight + floorHeight / 2,
+                Math.cos(i * 0.5) * depth * 0.4
             );
-            column.castShadow = true;
-            this.building.add(column);
+            this.building.add(light);
         }
+    }
 
-        // Traditional gutters
-        const gutterGeometry = new THREE.CylinderGeometry(width * 0.02, width * 0.02, width * 1.1, 8);
-        const gutterMaterial = new THREE.MeshPhongMaterial({
-            color: 0x2F4F4F,
+    // Geometric Building Features
+    addGeometricRoof(width, depth, height) {
+        const roofGeometry = new THREE.ConeGeometry(width * 0.5, height * 0.3, 6);
+        const roofMaterial = createElementMaterial('roof', {
+            color: 0x3a2a4e,
             transparent: true,
             opacity: 0.9
         });
-        
-        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
-        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
-        frontGutter.rotation.z = Math.PI / 2;
-        this.building.add(frontGutter);
+        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
+        roof.position.set(0, height + height * 0.15, 0);
+        roof.castShadow = true;
+        this.building.add(roof);
+    }
 
-        const backGutter = frontGutter.clone();
-        backGutter.position.z = -depth / 2 - 0.1;
-        this.building.add(backGutter);
+    addAngularBalconies(width, depth, height, floors, floorHeight) {
+        for (let i = 1; i < floors; i += 2) {
+            const balconyGeometry = new THREE.ConeGeometry(width * 0.2, depth * 0.2, 6);
+            const balconyMaterial = new THREE.MeshPhongMaterial({
+                color: 0x4a2a5e,
+                transparent: true,
+                opacity: 0.8
+            });
+            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
+            balcony.position.set(
+                (i % 2 === 0 ? 1 : -1) * width * 0.3,
+                i * floorHeight + floorHeight / 2,
+                depth / 2 + depth * 0.1
+            );
+            balcony.rotation.z = Math.PI;
+            balcony.castShadow = true;
+            this.building.add(balcony);
+        }
     }
 
-    // Detailed Building Components
-    addFoundation(width, depth) {
-        const foundationGeometry = new THREE.BoxGeometry(width * 1.1, 0.5, depth * 1.1);
-        const foundationMaterial = new THREE.MeshPhongMaterial({
-            color: 0x2a2a2a,
-            transparent: true,
-            opacity: 0.95,
-            polygonOffset: true,
-            polygonOffsetFactor: 1,
-            polygonOffsetUnits: 1
+    // Runs build with this.building swapped for a child group scaled from feet to metres, so
+    // layouts drawn from imperial blueprints share units with everything else
+    buildInFeet(build) {
+        const house = this.building;
+        const plan = new THREE.Group();
+        plan.name = `${house.name}-plan`;
+        plan.scale.setScalar(FEET_TO_METRES);
+        house.add(plan);
+        this.building = plan;
+        try {
+            build();
+        } finally {
+            this.building = house;
+        }
+        // The build may stretch the plan to size; anything drawn from the blueprint reads this
+        house.userData.planScale = plan.scale.clone();
+        // Block sizes are read by schedules and site coverage, which work in metres
+        Object.values(this.buildingParts).forEach(group => {
+            const block = group.userData.block;
+            block.w *= plan.scale.x;
+            block.d *= plan.scale.z;
+            block.h *= plan.scale.y;
         });
-        const foundation = new THREE.Mesh(foundationGeometry, foundationMaterial);
-        foundation.position.set(0, -0.26, 0);
-        foundation.castShadow = true;
-        foundation.receiveShadow = true;
-        this.building.add(foundation);
     }
 
-    addExteriorWalls(width, depth, height, floorHeight) {
-        // Front wall with texture
-        const frontWallGeometry = new THREE.BoxGeometry(width, height, 0.2);
-        const frontWallMaterial = new THREE.MeshPhongMaterial({
-            color: 0x4a4a5e,
-            transparent: true,
-            opacity: 0.9
-        });
-        const frontWall = new THREE.Mesh(frontWallGeometry, frontWallMaterial);
-        frontWall.position.set(0, height / 2, depth / 2 + 0.1);
-        frontWall.castShadow = true;
-        this.building.add(frontWall);
+    // Floor Plan House (exact blueprint recreation)
+    // Drawn in feet; generateBuilding builds it through buildInFeet()
+    createUKDetached(floors, width, depth, height, floorHeight, features) {
+        // Ground reference
+        const groundY = 0;
 
-        // Back wall
-        const backWall = frontWall.clone();
-        backWall.position.z = -depth / 2 - 0.1;
-        this.building.add(backWall);
+        // Foundation for entire complex shape
+        this.addFoundation(70, 40); // Larger foundation for L-shape
 
-        // Side walls
-        const sideWallGeometry = new THREE.BoxGeometry(0.2, height, depth);
-        const sideWallMaterial = new THREE.MeshPhongMaterial({
-            color: 0x4a4a5e,
-            transparent: true,
-            opacity: 0.9
+        // Main house material
+        const houseMat = createElementMaterial('wall', {
+            color: 0xd4a574, // Warm brick color
+            transparent: true, 
+            opacity: 0.95 
         });
-        
-        const leftWall = new THREE.Mesh(sideWallGeometry, sideWallMaterial);
-        leftWall.position.set(-width / 2 - 0.1, height / 2, 0);
-        leftWall.castShadow = true;
-        this.building.add(leftWall);
 
-        const rightWall = leftWall.clone();
-        rightWall.position.x = width / 2 + 0.1;
-        this.building.add(rightWall);
-    }
+        // Ensure parts map exists
+        if (!this.buildingParts) this.buildingParts = {};
 
-    addModernWindows(width, depth, height, floors, floorHeight) {
-        for (let i = 0; i < floors; i++) {
-            // Front windows with detailed frames
-            for (let j = 0; j < 3; j++) {
-                const windowWidth = width * 0.25;
-                const windowHeight = floorHeight * 0.6;
-                
-                // Window frame
-                const frameGeometry = new THREE.BoxGeometry(windowWidth + 0.1, windowHeight + 0.1, 0.05);
-                const frameMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x8b4513,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-                frame.position.set(
-                    (j - 1) * width * 0.3,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.15
-                );
-                frame.castShadow = true;
-                this.building.add(frame);
-
-                // Window glass
-                const glassGeometry = new THREE.PlaneGeometry(windowWidth, windowHeight);
-                const glassMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x87ceeb,
-                    transparent: true,
-                    opacity: 0.7,
-                    side: THREE.DoubleSide
-                });
-                const glass = new THREE.Mesh(glassGeometry, glassMaterial);
-                glass.position.set(
-                    (j - 1) * width * 0.3,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.175
-                );
-                this.building.add(glass);
-
-                // Window sill
-                const sillGeometry = new THREE.BoxGeometry(windowWidth + 0.2, 0.1, 0.2);
-                const sillMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x696969,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                const sill = new THREE.Mesh(sillGeometry, sillMaterial);
-                sill.position.set(
-                    (j - 1) * width * 0.3,
-                    i * floorHeight + floorHeight / 2 - windowHeight / 2 - 0.05,
-                    depth / 2 + 0.2
-                );
-                sill.castShadow = true;
-                this.building.add(sill);
-            }
+        // CENTRAL CORE - Great Room, Kitchen, Dining, Entry
+        const coreWidth = 35;  // Main central area
+        const coreDepth = 25;
+        const coreHeight = 10;
+        const coreX = 0;
+        const coreZ = 0;
+        this.addBlockStructure('core', coreX, coreZ, groundY, coreWidth, coreDepth, coreHeight);
 
-            // Side windows
-            const sideWindowWidth = depth * 0.8;
-            const sideWindowHeight = floorHeight * 0.6;
-            
-            // Side window frame
-            const sideFrameGeometry = new THREE.BoxGeometry(0.05, sideWindowHeight + 0.1, sideWindowWidth + 0.1);
-            const sideFrameMaterial = new THREE.MeshPhongMaterial({
-                color: 0x8b4513,
-                transparent: true,
-                opacity: 0.9
-            });
-            const sideFrame = new THREE.Mesh(sideFrameGeometry, sideFrameMaterial);
-            sideFrame.position.set(width / 2 + 0.15, i * floorHeight + floorHeight / 2, 0);
-            sideFrame.castShadow = true;
-            this.building.add(sideFrame);
-
-            // Side window glass
-            const sideGlassGeometry = new THREE.PlaneGeometry(sideWindowWidth, sideWindowHeight);
-            const sideGlassMaterial = new THREE.MeshPhongMaterial({
-                color: 0x87ceeb,
-                transparent: true,
-                opacity: 0.6,
-                side: THREE.DoubleSide
-            });
-            const sideGlass = new THREE.Mesh(sideGlassGeometry, sideGlassMaterial);
-            sideGlass.position.set(width / 2 + 0.175, i * floorHeight + floorHeight / 2, 0);
-            sideGlass.rotation.y = Math.PI / 2;
-            this.building.add(sideGlass);
-        }
-    }
+        // LEFT WING - Bedrooms 2 & 3, Bath, Hall
+        const leftWingWidth = 15;
+        const leftWingDepth = 25;
+        const leftWingHeight = 9; // Slightly lower ceiling
+        
+        const leftWingX = -(coreWidth / 2 + leftWingWidth / 2);
+        const leftWingZ = 0;
+        this.addBlockStructure('leftWing', leftWingX, leftWingZ, groundY, leftWingWidth, leftWingDepth, leftWingHeight);
 
-    addDoors(width, depth, floorHeight) {
-        // Main entrance door
-        const doorWidth = width * 0.2;
-        const doorHeight = floorHeight * 0.8;
+        // RIGHT WING - Master Suite
+        const masterWingWidth = 18;
+        const masterWingDepth = 20;
+        const masterWingHeight = 9;
         
-        // Door frame
-        const doorFrameGeometry = new THREE.BoxGeometry(doorWidth + 0.1, doorHeight + 0.1, 0.05);
-        const doorFrameMaterial = new THREE.MeshPhongMaterial({
-            color: 0x8b4513,
-            transparent: true,
-            opacity: 0.9
-        });
-        const doorFrame = new THREE.Mesh(doorFrameGeometry, doorFrameMaterial);
-        doorFrame.position.set(0, floorHeight / 2, depth / 2 + 0.15);
-        doorFrame.castShadow = true;
-        this.building.add(doorFrame);
+        const masterX = (coreWidth / 2 + masterWingWidth / 2);
+        const masterZ = -(coreDepth / 2 - masterWingDepth / 2) - 2;
+        this.addBlockStructure('masterWing', masterX, masterZ, groundY, masterWingWidth, masterWingDepth, masterWingHeight);
 
-        // Door
-        const doorGeometry = new THREE.BoxGeometry(doorWidth, doorHeight, 0.1);
-        const doorMaterial = new THREE.MeshPhongMaterial({
-            color: 0x654321,
-            transparent: true,
-            opacity: 0.9
-        });
-        const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, floorHeight / 2, depth / 2 + 0.175);
-        door.castShadow = true;
-        this.building.add(door);
+        // TWO-CAR GARAGE - Attached to right side
+        const garageWidth = 24;  // 24' x 22' garage
+        const garageDepth = 22;
+        const garageHeight = 9;
+        
+        const garageX = (coreWidth / 2 + masterWingWidth + garageWidth / 2) + 2;
+        const garageZ = (coreDepth / 2 - garageDepth / 2) + 2;
+        this.addBlockStructure('garage', garageX, garageZ, groundY, garageWidth, garageDepth, garageHeight, { color: 0xcaa06a });
 
-        // Door handle
-        const handleGeometry = new THREE.SphereGeometry(0.02, 8, 6);
-        const handleMaterial = new THREE.MeshPhongMaterial({
-            color: 0xffd700,
-            transparent: true,
-            opacity: 0.9
-        });
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.set(doorWidth * 0.3, floorHeight / 2, depth / 2 + 0.2);
-        this.building.add(handle);
-    }
+        // BREAKFAST NOOK (rear bump-out)
+        const breakfastW = 11.5;
+        const breakfastD = 8;
+        const breakfastH = 9;
+        const breakfastX = coreWidth * 0.15;
+        const breakfastZ = -(coreDepth / 2 + breakfastD / 2);
+        this.addBlockStructure('breakfast', breakfastX, breakfastZ, groundY, breakfastW, breakfastD, breakfastH, { color: 0xd8b07b });
 
-    addArchitecturalDetails(width, depth, height, floors, floorHeight) {
-        // Corner columns
-        for (let i = 0; i < 4; i++) {
-            const columnGeometry = new THREE.CylinderGeometry(width * 0.05, width * 0.05, height, 8);
-            const columnMaterial = new THREE.MeshPhongMaterial({
-                color: 0x696969,
-                transparent: true,
-                opacity: 0.9
-            });
-            const column = new THREE.Mesh(columnGeometry, columnMaterial);
-            
-            const angle = (i * Math.PI) / 2;
-            column.position.set(
-                Math.cos(angle) * (width / 2 + 0.1),
-                height / 2,
-                Math.sin(angle) * (depth / 2 + 0.1)
-            );
-            column.castShadow = true;
-            this.building.add(column);
-        }
+        // DINING (front bump-out)
+        const diningW = 11.5;
+        const diningD = 12;
+        const diningH = 9;
+        const diningX = coreWidth * 0.15;
+        const diningZ = (coreDepth / 2 + diningD / 2);
+        this.addBlockStructure('dining', diningX, diningZ, groundY, diningW, diningD, diningH, { color: 0xd8b07b });
 
-        // Floor separators
-        for (let i = 1; i < floors; i++) {
-            const separatorGeometry = new THREE.BoxGeometry(width * 1.1, 0.1, depth * 1.1);
-            const separatorMaterial = new THREE.MeshPhongMaterial({
-                color: 0x5a5a5a,
-                transparent: true,
-                opacity: 0.8
-            });
-            const separator = new THREE.Mesh(separatorGeometry, separatorMaterial);
-            separator.position.set(0, i * floorHeight, 0);
-            separator.castShadow = true;
-            this.building.add(separator);
+        // Connecting walls between sections
+        this.addConnectingWalls(coreWidth, coreDepth, coreHeight, masterWingWidth, masterWingDepth, masterWingHeight, garageWidth, garageDepth, garageHeight, groundY, houseMat);
+
+        // Covered porches (rear porch centered on back of Great Room, front porch at lower-left)
+        this.addFloorPlanPorches(coreWidth, coreDepth, coreHeight, coreX, groundY);
+
+        // Roofs
+        if (features.roof) {
+            this.addFloorPlanRoof(coreWidth, coreDepth, coreHeight, coreX, groundY);
+            this.addFloorPlanWingRoof(leftWingWidth, leftWingDepth, leftWingHeight, leftWingX, leftWingZ, groundY);
+            this.addFloorPlanWingRoof(masterWingWidth, masterWingDepth, masterWingHeight, masterX, masterZ, groundY);
+            this.addFloorPlanGarageRoof(garageWidth, garageDepth, garageHeight, garageX, garageZ, groundY);
         }
 
-        // Gutters
-        const gutterGeometry = new THREE.CylinderGeometry(width * 0.02, width * 0.02, width * 1.1, 8);
-        const gutterMaterial = new THREE.MeshPhongMaterial({
-            color: 0x2f4f4f,
-            transparent: true,
-            opacity: 0.9
-        });
-        
-        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
-        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
-        frontGutter.rotation.z = Math.PI / 2;
-        this.building.add(frontGutter);
+        // Windows and doors are openings (see UK_DETACHED_OPENINGS), cut in once the plan is built
 
-        const backGutter = frontGutter.clone();
-        backGutter.position.z = -depth / 2 - 0.1;
-        this.building.add(backGutter);
+        // Details
+        if (features.lighting) {
+            this.addFloorPlanDetails(coreWidth, coreDepth, coreHeight, garageWidth, garageHeight, garageDepth, groundY);
+        }
+
+        // Scale overall footprint to match requested width/depth (metres) while preserving height
+        // Base layout was designed around approximately 70 x 40 ft
+        const baseFootprintWidth = 70 * FEET_TO_METRES;
+        const baseFootprintDepth = 40 * FEET_TO_METRES;
+        this.building.scale.x *= width / baseFootprintWidth;
+        this.building.scale.z *= depth / baseFootprintDepth;
     }
 
-    // Cyberpunk Building Components
-    addCyberpunkWalls(width, depth, height, floorHeight) {
-        // Front wall with cyberpunk texture
-        const frontWallGeometry = new THREE.BoxGeometry(width, height, 0.2);
-        const frontWallMaterial = new THREE.MeshPhongMaterial({
-            color: 0x3a1a4e,
-            transparent: true,
-            opacity: 0.9
+    addUKGableRoof(w, d, h, cx, groundY) {
+        // Better gable roof with proper slope
+        const roofHeight = h * 0.4;
+        const roofMat = createElementMaterial('roof', {
+            color: 0x4a4a4a, // Darker roof tiles
+            transparent: true, 
+            opacity: 0.95 
         });
-        const frontWall = new THREE.Mesh(frontWallGeometry, frontWallMaterial);
-        frontWall.position.set(0, height / 2, depth / 2 + 0.1);
-        frontWall.castShadow = true;
-        this.building.add(frontWall);
 
-        // Back wall
-        const backWall = frontWall.clone();
-        backWall.position.z = -depth / 2 - 0.1;
-        this.building.add(backWall);
+        // Left slope
+        const leftSlope = new THREE.BoxGeometry(w * 0.6, roofHeight, d);
+        const left = new THREE.Mesh(leftSlope, roofMat);
+        left.position.set(cx - w * 0.1, h + roofHeight / 2 + groundY, 0);
+        left.rotation.z = Math.PI / 8;
+        left.castShadow = true;
+        this.building.add(left);
 
-        // Side walls
-        const sideWallGeometry = new THREE.BoxGeometry(0.2, height, depth);
-        const sideWallMaterial = new THREE.MeshPhongMaterial({
-            color: 0x3a1a4e,
-            transparent: true,
-            opacity: 0.9
+        // Right slope
+        const rightSlope = new THREE.BoxGeometry(w * 0.6, roofHeight, d);
+        const right = new THREE.Mesh(rightSlope, roofMat);
+        right.position.set(cx + w * 0.1, h + roofHeight / 2 + groundY, 0);
+        right.rotation.z = -Math.PI / 8;
+        right.castShadow = true;
+        this.building.add(right);
+
+        // White bargeboards
+        const whiteMat = new THREE.MeshPhongMaterial({ 
+            color: 0xffffff, 
+            transparent: true, 
+            opacity: 0.95 
         });
         
-        const leftWall = new THREE.Mesh(sideWallGeometry, sideWallMaterial);
-        leftWall.position.set(-width / 2 - 0.1, height / 2, 0);
-        leftWall.castShadow = true;
-        this.building.add(leftWall);
+        const bargeboard1 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.05, roofHeight * 0.8, 0.1), whiteMat);
+        bargeboard1.position.set(cx - w * 0.25, h + roofHeight * 0.4 + groundY, d / 2 + 0.05);
+        this.building.add(bargeboard1);
 
-        const rightWall = leftWall.clone();
-        rightWall.position.x = width / 2 + 0.1;
-        this.building.add(rightWall);
+        const bargeboard2 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.05, roofHeight * 0.8, 0.1), whiteMat);
+        bargeboard2.position.set(cx + w * 0.25, h + roofHeight * 0.4 + groundY, d / 2 + 0.05);
+        this.building.add(bargeboard2);
     }
 
-    addCyberpunkWindows(width, depth, height, floors, floorHeight, features) {
-        for (let i = 0; i < floors; i++) {
-            // Front windows with neon frames
-            for (let j = 0; j < 2; j++) {
-                const windowWidth = width * 0.3;
-                const windowHeight = floorHeight * 0.5;
-                
-                // Window frame
-                const frameGeometry = new THREE.BoxGeometry(windowWidth + 0.1, windowHeight + 0.1, 0.05);
-                const frameMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x1a1a1a,
-                    transparent: true,
-                    opacity: 0.9
-                });
-                const frame = new THREE.Mesh(frameGeometry, frameMaterial);
-                frame.position.set(
-                    (j - 0.5) * width * 0.6,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.15
-                );
-                frame.castShadow = true;
-                this.building.add(frame);
-
-                // Window glass
-                const glassGeometry = new THREE.PlaneGeometry(windowWidth, windowHeight);
-                const glassMaterial = new THREE.MeshPhongMaterial({
-                    color: 0x00ff88,
-                    transparent: true,
-                    opacity: 0.4,
-                    side: THREE.DoubleSide
-                });
-                const glass = new THREE.Mesh(glassGeometry, glassMaterial);
-                glass.position.set(
-                    (j - 0.5) * width * 0.6,
-                    i * floorHeight + floorHeight / 2,
-                    depth / 2 + 0.175
-                );
-                this.building.add(glass);
-
-                // Neon frame
-                if (features.neonFrames) {
-                    const neonFrameGeometry = new THREE.BoxGeometry(windowWidth + 0.15, windowHeight + 0.15, 0.02);
-                    const neonFrameMaterial = new THREE.MeshBasicMaterial({
-                        color: 0xff0080,
-                        transparent: true,
-                        opacity: 0.8
-                    });
-                    const neonFrame = new THREE.Mesh(neonFrameGeometry, neonFrameMaterial);
-                    neonFrame.position.set(
-                        (j - 0.5) * width * 0.6,
-                        i * floorHeight + floorHeight / 2,
-                        depth / 2 + 0.19
-                    );
-                    this.building.add(neonFrame);
-                }
-            }
-        }
-    }
+    addUKGarageRoof(w, d, h, cx, cz, groundY) {
+        // Flat garage roof with slight slope
+        const roofHeight = h * 0.15;
+        const roofMat = createElementMaterial('roof', {
+            color: 0x4a4a4a, // Dark roof tiles
+            transparent: true, 
+            opacity: 0.95 
+        });
+        
+        const garageRoof = new THREE.Mesh(new THREE.BoxGeometry(w, roofHeight, d), roofMat);
+        garageRoof.position.set(cx, h + roofHeight / 2 + groundY, cz);
+        garageRoof.castShadow = true; 
+        garageRoof.receiveShadow = true;
+        this.building.add(garageRoof);
 
-    addCyberpunkDoors(width, depth, floorHeight) {
-        // Main entrance door
-        const doorWidth = width * 0.25;
-        const doorHeight = floorHeight * 0.8;
+        // Gutters around garage roof
+        const gutterMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 });
+        const gutterGeom = new THREE.BoxGeometry(w * 0.05, roofHeight * 0.3, d * 0.05);
         
-        // Door frame
-        const doorFrameGeometry = new THREE.BoxGeometry(doorWidth + 0.1, doorHeight + 0.1, 0.05);
-        const doorFrameMaterial = new THREE.MeshPhongMaterial({
-            color: 0x1a1a1a,
-            transparent: true,
-            opacity: 0.9
-        });
-        const doorFrame = new THREE.Mesh(doorFrameGeometry, doorFrameMaterial);
-        doorFrame.position.set(0, floorHeight / 2, depth / 2 + 0.15);
-        doorFrame.castShadow = true;
-        this.building.add(doorFrame);
+        const frontGutter = new THREE.Mesh(gutterGeom, gutterMat);
+        frontGutter.position.set(cx, h + roofHeight + groundY, cz + d / 2 + 0.1);
+        this.building.add(frontGutter);
 
-        // Door
-        const doorGeometry = new THREE.BoxGeometry(doorWidth, doorHeight, 0.1);
-        const doorMaterial = new THREE.MeshPhongMaterial({
-            color: 0x2a1a3e,
-            transparent: true,
-            opacity: 0.9
-        });
-        const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, floorHeight / 2, depth / 2 + 0.175);
-        door.castShadow = true;
-        this.building.add(door);
+        const backGutter = new THREE.Mesh(gutterGeom, gutterMat);
+        backGutter.position.set(cx, h + roofHeight + groundY, cz - d / 2 - 0.1);
+        this.building.add(backGutter);
+    }
 
-        // Cyberpunk door panel
-        const panelGeometry = new THREE.BoxGeometry(doorWidth * 0.8, doorHeight * 0.6, 0.02);
-        const panelMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff88,
-            transparent: true,
-            opacity: 0.7
+    addUKWindowsCasement(w, d, h, floorH, cx, groundY) {
+        const whiteMat = createElementMaterial('frame', {
+            color: 0xffffff, 
+            transparent: true, 
+            opacity: 0.95 
         });
-        const panel = new THREE.Mesh(panelGeometry, panelMaterial);
-        panel.position.set(0, floorHeight / 2, depth / 2 + 0.2);
-        this.building.add(panel);
-
-        // Door handle
-        const handleGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.05, 8);
-        const handleMaterial = new THREE.MeshPhongMaterial({
-            color: 0xff0080,
-            transparent: true,
-            opacity: 0.9
+        const glassMat = createElementMaterial('glazing', {
+            color: 0x87ceeb, 
+            transparent: true, 
+            opacity: 0.7, 
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
         });
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.set(doorWidth * 0.3, floorHeight / 2, depth / 2 + 0.2);
-        handle.rotation.z = Math.PI / 2;
-        this.building.add(handle);
-    }
 
-    addCyberpunkDetails(width, depth, height, floors, floorHeight) {
-        // Cyberpunk corner pillars
-        for (let i = 0; i < 4; i++) {
-            const pillarGeometry = new THREE.CylinderGeometry(width * 0.06, width * 0.08, height, 8);
-            const pillarMaterial = new THREE.MeshPhongMaterial({
-                color: 0x1a1a1a,
-                transparent: true,
-                opacity: 0.9
-            });
-            const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-            
-            const angle = (i * Math.PI) / 2;
-            pillar.position.set(
+        const addWindow = (x, y, z, windowW, windowH) => {
+            // Window frame
+            const frame = new THREE.Mesh(new THREE.BoxGeometry(windowW, windowH, 0.05), whiteMat);
+            frame.position.set(x, y, z + 0.07);
+            frame.castShadow = true;
+            this.building.add(frame);
+            
+            // Window glass
+            const pane = new THREE.Mesh(new THREE.PlaneGeometry(windowW * 0.9, windowH * 0.9), glassMat);
+            pane.position.set(x, y, z + 0.09);
+            this.building.add(pane);
+            
+            // Window sill
+            const sill = new THREE.Mesh(new THREE.BoxGeometry(windowW * 1.2, 0.1, 0.2), whiteMat);
+            sill.position.set(x, y - windowH / 2 - 0.05, z + 0.11);
+            sill.castShadow = true;
+            this.building.add(sill);
+        };
+
+        const windowW = w * 0.15;
+        const windowH = floorH * 0.6;
+
+        // Ground floor windows
+        addWindow(cx + w * 0.25, groundY + floorH * 0.5, d / 2 + 0.01, windowW, windowH);
+        addWindow(cx + w * 0.45, groundY + floorH * 0.5, d / 2 + 0.01, windowW, windowH);
+
+        // First floor windows
+        addWindow(cx - w * 0.2, groundY + floorH * 1.5, d / 2 + 0.01, windowW, windowH);
+        addWindow(cx + w * 0.2, groundY + floorH * 1.5, d / 2 + 0.01, windowW, windowH);
+        addWindow(cx + w * 0.4, groundY + floorH * 1.5, d / 2 + 0.01, windowW, windowH);
+    }
+
+    addUKBlueDoors(garageW, garageH, garageD, cx, cz, groundY) {
+        const blueMat = new THREE.MeshPhongMaterial({ 
+            color: 0x1e3a8a, // Better blue color
+            transparent: true, 
+            opacity: 0.95 
+        });
+        const whiteMat = new THREE.MeshPhongMaterial({ 
+            color: 0xffffff, 
+            transparent: true, 
+            opacity: 0.95 
+        });
+
+        // Garage door
+        const gDoor = new THREE.Mesh(new THREE.BoxGeometry(garageW * 0.9, garageH * 0.9, 0.08), blueMat);
+        gDoor.position.set(cx, groundY + garageH * 0.5, cz + garageD / 2 + 0.08);
+        gDoor.castShadow = true;
+        this.building.add(gDoor);
+        
+        // Garage door frame
+        const gFrame = new THREE.Mesh(new THREE.BoxGeometry(garageW, garageH, 0.04), whiteMat);
+        gFrame.position.set(cx, groundY + garageH * 0.5, cz + garageD / 2 + 0.06);
+        this.building.add(gFrame);
+
+        // Front door on main house (not garage)
+        const doorW = 0.8;
+        const doorH = 2.0;
+        const door = new THREE.Mesh(new THREE.BoxGeometry(doorW, doorH, 0.06), blueMat);
+        door.position.set(cx - garageW * 0.5, groundY + doorH / 2, cz + garageD / 2 + 0.06);
+        door.castShadow = true;
+        this.building.add(door);
+        
+        // Front door frame
+        const doorFrame = new THREE.Mesh(new THREE.BoxGeometry(doorW * 1.1, doorH * 1.1, 0.03), whiteMat);
+        doorFrame.position.copy(door.position);
+        this.building.add(doorFrame);
+
+        // Door handle
+        const handle = new THREE.Mesh(new THREE.SphereGeometry(0.02, 8, 6), whiteMat);
+        handle.position.set(cx - garageW * 0.5 + doorW * 0.3, groundY + doorH / 2, cz + garageD / 2 + 0.1);
+        this.building.add(handle);
+    }
+
+    addUKWhiteTrims(w, d, h, cx, groundY) {
+        const whiteMat = new THREE.MeshPhongMaterial({ 
+            color: 0xffffff, 
+            transparent: true, 
+            opacity: 0.95 
+        });
+
+        // Lintels above windows
+        const lintel1 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.4, 0.1, 0.1), whiteMat);
+        lintel1.position.set(cx + w * 0.35, groundY + 1.0, d / 2 + 0.05);
+        this.building.add(lintel1);
+
+        const lintel2 = new THREE.Mesh(new THREE.BoxGeometry(w * 0.6, 0.1, 0.1), whiteMat);
+        lintel2.position.set(cx, groundY + 2.0, d / 2 + 0.05);
+        this.building.add(lintel2);
+    }
+
+    addUKDetails(houseW, houseD, houseH, garageW, garageH, garageD, groundY) {
+        // Chimney
+        const chimneyGeom = new THREE.BoxGeometry(houseW * 0.08, houseH * 0.3, houseD * 0.08);
+        const brickMat = createElementMaterial('wall', {
+            color: 0xd4a574, 
+            transparent: true, 
+            opacity: 0.95 
+        });
+        const chimney = new THREE.Mesh(chimneyGeom, brickMat);
+        chimney.position.set(houseW * 0.4, houseH + houseH * 0.15 + groundY, houseD * 0.3);
+        chimney.castShadow = true;
+        this.building.add(chimney);
+
+        // Gutters
+        const gutterMat = new THREE.MeshPhongMaterial({ 
+            color: 0x2f2f2f, 
+            transparent: true, 
+            opacity: 0.9 
+        });
+        
+        const frontGutter = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, houseW * 1.2, 8), gutterMat);
+        frontGutter.position.set(houseW * 0.15, houseH + 0.1 + groundY, houseD / 2 + 0.1);
+        frontGutter.rotation.z = Math.PI / 2;
+        this.building.add(frontGutter);
+
+        const backGutter = frontGutter.clone();
+        backGutter.position.z = -houseD / 2 - 0.1;
+        this.building.add(backGutter);
+    }
+
+    // British House Types
+    createTownhouse(floors, width, depth, height, floorHeight, features) {
+        // Main structure - typical British townhouse proportions
+        const mainGeometry = new THREE.BoxGeometry(width, height, depth);
+        const mainMaterial = createElementMaterial('wall', {
+            color: 0x8B4513, // Brick red
+            transparent: true,
+            opacity: 0.95
+        });
+        const mainBuilding = new THREE.Mesh(mainGeometry, mainMaterial);
+        mainBuilding.position.y = height / 2;
+        mainBuilding.castShadow = true;
+        mainBuilding.receiveShadow = true;
+        this.building.add(mainBuilding);
+
+        // Add foundation
+        this.addFoundation(width, depth);
+
+        // Add brick exterior walls
+        this.addBrickWalls(width, depth, height, floorHeight);
+
+        // Sash windows and the front door are openings (see STYLE_OPENINGS), cut in once the
+        // house is built; the steps up to the door are drawn here
+        this.addFrontSteps(STYLE_OPENINGS.townhouse, width, depth, floorHeight);
+
+        // Traditional pitched roof
+        if (features.roof) {
+            this.addPitchedRoof(width, depth, height);
+        }
+        
+        // Small balconies on upper floors
+        if (features.balconies) {
+            this.addTownhouseBalconies(width, depth, height, floors, floorHeight);
+        }
+        
+        // Traditional lighting
+        if (features.lighting) {
+            this.addTraditionalLighting(width, depth, height, floors, floorHeight);
+        }
+
+        // Add traditional architectural details
+        this.addTownhouseDetails(width, depth, height, floors, floorHeight);
+    }
+
+    createTerraceHouse(floors, width, depth, height, floorHeight, features) {
+        // Main structure - narrow terrace house
+        const mainGeometry = new THREE.BoxGeometry(width, height, depth);
+        const mainMaterial = createElementMaterial('wall', {
+            color: 0x8B4513, // Brick red
+            transparent: true,
+            opacity: 0.95
+        });
+        const mainBuilding = new THREE.Mesh(mainGeometry, mainMaterial);
+        mainBuilding.position.y = height / 2;
+        mainBuilding.castShadow = true;
+        mainBuilding.receiveShadow = true;
+        this.building.add(mainBuilding);
+
+        // Add foundation
+        this.addFoundation(width, depth);
+
+        // Add brick exterior walls
+        this.addBrickWalls(width, depth, height, floorHeight);
+
+        // Bays for the bay windows; the windows and front door are openings (see STYLE_OPENINGS),
+        // cut in once the house is built
+        if (features.windows) {
+            this.addBays(width, depth, floors, floorHeight);
+        }
+        this.addFrontSteps(STYLE_OPENINGS.terrace, width, depth, floorHeight);
+
+        // Traditional pitched roof
+        if (features.roof) {
+            this.addPitchedRoof(width, depth, height);
+        }
+        
+        // Small balconies
+        if (features.balconies) {
+            this.addTerraceBalconies(width, depth, height, floors, floorHeight);
+        }
+        
+        // Traditional lighting
+        if (features.lighting) {
+            this.addTraditionalLighting(width, depth, height, floors, floorHeight);
+        }
+
+        // Add terrace house details
+        this.addTerraceDetails(width, depth, height, floors, floorHeight);
+    }
+
+    // British House Components
+    addBrickWalls(width, depth, height, floorHeight) {
+        // Front wall with brick texture
+        const frontWallGeometry = new THREE.BoxGeometry(width, height, 0.2);
+        const frontWallMaterial = createElementMaterial('wall', {
+            color: 0x8B4513,
+            transparent: true,
+            opacity: 0.9
+        });
+        const frontWall = new THREE.Mesh(frontWallGeometry, frontWallMaterial);
+        frontWall.position.set(0, height / 2, depth / 2 + 0.1);
+        frontWall.castShadow = true;
+        this.building.add(frontWall);
+
+        // Back wall
+        const backWall = frontWall.clone();
+        backWall.position.z = -depth / 2 - 0.1;
+        this.building.add(backWall);
+
+        // Side walls
+        const sideWallGeometry = new THREE.BoxGeometry(0.2, height, depth);
+        const sideWallMaterial = createElementMaterial('wall', {
+            color: 0x8B4513,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const leftWall = new THREE.Mesh(sideWallGeometry, sideWallMaterial);
+        leftWall.position.set(-width / 2 - 0.1, height / 2, 0);
+        leftWall.castShadow = true;
+        this.building.add(leftWall);
+
+        const rightWall = leftWall.clone();
+        rightWall.position.x = width / 2 + 0.1;
+        this.building.add(rightWall);
+    }
+
+    addBays(width, depth, floors, floorHeight) {
+        for (let i = 0; i < floors; i++) {
+            // Bay on front
+            const bayWidth = width * 0.4;
+            const bayDepth = depth * 0.2;
+            const bayHeight = floorHeight * 0.7;
+            
+            // Bay structure
+            const bayGeometry = new THREE.BoxGeometry(bayWidth, bayHeight, bayDepth);
+            const bayMaterial = createElementMaterial('wall', {
+                color: 0x8B4513,
+                transparent: true,
+                opacity: 0.9
+            });
+            const bay = new THREE.Mesh(bayGeometry, bayMaterial);
+            bay.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + bayDepth / 2 + 0.1);
+            bay.castShadow = true;
+            this.building.add(bay);
+        }
+    }
+
+    // Steps up to the style's default front door
+    addFrontSteps(openings, width, depth, floorHeight) {
+        const door = openings.find(opening => opening.type === 'door');
+        const doorWidth = door.width * width;
+        const rise = door.sill * floorHeight / 3;
+
+        for (let i = 0; i < 3; i++) {
+            const stepGeometry = new THREE.BoxGeometry(doorWidth + 0.4, rise, 0.3);
+            const stepMaterial = new THREE.MeshPhongMaterial({
+                color: 0x696969,
+                transparent: true,
+                opacity: 0.9
+            });
+            const step = new THREE.Mesh(stepGeometry, stepMaterial);
+            step.position.set(door.at * width, (i + 0.5) * rise, depth / 2 + 0.3 + (2 - i) * 0.3);
+            step.castShadow = true;
+            this.building.add(step);
+        }
+    }
+
+    addPitchedRoof(width, depth, height) {
+        // Traditional pitched roof
+        const roofGeometry = new THREE.ConeGeometry(width * 0.7, height * 0.3, 4);
+        const roofMaterial = createElementMaterial('roof', {
+            color: 0x2F4F4F, // Dark slate
+            transparent: true,
+            opacity: 0.9
+        });
+        const roof = new THREE.Mesh(roofGeometry, roofMaterial);
+        roof.position.set(0, height + height * 0.15, 0);
+        roof.rotation.y = Math.PI / 4;
+        roof.castShadow = true;
+        this.building.add(roof);
+
+        // Chimney
+        const chimneyGeometry = new THREE.BoxGeometry(width * 0.1, height * 0.2, depth * 0.1);
+        const chimneyMaterial = new THREE.MeshPhongMaterial({
+            color: 0x8B4513,
+            transparent: true,
+            opacity: 0.9
+        });
+        const chimney = new THREE.Mesh(chimneyGeometry, chimneyMaterial);
+        chimney.position.set(width * 0.3, height + height * 0.1, depth * 0.3);
+        chimney.castShadow = true;
+        this.building.add(chimney);
+    }
+
+    addTownhouseBalconies(width, depth, height, floors, floorHeight) {
+        for (let i = 1; i < floors; i++) {
+            const balconyGeometry = new THREE.BoxGeometry(width * 0.6, 0.1, depth * 0.2);
+            const balconyMaterial = new THREE.MeshPhongMaterial({
+                color: 0x696969,
+                transparent: true,
+                opacity: 0.9
+            });
+            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
+            balcony.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.1);
+            balcony.castShadow = true;
+            this.building.add(balcony);
+
+            // Balcony railing
+            const railingGeometry = new THREE.BoxGeometry(width * 0.6, floorHeight * 0.2, 0.05);
+            const railingMaterial = new THREE.MeshPhongMaterial({
+                color: 0x8B4513,
+                transparent: true,
+                opacity: 0.8
+            });
+            const railing = new THREE.Mesh(railingGeometry, railingMaterial);
+            railing.position.set(0, i * floorHeight + floorHeight / 2 + floorHeight * 0.1, depth / 2 + depth * 0.15);
+            this.building.add(railing);
+        }
+    }
+
+    addTerraceBalconies(width, depth, height, floors, floorHeight) {
+        for (let i = 1; i < floors; i++) {
+            const balconyGeometry = new THREE.BoxGeometry(width * 0.4, 0.1, depth * 0.15);
+            const balconyMaterial = new THREE.MeshPhongMaterial({
+                color: 0x696969,
+                transparent: true,
+                opacity: 0.9
+            });
+            const balcony = new THREE.Mesh(balconyGeometry, balconyMaterial);
+            balcony.position.set(0, i * floorHeight + floorHeight / 2, depth / 2 + depth * 0.08);
+            balcony.castShadow = true;
+            this.building.add(balcony);
+
+            // Balcony railing
+            const railingGeometry = new THREE.BoxGeometry(width * 0.4, floorHeight * 0.15, 0.05);
+            const railingMaterial = new THREE.MeshPhongMaterial({
+                color: 0x8B4513,
+                transparent: true,
+                opacity: 0.8
+            });
+            const railing = new THREE.Mesh(railingGeometry, railingMaterial);
+            railing.position.set(0, i * floorHeight + floorHeight / 2 + floorHeight * 0.08, depth / 2 + depth * 0.12);
+            this.building.add(railing);
+        }
+    }
+
+    addTraditionalLighting(width, depth, height, floors, floorHeight) {
+        // Traditional wall lights
+        for (let i = 0; i < floors; i++) {
+            const lightGeometry = new THREE.SphereGeometry(width * 0.03, 8, 6);
+            const lightMaterial = new THREE.MeshBasicMaterial({
+                color: 0xffd700,
+                transparent: true,
+                opacity: 0.8
+            });
+            const light = new THREE.Mesh(lightGeometry, lightMaterial);
+            light.position.set(width * 0.4, i * floorHeight + floorHeight / 2, depth / 2 + 0.1);
+            this.building.add(light);
+        }
+    }
+
+    addTownhouseDetails(width, depth, height, floors, floorHeight) {
+        // Traditional corner columns
+        for (let i = 0; i < 4; i++) {
+            const columnGeometry = new THREE.CylinderGeometry(width * 0.04, width * 0.04, height, 8);
+            const columnMaterial = new THREE.MeshPhongMaterial({
+                color: 0x8B4513,
+                transparent: true,
+                opacity: 0.9
+            });
+            const column = new THREE.Mesh(columnGeometry, columnMaterial);
+            
+            const angle = (i * Math.PI) / 2;
+            column.position.set(
+                Math.cos(angle) * (width / 2 + 0.1),
+                height / 2,
+                Math.sin(angle) * (depth / 2 + 0.1)
+            );
+            column.castShadow = true;
+            this.building.add(column);
+        }
+
+        // Traditional gutters
+        const gutterGeometry = new THREE.CylinderGeometry(width * 0.02, width * 0.02, width * 1.1, 8);
+        const gutterMaterial = new THREE.MeshPhongMaterial({
+            color: 0x2F4F4F,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
+        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
+        frontGutter.rotation.z = Math.PI / 2;
+        this.building.add(frontGutter);
+
+        const backGutter = frontGutter.clone();
+        backGutter.position.z = -depth / 2 - 0.1;
+        this.building.add(backGutter);
+    }
+
+    addTerraceDetails(width, depth, height, floors, floorHeight) {
+        // Terrace house specific details
+        for (let i = 0; i < 2; i++) {
+            const columnGeometry = new THREE.CylinderGeometry(width * 0.03, width * 0.03, height, 8);
+            const columnMaterial = new THREE.MeshPhongMaterial({
+                color: 0x8B4513,
+                transparent: true,
+                opacity: 0.9
+            });
+            const column = new THREE.Mesh(columnGeometry, columnMaterial);
+            
+            column.position.set(
+                (i === 0 ? -1 : 1) * (width / 2 + 0.1),
+                height / 2,
+                0
+            );
+            column.castShadow = true;
+            this.building.add(column);
+        }
+
+        // Traditional gutters
+        const gutterGeometry = new THREE.CylinderGeometry(width * 0.02, width * 0.02, width * 1.1, 8);
+        const gutterMaterial = new THREE.MeshPhongMaterial({
+            color: 0x2F4F4F,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
+        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
+        frontGutter.rotation.z = Math.PI / 2;
+        this.building.add(frontGutter);
+
+        const backGutter = frontGutter.clone();
+        backGutter.position.z = -depth / 2 - 0.1;
+        this.building.add(backGutter);
+    }
+
+    // Detailed Building Components
+    addFoundation(width, depth) {
+        const foundationGeometry = new THREE.BoxGeometry(width * 1.1, 0.5, depth * 1.1);
+        const foundationMaterial = new THREE.MeshPhongMaterial({
+            color: 0x2a2a2a,
+            transparent: true,
+            opacity: 0.95,
+            polygonOffset: true,
+            polygonOffsetFactor: 1,
+            polygonOffsetUnits: 1
+        });
+        const foundation = new THREE.Mesh(foundationGeometry, foundationMaterial);
+        foundation.position.set(0, -0.26, 0);
+        foundation.castShadow = true;
+        foundation.receiveShadow = true;
+        this.building.add(foundation);
+    }
+
+    addExteriorWalls(width, depth, height, floorHeight) {
+        // Front wall with texture
+        const frontWallGeometry = new THREE.BoxGeometry(width, height, 0.2);
+        const frontWallMaterial = createElementMaterial('wall', {
+            color: 0x4a4a5e,
+            transparent: true,
+            opacity: 0.9
+        });
+        const frontWall = new THREE.Mesh(frontWallGeometry, frontWallMaterial);
+        frontWall.position.set(0, height / 2, depth / 2 + 0.1);
+        frontWall.castShadow = true;
+        this.building.add(frontWall);
+
+        // Back wall
+        const backWall = frontWall.clone();
+        backWall.position.z = -depth / 2 - 0.1;
+        this.building.add(backWall);
+
+        // Side walls
+        const sideWallGeometry = new THREE.BoxGeometry(0.2, height, depth);
+        const sideWallMaterial = createElementMaterial('wall', {
+            color: 0x4a4a5e,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const leftWall = new THREE.Mesh(sideWallGeometry, sideWallMaterial);
+        leftWall.position.set(-width / 2 - 0.1, height / 2, 0);
+        leftWall.castShadow = true;
+        this.building.add(leftWall);
+
+        const rightWall = leftWall.clone();
+        rightWall.position.x = width / 2 + 0.1;
+        this.building.add(rightWall);
+    }
+
+    addArchitecturalDetails(width, depth, height, floors, floorHeight) {
+        // Corner columns
+        for (let i = 0; i < 4; i++) {
+            const columnGeometry = new THREE.CylinderGeometry(width * 0.05, width * 0.05, height, 8);
+            const columnMaterial = new THREE.MeshPhongMaterial({
+                color: 0x696969,
+                transparent: true,
+                opacity: 0.9
+            });
+            const column = new THREE.Mesh(columnGeometry, columnMaterial);
+            
+            const angle = (i * Math.PI) / 2;
+            column.position.set(
+                Math.cos(angle) * (width / 2 + 0.1),
+                height / 2,
+                Math.sin(angle) * (depth / 2 + 0.1)
+            );
+            column.castShadow = true;
+            this.building.add(column);
+        }
+
+        // Floor separators
+        for (let i = 1; i < floors; i++) {
+            const separatorGeometry = new THREE.BoxGeometry(width * 1.1, 0.1, depth * 1.1);
+            const separatorMaterial = new THREE.MeshPhongMaterial({
+                color: 0x5a5a5a,
+                transparent: true,
+                opacity: 0.8
+            });
+            const separator = new THREE.Mesh(separatorGeometry, separatorMaterial);
+            separator.position.set(0, i * floorHeight, 0);
+            separator.castShadow = true;
+            this.building.add(separator);
+        }
+
+        // Gutters
+        const gutterGeometry = new THREE.CylinderGeometry(width * 0.02, width * 0.02, width * 1.1, 8);
+        const gutterMaterial = new THREE.MeshPhongMaterial({
+            color: 0x2f4f4f,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
+        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
+        frontGutter.rotation.z = Math.PI / 2;
+        this.building.add(frontGutter);
+
+        const backGutter = frontGutter.clone();
+        backGutter.position.z = -depth / 2 - 0.1;
+        this.building.add(backGutter);
+    }
+
+    // Cyberpunk Building Components
+    addCyberpunkWalls(width, depth, height, floorHeight) {
+        // Front wall with cyberpunk texture
+        const frontWallGeometry = new THREE.BoxGeometry(width, height, 0.2);
+        const frontWallMaterial = createElementMaterial('wall', {
+            color: 0x3a1a4e,
+            transparent: true,
+            opacity: 0.9
+        });
+        const frontWall = new THREE.Mesh(frontWallGeometry, frontWallMaterial);
+        frontWall.position.set(0, height / 2, depth / 2 + 0.1);
+        frontWall.castShadow = true;
+        this.building.add(frontWall);
+
+        // Back wall
+        const backWall = frontWall.clone();
+        backWall.position.z = -depth / 2 - 0.1;
+        this.building.add(backWall);
+
+        // Side walls
+        const sideWallGeometry = new THREE.BoxGeometry(0.2, height, depth);
+        const sideWallMaterial = createElementMaterial('wall', {
+            color: 0x3a1a4e,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const leftWall = new THREE.Mesh(sideWallGeometry, sideWallMaterial);
+        leftWall.position.set(-width / 2 - 0.1, height / 2, 0);
+        leftWall.castShadow = true;
+        this.building.add(leftWall);
+
+        const rightWall = leftWall.clone();
+        rightWall.position.x = width / 2 + 0.1;
+        this.building.add(rightWall);
+    }
+
+    addCyberpunkDetails(width, depth, height, floors, floorHeight) {
+        // Cyberpunk corner pillars
+        for (let i = 0; i < 4; i++) {
+            const pillarGeometry = new THREE.CylinderGeometry(width * 0.06, width * 0.08, height, 8);
+            const pillarMaterial = new THREE.MeshPhongMaterial({
+                color: 0x1a1a1a,
+                transparent: true,
+                opacity: 0.9
+            });
+            const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
+            
+            const angle = (i * Math.PI) / 2;
+            pillar.position.set(
                 Math.cos(angle) * (width / 2 + 0.1),
                 height / 2,
                 Math.sin(angle) * (depth / 2 + 0.1)
@@ -1950,760 +2744,4463 @@ class BuildingGenerator {
             pillar.castShadow = true;
             this.building.add(pillar);
 
-            // Neon accent on pillar
-            const accentGeometry = new THREE.CylinderGeometry(width * 0.07, width * 0.07, height * 0.1, 8);
-            const accentMaterial = new THREE.MeshBasicMaterial({
-                color: 0xff0080,
-                transparent: true,
-                opacity: 0.8
-            });
-            const accent = new THREE.Mesh(accentGeometry, accentMaterial);
-            accent.position.set(
-                Math.cos(angle) * (width / 2 + 0.1),
-                height * 0.8,
-                Math.sin(angle) * (depth / 2 + 0.1)
-            );
-            this.building.add(accent);
+            // Neon accent on pillar
+            const accentGeometry = new THREE.CylinderGeometry(width * 0.07, width * 0.07, height * 0.1, 8);
+            const accentMaterial = new THREE.MeshBasicMaterial({
+                color: 0xff0080,
+                transparent: true,
+                opacity: 0.8
+            });
+            const accent = new THREE.Mesh(accentGeometry, accentMaterial);
+            accent.position.set(
+                Math.cos(angle) * (width / 2 + 0.1),
+                height * 0.8,
+                Math.sin(angle) * (depth / 2 + 0.1)
+            );
+            this.building.add(accent);
+        }
+
+        // Tech floor separators
+        for (let i = 1; i < floors; i++) {
+            const separatorGeometry = new THREE.BoxGeometry(width * 1.1, 0.1, depth * 1.1);
+            const separatorMaterial = new THREE.MeshPhongMaterial({
+                color: 0x3a1a4e,
+                transparent: true,
+                opacity: 0.8
+            });
+            const separator = new THREE.Mesh(separatorGeometry, separatorMaterial);
+            separator.position.set(0, i * floorHeight, 0);
+            separator.castShadow = true;
+            this.building.add(separator);
+
+            // Neon strip on separator
+            const stripGeometry = new THREE.BoxGeometry(width * 1.0, 0.02, depth * 1.0);
+            const stripMaterial = new THREE.MeshBasicMaterial({
+                color: 0x00ff88,
+                transparent: true,
+                opacity: 0.9
+            });
+            const strip = new THREE.Mesh(stripGeometry, stripMaterial);
+            strip.position.set(0, i * floorHeight + 0.06, 0);
+            this.building.add(strip);
+        }
+
+        // Cyberpunk gutters
+        const gutterGeometry = new THREE.CylinderGeometry(width * 0.03, width * 0.03, width * 1.1, 8);
+        const gutterMaterial = new THREE.MeshPhongMaterial({
+            color: 0x1a1a1a,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
+        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
+        frontGutter.rotation.z = Math.PI / 2;
+        this.building.add(frontGutter);
+
+        const backGutter = frontGutter.clone();
+        backGutter.position.z = -depth / 2 - 0.1;
+        this.building.add(backGutter);
+    }
+
+    updateInfoPanel() {
+        if (!this.infoPanelSize) return;
+        const { width, depth, height, floorHeight } = this.infoPanelSize;
+        document.getElementById('height-value').textContent = formatLength(height);
+        document.getElementById('width-value').textContent = formatLength(width);
+        document.getElementById('depth-value').textContent = formatLength(depth);
+        document.getElementById('floor-height-value').textContent = formatLength(floorHeight);
+    }
+
+    // Switches what lengths and areas are shown in. The model and saved state stay in metres:
+    // controls with a unit are read back to metres, so only their displayed values change.
+    setDisplayUnits(units) {
+        const next = UNIT_SYSTEMS.includes(units) ? units : 'metric';
+        const controls = UNIT_CONTROL_FIELDS.filter(spec => document.getElementById(spec.id));
+        const values = controls.map(spec => readControlValue(spec));
+        const bounds = controls.map(spec => getFieldBounds(spec));
+        displayUnits = next;
+        controls.forEach((spec, i) => {
+            const el = document.getElementById(spec.id);
+            if (el.min !== '') el.min = String(toDisplayValue(spec, bounds[i].min));
+            if (el.max !== '') el.max = String(toDisplayValue(spec, bounds[i].max));
+            writeControlValue(spec, values[i]);
+        });
+        const select = document.getElementById('unit-system');
+        if (select) select.value = next;
+        try {
+            localStorage.setItem(UNIT_STORAGE_KEY, next);
+        } catch (_) {
+            // Storage may be unavailable (private mode); the choice just won't stick
+        }
+
+        // Redraw everything that shows a length or an area
+        document.querySelectorAll('[data-unit]').forEach(el => { el.textContent = getUnitSymbol(el.dataset.unit); });
+        this.updateSliderLabels();
+        this.updateInfoPanel();
+        if (!this.designerEnabled) return;
+        this.renderExtensionList();
+        this.renderNeighbourWindowList();
+        this.redrawMeasurements();
+        if (this.building) {
+            this.updateExtensionViews();
+            this.updateRoomLayout();
+        }
+    }
+
+    applySavedDisplayUnits() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(UNIT_STORAGE_KEY);
+        } catch (_) {
+            // Storage unavailable: stay metric
+        }
+        if (saved && saved !== displayUnits) this.setDisplayUnits(saved);
+    }
+
+    // Value readouts beside the sliders
+    updateSliderLabels() {
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        const volume = document.getElementById('volume');
+        if (volume) setText('volume-value', formatVolume(parseInt(volume.value, 10) || 0));
+        const surfaceArea = document.getElementById('surface-area');
+        if (surfaceArea) setText('surface-area-value', formatArea(parseInt(surfaceArea.value, 10) || 0, 0));
+        EXTENSION_FIELDS.filter(spec => spec.id && document.getElementById(spec.id)).forEach(spec => {
+            const value = readControlValue(spec);
+            setText(`${spec.id}-value`, spec.unit ? formatLength(value) : String(value));
+        });
+        setText('section-position-value', formatLength(this.sectionPosition));
+    }
+
+    showLoading(show) {
+        const overlay = document.querySelector('.scene-overlay');
+        if (!overlay) return;
+        if (show) {
+            overlay.classList.add('active');
+        } else {
+            overlay.classList.remove('active');
+        }
+    }
+
+    generateInitialBuilding() {
+        if (!this.designerEnabled) return;
+        const floorsEl = document.getElementById('floors');
+        const volumeEl = document.getElementById('volume');
+        const surfaceAreaEl = document.getElementById('surface-area');
+        const styleEl = document.getElementById('building-style');
+        if (!floorsEl || !volumeEl || !surfaceAreaEl || !styleEl) return;
+
+        const floors = parseInt(floorsEl.value);
+        const houseType = (document.getElementById('house-type') || { value: 'house' }).value;
+        const volume = parseInt(volumeEl.value);
+        const surfaceArea = parseInt(surfaceAreaEl.value);
+        const style = styleEl.value;
+        
+        // Force floors = 1 for bungalow
+        const effectiveFloors = houseType === 'bungalow' ? 1 : floors;
+
+        this.generateBuilding(effectiveFloors, volume, surfaceArea, style);
+
+        // Extensions after main build
+        const showExtension = (document.getElementById('show-extension') || { checked: false }).checked;
+        if (showExtension) {
+            this.addExtensions();
+            this.building.updateMatrixWorld(true);
+        }
+        this.updateExtensionViews();
+        this.updateSunStudy();
+
+        // Remember the design so a reload brings the same model back
+        this.persistDesignerState();
+    }
+
+    // Snapshot of every designer input that feeds generateInitialBuilding()
+    getDesignerState() {
+        const state = { features: {} };
+        DESIGNER_FIELDS.forEach(spec => { state[spec.key] = readControlValue(spec); });
+        FEATURE_FIELDS.forEach(spec => { state.features[spec.key] = readControlValue(spec); });
+        state.extensions = this.extensions.map(ext => ({ ...ext }));
+        state.neighbourWindows = this.neighbourWindows.map(win => ({ ...win }));
+        state.plot = this.plot.map(point => [...point]);
+        state.rooms = this.rooms ? this.rooms.map(room => ({ ...room })) : null;
+        state.openings = this.openings ? this.openings.map(opening => ({ ...opening })) : null;
+        return state;
+    }
+
+    // Push a (sanitized) designer state back into the controls
+    applyDesignerState(state) {
+        DESIGNER_FIELDS.forEach(spec => writeControlValue(spec, state[spec.key]));
+        FEATURE_FIELDS.forEach(spec => writeControlValue(spec, state.features[spec.key]));
+        this.extensions = state.extensions.map(ext => ({ ...ext }));
+        this.selectedExtension = Math.min(this.selectedExtension, Math.max(0, this.extensions.length - 1));
+        this.syncExtensionControls();
+        this.renderExtensionList();
+        this.neighbourWindows = state.neighbourWindows.map(win => ({ ...win }));
+        this.renderNeighbourWindowList();
+        this.plot = state.plot.map(point => [...point]);
+        this.rooms = state.rooms ? state.rooms.map(room => ({ ...room })) : null;
+        this.openings = state.openings ? state.openings.map(opening => ({ ...opening })) : null;
+    }
+
+    // The extension-* sliders edit whichever extension is selected in the list
+    syncExtensionControls() {
+        const ext = this.extensions[this.selectedExtension];
+        if (!ext) return;
+        EXTENSION_FIELDS.forEach(spec => { if (spec.id) writeControlValue(spec, ext[spec.key]); });
+    }
+
+    // Reads the control with the given id back into the selected extension, or all of them
+    // when no id is given; the others may hold step-rounded copies of finer values
+    updateSelectedExtensionFromControls(id = null) {
+        const ext = this.extensions[this.selectedExtension];
+        if (!ext) return;
+        EXTENSION_FIELDS.forEach(spec => {
+            if (!spec.id || (id && spec.id !== id)) return;
+            if (document.getElementById(spec.id)) ext[spec.key] = readControlValue(spec);
+        });
+        this.renderExtensionList();
+    }
+
+    selectExtension(index) {
+        this.selectedExtension = index;
+        this.syncExtensionControls();
+        this.renderExtensionList();
+        this.updateExtensionHandles();
+    }
+
+    addExtensionEntry() {
+        if (this.extensions.length >= MAX_EXTENSIONS) return;
+        this.extensions.push(createDefaultExtension());
+        this.selectExtension(this.extensions.length - 1);
+        this.generateInitialBuilding();
+        this.recordHistory('extension-add');
+    }
+
+    removeExtensionEntry(index) {
+        this.extensions.splice(index, 1);
+        this.selectExtension(Math.min(this.selectedExtension, Math.max(0, this.extensions.length - 1)));
+        this.generateInitialBuilding();
+        this.recordHistory('extension-remove');
+    }
+
+    updateExtensionField(index, key, value) {
+        const ext = this.extensions[index];
+        const spec = EXTENSION_FIELDS.find(f => f.key === key);
+        if (!ext || !spec) return;
+        ext[key] = sanitizeField(spec, value, []);
+        if (index === this.selectedExtension) this.syncExtensionControls();
+        this.renderExtensionList();
+        this.generateInitialBuilding();
+        this.recordHistory(`extension-${index}-${key}`);
+    }
+
+    // Editable rows for every extension: side, offset, size, floors and colour
+    renderExtensionList() {
+        const list = document.getElementById('extension-list');
+        if (list) {
+            list.replaceChildren(...this.extensions.map((ext, index) => this.createExtensionRow(ext, index)));
+        }
+        const addBtn = document.getElementById('add-extension-btn');
+        if (addBtn) addBtn.disabled = this.extensions.length >= MAX_EXTENSIONS;
+    }
+
+    createExtensionRow(ext, index) {
+        const row = document.createElement('div');
+        row.className = 'extension-row' + (index === this.selectedExtension ? ' selected' : '');
+
+        const selectBtn = document.createElement('button');
+        selectBtn.type = 'button';
+        selectBtn.className = 'btn-mini';
+        selectBtn.textContent = `Extension ${index + 1}`;
+        selectBtn.addEventListener('click', () => this.selectExtension(index));
+        row.appendChild(selectBtn);
+
+        EXTENSION_FIELDS.forEach(spec => {
+            row.appendChild(createFieldInput(spec, ext[spec.key], value => this.updateExtensionField(index, spec.key, value)));
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-mini';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => this.removeExtensionEntry(index));
+        row.appendChild(removeBtn);
+        return row;
+    }
+
+    // Neighbour windows for the 45-degree check. A new one goes on the boundary beside the
+    // selected extension, facing the same way
+    addNeighbourWindow() {
+        if (this.neighbourWindows.length >= MAX_NEIGHBOUR_WINDOWS) return;
+        const win = createDefaultNeighbourWindow();
+        const ext = this.extensions[this.selectedExtension];
+        const host = this.hostBox;
+        if (ext && host) {
+            win.facing = ext.side;
+            const wall = { front: host.max.z, back: host.min.z, left: host.min.x, right: host.max.x }[ext.side];
+            const local = ext.side === 'front' || ext.side === 'back'
+                ? new THREE.Vector3(host.max.x + 1, 0, wall)
+                : new THREE.Vector3(wall, 0, host.max.z + 1);
+            local.applyMatrix4(this.building.matrixWorld);
+            win.x = Number(local.x.toFixed(1));
+            win.z = Number(local.z.toFixed(1));
+        }
+        this.neighbourWindows.push(win);
+        this.onNeighbourWindowsChanged('window-add');
+    }
+
+    removeNeighbourWindow(index) {
+        this.neighbourWindows.splice(index, 1);
+        this.onNeighbourWindowsChanged('window-remove');
+    }
+
+    updateNeighbourWindowField(index, key, value) {
+        const win = this.neighbourWindows[index];
+        const spec = NEIGHBOUR_WINDOW_FIELDS.find(f => f.key === key);
+        if (!win || !spec) return;
+        win[key] = sanitizeField(spec, value, []);
+        this.onNeighbourWindowsChanged(`window-${index}-${key}`);
+    }
+
+    // Next click on the ground moves window `index` there
+    startPlacingWindow(index) {
+        this.placingWindow = index;
+        if (this.renderer) this.renderer.domElement.style.cursor = 'crosshair';
+        showDesignerNotice('Click on the ground where the neighbour window is.');
+    }
+
+    placeNeighbourWindow(event) {
+        const index = this.placingWindow;
+        this.placingWindow = null;
+        this.renderer.domElement.style.cursor = this.measureMode === 'off' ? '' : 'crosshair';
+        this.setRaycasterFromEvent(event);
+        const point = this.raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+        const win = this.neighbourWindows[index];
+        if (!point || !win) return;
+        win.x = Number(point.x.toFixed(2));
+        win.z = Number(point.z.toFixed(2));
+        this.onNeighbourWindowsChanged(`window-${index}-place`);
+    }
+
+    onNeighbourWindowsChanged(source) {
+        this.renderNeighbourWindowList();
+        this.updateDaylightCheck();
+        this.persistDesignerState();
+        this.recordHistory(source);
+    }
+
+    renderNeighbourWindowList() {
+        const list = document.getElementById('neighbour-window-list');
+        if (list) {
+            list.replaceChildren(...this.neighbourWindows.map((win, index) => {
+                const row = document.createElement('div');
+                row.className = 'extension-row';
+                const title = document.createElement('span');
+                title.textContent = `Window ${index + 1}`;
+                row.appendChild(title);
+                NEIGHBOUR_WINDOW_FIELDS.forEach(spec => {
+                    row.appendChild(createFieldInput(spec, win[spec.key], value => this.updateNeighbourWindowField(index, spec.key, value)));
+                });
+                const placeBtn = document.createElement('button');
+                placeBtn.type = 'button';
+                placeBtn.className = 'btn-mini';
+                placeBtn.textContent = 'Place on plan';
+                placeBtn.addEventListener('click', () => this.startPlacingWindow(index));
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'btn-mini';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => this.removeNeighbourWindow(index));
+                row.append(placeBtn, removeBtn);
+                return row;
+            }));
+        }
+        const addBtn = document.getElementById('add-neighbour-window-btn');
+        if (addBtn) addBtn.disabled = this.neighbourWindows.length >= MAX_NEIGHBOUR_WINDOWS;
+    }
+
+    // The schedule follows the style's default until it's edited
+    getRoomSchedule() {
+        if (this.rooms) return this.rooms;
+        const style = readControlValue(DESIGNER_FIELDS.find(spec => spec.key === 'style'));
+        const floors = readControlValue(DESIGNER_FIELDS.find(spec => spec.key === 'floors'));
+        return getDefaultRoomSchedule(style, floors);
+    }
+
+    // Blocks rooms can go in, in the house frame: the style's blocks, or the whole house as 'main'
+    getRoomBlocks() {
+        if (!this.building || !this.hostBox) return [];
+        const toHouse = this.building.matrixWorld.clone().invert();
+        const blocks = Object.values(this.buildingParts)
+            .filter(group => group.userData.block)
+            .map(group => {
+                const { key, w, d, h } = group.userData.block;
+                const centre = group.getWorldPosition(new THREE.Vector3()).applyMatrix4(toHouse);
+                return { key, cx: centre.x, cz: centre.z, w, d, floors: 1, storeyHeight: h };
+            });
+        if (blocks.length) return blocks;
+        const host = this.hostBox;
+        const storeyHeight = this.floorHeight || 3.5;
+        return [{
+            key: 'main',
+            cx: (host.min.x + host.max.x) / 2, cz: (host.min.z + host.max.z) / 2,
+            w: host.max.x - host.min.x, d: host.max.z - host.min.z,
+            floors: Math.max(1, Math.round(host.max.y / storeyHeight)), storeyHeight
+        }];
+    }
+
+    // Lays every block's rooms out floor by floor, then draws partitions and labels
+    updateRoomLayout() {
+        if (!this.building) return;
+        if (this.roomGroup) {
+            this.building.remove(this.roomGroup);
+            disposeObject3D(this.roomGroup);
+        }
+        this.roomGroup = new THREE.Group();
+        this.roomGroup.name = 'rooms';
+        this.building.add(this.roomGroup);
+
+        const schedule = this.getRoomSchedule();
+        const placed = new Set();
+        this.roomLayout = [];
+        this.getRoomBlocks().forEach(outline => {
+            // Rooms fill the block inside its external walls
+            const block = {
+                ...outline,
+                w: Math.max(0, outline.w - 2 * EXTERNAL_WALL_THICKNESS),
+                d: Math.max(0, outline.d - 2 * EXTERNAL_WALL_THICKNESS)
+            };
+            for (let floor = 0; floor < block.floors; floor++) {
+                const rooms = schedule.filter(room => room.block === block.key && room.floor === floor);
+                rooms.forEach(room => placed.add(room));
+                const layout = layoutBlockRooms(block, orderRoomsByAdjacency(rooms));
+                this.roomLayout.push({ block: block.key, floor, gross: block.w * block.d, ...layout });
+                const base = floor * block.storeyHeight;
+                this.roomGroup.add(createRoomPartitions(layout.partitions, base, block.storeyHeight));
+                layout.cells.filter(cell => cell.room).forEach(cell => {
+                    const label = createLabelSprite(`${cell.room.name} ${formatArea(cell.net, 1)}`, { color: '#e0e0e0', height: 0.025 });
+                    label.position.set((cell.x0 + cell.x1) / 2, base + ROOM_LABEL_HEIGHT, (cell.z0 + cell.z1) / 2);
+                    label.userData.roomLabel = true;
+                    this.roomGroup.add(label);
+                });
+            }
+        });
+        this.unplacedRooms = schedule.filter(room => !placed.has(room));
+        this.updateRoomLabelVisibility();
+        this.renderRoomList();
+        this.renderRoomSchedule();
+        this.updateFloorView();
+    }
+
+    // Storey boundaries: a floor every floorHeight, with the top storey ending at the eaves
+    getStoreyLevels() {
+        const eaves = this.hostBox.max.y;
+        const floorHeight = this.floorHeight || 3.5;
+        const storeys = Math.max(1, Math.round(eaves / floorHeight));
+        const levels = [];
+        for (let i = 0; i < storeys; i++) levels.push(i * floorHeight);
+        levels.push(eaves);
+        return levels;
+    }
+
+    // Shows one storey, everything up to a level, or every storey (and the roof) pulled apart.
+    // The model moves to a layer the camera doesn't draw and clipped copies stand in for it,
+    // so exports and checks still see the whole house.
+    updateFloorView() {
+        if (!this.scene || !this.building || !this.hostBox) return;
+        if (this.floorViewGroup) {
+            this.scene.remove(this.floorViewGroup);
+            disposeClippedCopy(this.floorViewGroup);
+            this.floorViewGroup = null;
+        }
+        const settings = {};
+        FLOOR_VIEW_FIELDS.forEach(spec => { settings[spec.key] = readControlValue(spec); });
+        const levels = this.getStoreyLevels();
+        const storeys = levels.length - 1;
+        const level = Math.min(settings.level, storeys - 1);
+        const levelInput = document.getElementById('floor-level');
+        if (levelInput) levelInput.max = String(storeys - 1);
+        const levelLabel = document.getElementById('floor-level-value');
+        if (levelLabel) levelLabel.textContent = getFloorName(level);
+
+        // A section cuts whatever is shown, so it also swaps the model for a (whole) copy
+        const section = this.getSectionAxis() !== 'off';
+        const active = settings.mode !== 'all' || section;
+        this.building.traverse(obj => obj.layers.set(active ? FLOOR_VIEW_HIDDEN_LAYER : 0));
+        if (active) {
+            const pieces = settings.mode === 'all'
+                ? [{ bottom: -Infinity, top: Infinity, lift: 0 }]
+                : settings.mode === 'exploded'
+                    ? levels.map((bottom, i) => ({ bottom: i === 0 ? -Infinity : bottom, top: i < storeys ? levels[i + 1] : Infinity, lift: i * settings.gap }))
+                    : [{ bottom: settings.mode === 'single' && level > 0 ? levels[level] : -Infinity, top: levels[level + 1], lift: 0 }];
+            const extraPlanes = section ? [this.sectionPlane] : [];
+            this.floorViewGroup = new THREE.Group();
+            this.floorViewGroup.name = 'floor-view';
+            pieces.forEach(piece => this.floorViewGroup.add(createClippedCopy(this.building, piece, extraPlanes)));
+            this.scene.add(this.floorViewGroup);
+        }
+        this.updateSectionView();
+    }
+
+    setupSectionTool() {
+        this.sectionGroup = new THREE.Group();
+        this.sectionGroup.name = 'section';
+        this.scene.add(this.sectionGroup);
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => this.onSectionPointerDown(e), { capture: true });
+        canvas.addEventListener('pointermove', (e) => this.onSectionPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onSectionPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onSectionPointerUp(e));
+    }
+
+    getSectionAxis() {
+        return this.sectionPlane ? readControlValue(SECTION_AXIS_FIELD) : 'off';
+    }
+
+    // A new axis starts through the middle of the model, or at sill-to-head height for a plan cut
+    onSectionAxisChanged() {
+        const axis = this.getSectionAxis();
+        if (axis !== 'off' && this.building) {
+            const center = new THREE.Box3().setFromObject(this.building).getCenter(new THREE.Vector3());
+            this.setSectionPosition(axis === 'y' ? SECTION_PLAN_HEIGHT : center[axis]);
+        }
+        this.updateFloorView();
+    }
+
+    setSectionPosition(value) {
+        this.sectionPosition = sanitizeField(SECTION_POSITION_FIELD, value, []);
+        writeControlValue(SECTION_POSITION_FIELD, this.sectionPosition);
+        this.updateSliderLabels();
+        this.moveSectionPlane();
+    }
+
+    // The plane keeps the part below the position along the axis (or above it when flipped).
+    // Moving it only updates the shared plane and the gizmo; the clipped copies follow by reference.
+    moveSectionPlane() {
+        const axis = this.getSectionAxis();
+        if (axis === 'off') return;
+        const sign = readControlValue(SECTION_FLIP_FIELD) ? 1 : -1;
+        this.sectionPlane.normal.copy(SECTION_AXES[axis]).multiplyScalar(sign);
+        this.sectionPlane.constant = -sign * this.sectionPosition;
+        if (this.sectionGizmo) this.sectionGizmo.position[axis] = this.sectionPosition;
+    }
+
+    // Stencil helpers for every solid being cut, then the cap and drag handle on the plane
+    updateSectionView() {
+        if (!this.sectionGroup) return;
+        this.sectionGroup.children.slice().forEach(child => {
+            this.sectionGroup.remove(child);
+            disposeSectionObject(child);
+        });
+        this.sectionGizmo = null;
+        const axis = this.getSectionAxis();
+        if (axis === 'off' || !this.floorViewGroup) return;
+        this.moveSectionPlane();
+
+        // Each copy gets its own stencil pass and cap, clipped to the copy's floor planes
+        this.floorViewGroup.updateMatrixWorld(true);
+        const pieces = this.floorViewGroup.children;
+        pieces.forEach((piece, i) => this.sectionGroup.add(createSectionStencil(piece, this.sectionPlane, 2 * i + 1)));
+        const capPlanes = pieces.map(piece => piece.userData.clippingPlanes.filter(plane => plane !== this.sectionPlane));
+
+        const box = new THREE.Box3().setFromObject(this.building);
+        this.sectionGizmo = createSectionGizmo(axis, box, capPlanes);
+        this.sectionGizmo.position[axis] = this.sectionPosition;
+        this.sectionGroup.add(this.sectionGizmo);
+    }
+
+    pickSectionHandle(event) {
+        const handle = this.sectionGizmo?.getObjectByName('section-handle');
+        if (!handle || !this.raycaster) return null;
+        this.setRaycasterFromEvent(event);
+        return this.raycaster.intersectObject(handle, false)[0] || null;
+    }
+
+    onSectionPointerDown(event) {
+        if (event.button !== 0 || this.measureMode !== 'off' || this.plotDraft || this.placingWindow !== null) return;
+        const hit = this.pickSectionHandle(event);
+        if (!hit) return;
+        const axis = SECTION_AXES[this.getSectionAxis()];
+        // Drag on the plane through the handle that holds the axis and faces the camera most squarely
+        const view = this.camera.getWorldDirection(new THREE.Vector3());
+        const normal = view.sub(axis.clone().multiplyScalar(view.dot(axis)));
+        if (normal.lengthSq() < 1e-6) return;
+        this.sectionDrag = {
+            axis,
+            plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal.normalize(), hit.point),
+            start: hit.point.clone(),
+            initial: this.sectionPosition
+        };
+        this.controls.enabled = false;
+        this.renderer.domElement.setPointerCapture?.(event.pointerId);
+        this.renderer.domElement.style.cursor = 'grabbing';
+        event.preventDefault();
+    }
+
+    onSectionPointerMove(event) {
+        if (!this.sectionDrag) {
+            this.sectionHover = this.measureMode === 'off' && !!this.pickSectionHandle(event);
+            if (this.sectionHover) this.renderer.domElement.style.cursor = 'grab';
+            return;
+        }
+        this.setRaycasterFromEvent(event);
+        const point = this.raycaster.ray.intersectPlane(this.sectionDrag.plane, new THREE.Vector3());
+        if (!point) return;
+        const drag = this.sectionDrag;
+        const snap = this.getHandleSnap();
+        const position = Math.round((drag.initial + point.sub(drag.start).dot(drag.axis)) / snap) * snap;
+        if (position !== this.sectionPosition) this.setSectionPosition(position);
+    }
+
+    onSectionPointerUp(event) {
+        if (!this.sectionDrag) return;
+        this.sectionDrag = null;
+        this.controls.enabled = true;
+        this.renderer.domElement.releasePointerCapture?.(event.pointerId);
+        this.renderer.domElement.style.cursor = '';
+    }
+
+    updateRoomLabelVisibility() {
+        const show = readControlValue(ROOM_LABELS_FIELD);
+        this.roomGroup?.children.forEach(child => {
+            if (child.userData.roomLabel) child.visible = show;
+        });
+    }
+
+    // Editing the default schedule turns it into this design's own
+    editRoomSchedule(edit, source) {
+        if (!this.rooms) this.rooms = this.getRoomSchedule().map(room => ({ ...room }));
+        edit(this.rooms);
+        this.updateRoomLayout();
+        this.persistDesignerState();
+        this.recordHistory(source);
+    }
+
+    addRoom() {
+        const blocks = this.getRoomBlocks();
+        this.editRoomSchedule(rooms => {
+            if (rooms.length >= MAX_ROOMS) return;
+            rooms.push({ ...createDefaultRoom(), block: blocks[0]?.key || 'main', name: `Room ${rooms.length + 1}` });
+        }, 'room-add');
+    }
+
+    removeRoom(index) {
+        this.editRoomSchedule(rooms => rooms.splice(index, 1), 'room-remove');
+    }
+
+    updateRoomField(index, key, value) {
+        const spec = ROOM_FIELDS.find(f => f.key === key);
+        if (!spec) return;
+        this.editRoomSchedule(rooms => {
+            if (rooms[index]) rooms[index][key] = sanitizeField(spec, value, []);
+        }, `room-${index}-${key}`);
+    }
+
+    resetRoomSchedule() {
+        this.rooms = null;
+        this.updateRoomLayout();
+        this.persistDesignerState();
+        this.recordHistory('room-reset');
+    }
+
+    // Openings follow the style's defaults until they're edited
+    getOpenings() {
+        if (this.openings) return this.openings;
+        if (!this.hostBox) return [];
+        const style = readControlValue(DESIGNER_FIELDS.find(spec => spec.key === 'style'));
+        return getDefaultOpenings(style, this.hostBox, this.building.userData.planScale, this.floorHeight);
+    }
+
+    // Whether an opening is built: the windows toggle hides windows, edited or not
+    isOpeningShown(opening) {
+        return opening.type !== 'window' || this.getFeatureToggles().windows;
+    }
+
+    // Cuts a host's openings ('house' or 'extension-N') into the wall boxes under root and fits
+    // frames and glass in the holes. Placement is worked out in the house frame; centre is the
+    // point offsets are measured from, and an extension's side names the facade against the house.
+    addOpenings(root, host, centre, side = null) {
+        const openings = this.getOpenings();
+        if (!openings.some(opening => opening.host === host)) return;
+        const toHouse = this.building.matrixWorld.clone().invert();
+        const faces = collectWallFaces(root, toHouse);
+        const cuts = new Map();
+        const frames = [];
+        openings.forEach((opening, index) => {
+            if (opening.host !== host || (side && opening.facade === OPPOSITE_SIDE[side]) || !this.isOpeningShown(opening)) return;
+            const placement = placeOpening(opening, faces, centre);
+            if (!placement) return;
+            placement.faces.forEach(face => {
+                if (!cuts.has(face.mesh)) cuts.set(face.mesh, { faces: [], holes: {} });
+                const entry = cuts.get(face.mesh);
+                entry.faces.push(face);
+                (entry.holes[face.key] = entry.holes[face.key] || []).push(getFaceHole(face, placement));
+            });
+            const frame = createOpeningFrame(opening, placement);
+            frame.userData.opening = { index, ...opening, area: opening.width * opening.height, glazed: OPENING_TYPES[opening.type].glazed };
+            frames.push(frame);
+        });
+        cuts.forEach(({ faces: [face], holes }, mesh) => {
+            const scale = new THREE.Vector3().setFromMatrixScale(face.rel);
+            const reveal = { x: OPENING_REVEAL / scale.x, z: OPENING_REVEAL / scale.z };
+            replaceWithPieces(mesh, createCutBoxGeometries(mesh.geometry.parameters, holes, reveal));
+        });
+        const toRoot = toHouse.multiply(root.matrixWorld).invert();
+        frames.forEach(frame => {
+            frame.applyMatrix4(toRoot);
+            root.add(frame);
+        });
+    }
+
+    // Cyberpunk neon outlines round the house's windows, on the wall face
+    addNeonFrames() {
+        const windows = [];
+        this.building.traverse(obj => {
+            const opening = obj.userData.opening;
+            if (opening && opening.host === 'house' && opening.type === 'window') windows.push(obj);
+        });
+        const neonMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff0080,
+            transparent: true,
+            opacity: 0.8
+        });
+        const bar = 0.075;
+        windows.forEach(frame => {
+            const { width, height } = frame.userData.opening;
+            const z = frame.userData.reveal / 2 + 0.01;
+            [
+                [width + 2 * bar, bar, 0, height / 2 + bar / 2],
+                [width + 2 * bar, bar, 0, -height / 2 - bar / 2],
+                [bar, height, -width / 2 - bar / 2, 0],
+                [bar, height, width / 2 + bar / 2, 0]
+            ].forEach(([w, h, x, y]) => {
+                const neon = new THREE.Mesh(new THREE.BoxGeometry(w, h, 0.02), neonMaterial);
+                neon.position.set(x, y, z);
+                frame.add(neon);
+            });
+        });
+    }
+
+    // Editing the default openings turns them into this design's own
+    editOpenings(edit, source) {
+        if (!this.openings) this.openings = this.getOpenings().map(opening => ({ ...opening }));
+        edit(this.openings);
+        this.generateInitialBuilding();
+        this.recordHistory(source);
+    }
+
+    // A new opening goes on the outer end of the selected extension when extensions are shown
+    addOpening() {
+        const ext = this.extensions[this.selectedExtension];
+        const showExtension = readControlValue(DESIGNER_FIELDS.find(spec => spec.key === 'showExtension'));
+        this.editOpenings(openings => {
+            if (openings.length >= MAX_OPENINGS) return;
+            const opening = createDefaultOpening();
+            if (ext && showExtension) Object.assign(opening, { host: `extension-${this.selectedExtension + 1}`, facade: ext.side });
+            openings.push(opening);
+        }, 'opening-add');
+    }
+
+    removeOpening(index) {
+        this.editOpenings(openings => openings.splice(index, 1), 'opening-remove');
+    }
+
+    updateOpeningField(index, key, value) {
+        const spec = OPENING_FIELDS.find(f => f.key === key);
+        if (!spec) return;
+        this.editOpenings(openings => {
+            const opening = openings[index];
+            if (!opening) return;
+            opening[key] = sanitizeField(spec, value, []);
+            // Doors start at floor level
+            if (key === 'type' && opening.type !== 'window') opening.sill = 0;
+        }, `opening-${index}-${key}`);
+    }
+
+    resetOpenings() {
+        this.openings = null;
+        this.generateInitialBuilding();
+        this.recordHistory('opening-reset');
+    }
+
+    renderOpeningList() {
+        const list = document.getElementById('opening-list');
+        if (list) {
+            list.replaceChildren(...this.getOpenings().map((opening, index) => {
+                const row = document.createElement('div');
+                row.className = 'extension-row';
+                OPENING_FIELDS.forEach(spec => {
+                    row.appendChild(createFieldInput(spec, opening[spec.key], value => this.updateOpeningField(index, spec.key, value)));
+                });
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'btn-mini';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => this.removeOpening(index));
+                row.appendChild(removeBtn);
+                return row;
+            }));
+        }
+        const addBtn = document.getElementById('add-opening-btn');
+        if (addBtn) addBtn.disabled = this.getOpenings().length >= MAX_OPENINGS;
+    }
+
+    // Openings as built, read back from the model so anything that couldn't be placed is left out
+    getPlacedOpenings() {
+        const placed = [];
+        this.building?.traverse(obj => {
+            if (obj.userData.opening) placed.push(obj.userData.opening);
+        });
+        return placed;
+    }
+
+    // Counts and areas per host, for the report and the checks that build on it
+    getOpeningSummary() {
+        const summary = {};
+        this.getPlacedOpenings().forEach(opening => {
+            const entry = summary[opening.host] = summary[opening.host] || { windows: 0, doors: 0, area: 0, glazedArea: 0 };
+            entry[opening.type === 'window' ? 'windows' : 'doors'] += 1;
+            entry.area += opening.area;
+            if (opening.glazed) entry.glazedArea += opening.area;
+        });
+        return summary;
+    }
+
+    renderOpeningReport() {
+        const out = document.getElementById('opening-report');
+        if (!out) return;
+        const summary = this.getOpeningSummary();
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const addRow = (cells, className) => {
+            const tr = table.insertRow();
+            if (className) tr.className = className;
+            cells.forEach(text => { tr.insertCell().textContent = text; });
+        };
+        addRow(['', 'Windows', 'Doors', 'Glazed', 'Total'], 'room-head');
+        Object.entries(summary).forEach(([host, entry]) => {
+            addRow([getOpeningHostName(host), String(entry.windows), String(entry.doors), formatArea(entry.glazedArea), formatArea(entry.area)]);
+        });
+        const nodes = [table];
+        const placed = new Set(this.getPlacedOpenings().map(opening => opening.index));
+        const openings = this.getOpenings();
+        const unplaced = openings.map((_, index) => index).filter(index => !placed.has(index) && this.isOpeningShown(openings[index]));
+        if (unplaced.length) {
+            const warning = document.createElement('p');
+            warning.className = 'plot-warning';
+            warning.textContent = `Not placed (no wall there big enough, or no such extension): ${unplaced.map(index => `opening ${index + 1}`).join(', ')}.`;
+            nodes.push(warning);
+        }
+        out.replaceChildren(...nodes);
+    }
+
+    renderRoomList() {
+        const list = document.getElementById('room-list');
+        if (list) {
+            const blockKeys = this.getRoomBlocks().map(block => block.key);
+            list.replaceChildren(...this.getRoomSchedule().map((room, index) => {
+                const row = document.createElement('div');
+                row.className = 'extension-row';
+                ROOM_FIELDS.forEach(spec => {
+                    // Blocks depend on the style, so the choice is built from the model
+                    const field = spec.key === 'block'
+                        ? { ...spec, type: 'option', options: [...new Set([...blockKeys, room.block])] }
+                        : spec;
+                    row.appendChild(createFieldInput(field, room[spec.key], value => this.updateRoomField(index, spec.key, value)));
+                });
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'btn-mini';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => this.removeRoom(index));
+                row.appendChild(removeBtn);
+                return row;
+            }));
+        }
+        const addBtn = document.getElementById('add-room-btn');
+        if (addBtn) addBtn.disabled = this.getRoomSchedule().length >= MAX_ROOMS;
+    }
+
+    // Gross internal area (inside the external walls, to partition centrelines) and net (inside
+    // the partitions as well) per room, with floor subtotals
+    renderRoomSchedule() {
+        const out = document.getElementById('room-schedule-report');
+        if (!out) return;
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const addRow = (cells, className) => {
+            const tr = table.insertRow();
+            if (className) tr.className = className;
+            cells.forEach(text => { tr.insertCell().textContent = text; });
+        };
+        addRow(['Room', 'Block', 'Target', 'Gross', 'Net', ''], 'room-head');
+        const floors = [...new Set(this.roomLayout.map(entry => entry.floor))].sort((a, b) => a - b);
+        floors.forEach(floor => {
+            const entries = this.roomLayout.filter(entry => entry.floor === floor);
+            let gross = 0, net = 0;
+            entries.forEach(entry => {
+                gross += entry.gross;
+                // Circulation is reported as one row per block
+                const circulation = entry.cells.filter(cell => !cell.room);
+                const cells = entry.cells.filter(cell => cell.room);
+                if (circulation.length) {
+                    cells.push(circulation.reduce((sum, cell) => ({ room: null, gross: sum.gross + cell.gross, net: sum.net + cell.net }), { room: null, gross: 0, net: 0 }));
+                }
+                cells.forEach(cell => {
+                    net += cell.net;
+                    const note = !cell.room ? '' : [
+                        entry.overAllocated ? 'squeezed to fit' : '',
+                        cell.room.adjacent && !cell.nextTo ? `not next to ${cell.room.adjacent}` : ''
+                    ].filter(Boolean).join('; ');
+                    addRow([
+                        cell.room ? cell.room.name : 'Circulation', entry.block,
+                        cell.room ? formatArea(cell.room.area, 1) : '', formatArea(cell.gross, 1), formatArea(cell.net, 1), note
+                    ]);
+                });
+            });
+            addRow([`${getFloorName(floor)} total`, '', '', formatArea(gross, 1), formatArea(net, 1), ''], 'room-total');
+        });
+        const nodes = [table];
+        if (this.unplacedRooms.length) {
+            const warning = document.createElement('p');
+            warning.className = 'plot-warning';
+            warning.textContent = `Not placed (no such block or floor in this model): ${this.unplacedRooms.map(room => room.name).join(', ')}.`;
+            nodes.push(warning);
+        }
+        out.replaceChildren(...nodes);
+    }
+
+    createProjectDocument() {
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            designer: this.getDesignerState()
+        };
+    }
+
+    // Migrate, validate and replay a project document through the generator
+    loadProjectDocument(doc) {
+        const migrated = migrateProjectDocument(doc);
+        const { state, issues } = sanitizeDesignerState(migrated.designer);
+        this.applyDesignerState(state);
+        this.generateInitialBuilding();
+        this.recordHistory('project');
+        return issues;
+    }
+
+    saveProject() {
+        const json = JSON.stringify(this.createProjectDocument(), null, 2);
+        downloadFile(json, this.getExportFileName('json'), 'application/json');
+    }
+
+    getExportFileName(extension) {
+        const stamp = new Date().toISOString().slice(0, 10);
+        return `rp-projects-design-${stamp}.${extension}`;
+    }
+
+    // glTF keeps the group hierarchy, names and userData (layer tags end up in node extras)
+    exportGLTF(binary = true) {
+        if (!this.building) return;
+        if (!THREE.GLTFExporter) {
+            showDesignerNotice('glTF export is unavailable: the exporter script did not load.');
+            return;
+        }
+        const exporter = new THREE.GLTFExporter();
+        exporter.parse(this.building, (result) => {
+            if (binary) {
+                downloadFile(new Blob([result], { type: 'model/gltf-binary' }), this.getExportFileName('glb'));
+            } else {
+                downloadFile(JSON.stringify(result, null, 2), this.getExportFileName('gltf'), 'model/gltf+json');
+            }
+        }, { binary, onlyVisible: false });
+    }
+
+    // Solid-only copy of the visible model in print millimetres, Z up for slicers and CAD
+    createPrintableModel(scaleDenominator) {
+        const mmPerUnit = 1000 / scaleDenominator;
+        const root = new THREE.Group();
+        root.scale.setScalar(mmPerUnit);
+        root.rotation.x = Math.PI / 2;
+
+        const size = new THREE.Vector3();
+        let skipped = 0;
+        // Printed square to the bed, wherever the house sits on the plot
+        this.withHouseFrame(() => this.building.traverseVisible((obj) => {
+            if (!obj.isMesh) return;
+            if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
+            obj.geometry.boundingBox.getSize(size).multiply(new THREE.Vector3().setFromMatrixScale(obj.matrixWorld));
+            const thinnestMm = Math.min(size.x, size.y, size.z) * mmPerUnit;
+            if (!isPrintableMaterial(obj.material) || thinnestMm < PRINT_MIN_FEATURE_MM) {
+                skipped++;
+                return;
+            }
+            const solid = new THREE.Mesh(obj.geometry, obj.material);
+            solid.name = obj.name || obj.parent?.name || '';
+            solid.matrixAutoUpdate = false;
+            solid.matrix.copy(obj.matrixWorld);
+            root.add(solid);
+        }));
+        root.updateMatrixWorld(true);
+        return { root, skipped };
+    }
+
+    // Plan-view DXF: block walls, columns and slabs plus the extension outline on their own layers
+    exportDXF() {
+        if (!this.building) return;
+        this.building.updateMatrixWorld(true);
+        const entities = [];
+        const layerFor = { wall: 'WALLS', column: 'COLUMNS', slab: 'SLABS', extension: 'EXTENSION', partition: 'PARTITIONS', opening: 'OPENINGS' };
+        this.building.traverse((obj) => {
+            const layer = layerFor[obj.userData.layer];
+            if (!obj.isMesh || !layer) return;
+            const outline = getPlanOutline(obj);
+            if (layer === 'COLUMNS') {
+                const xs = outline.map(p => p[0]);
+                const radius = (Math.max(...xs) - Math.min(...xs)) / 2;
+                entities.push({ type: 'circle', layer, center: centroid2D(outline), radius });
+            } else {
+                entities.push({ type: 'polyline', layer, points: outline, closed: true });
+            }
+        });
+
+        Object.values(this.buildingParts).forEach((group) => {
+            const slab = group.children.find(c => c.userData.layer === 'slab');
+            if (!slab) return;
+            entities.push({ type: 'text', layer: 'LABELS', position: centroid2D(getPlanOutline(slab)), height: 0.6, text: group.name });
+        });
+
+        // Styles without block structure still get their overall footprint
+        if (!entities.some(e => e.layer === 'WALLS') && this.hostBox) {
+            const bbox = this.hostBox;
+            const toPlan = (x, z) => {
+                const v = new THREE.Vector3(x, 0, z).applyMatrix4(this.building.matrixWorld);
+                return [v.x, -v.z];
+            };
+            entities.push({
+                type: 'polyline', layer: 'WALLS', closed: true,
+                points: [toPlan(bbox.min.x, bbox.max.z), toPlan(bbox.max.x, bbox.max.z), toPlan(bbox.max.x, bbox.min.z), toPlan(bbox.min.x, bbox.min.z)]
+            });
+        }
+
+        // The plot makes the plan a site plan
+        if (this.plot.length >= 3) {
+            entities.push({ type: 'polyline', layer: 'BOUNDARY', closed: true, points: this.plot.map(([x, z]) => [x, -z]) });
+        }
+
+        const dxf = createDxfDocument(DXF_LAYERS, entities);
+        downloadFile(dxf, this.getExportFileName('dxf'), 'application/dxf');
+    }
+
+    // Plan plus four elevations of this.building as one SVG sheet, hidden lines removed
+    createDrawingSheetSVG() {
+        if (!this.building) return '';
+        // Elevations are of the house square-on, wherever it sits on the plot
+        const meshes = [];
+        this.withHouseFrame(() => {
+            this.building.traverseVisible((obj) => {
+                if (obj.isMesh) meshes.push(getWorldTriangles(obj));
+            });
+        });
+        const scale = parseInt((document.getElementById('drawing-scale') || { value: 100 }).value, 10) || 100;
+        const views = DRAWING_VIEWS.map(view => ({ view, ...renderHiddenLineView(meshes, view) }));
+        return layoutDrawingSheet(views, scale);
+    }
+
+    showDrawingPreview() {
+        const preview = document.getElementById('drawing-preview');
+        if (preview) preview.innerHTML = this.createDrawingSheetSVG();
+    }
+
+    exportDrawings() {
+        const svg = this.createDrawingSheetSVG();
+        if (svg) downloadFile(svg, this.getExportFileName('svg'), 'image/svg+xml');
+    }
+
+    getPrintScale() {
+        const value = parseInt((document.getElementById('print-scale') || { value: 200 }).value, 10);
+        return value > 0 ? value : 200;
+    }
+
+    exportSTL(binary = true) {
+        if (!this.building) return;
+        if (!THREE.STLExporter) {
+            showDesignerNotice('STL export is unavailable: the exporter script did not load.');
+            return;
+        }
+        const scale = this.getPrintScale();
+        const { root, skipped } = this.createPrintableModel(scale);
+        const result = new THREE.STLExporter().parse(root, { binary });
+        const filename = this.getExportFileName(`1-${scale}.stl`);
+        if (binary) downloadFile(new Blob([result], { type: 'model/stl' }), filename);
+        else downloadFile(result, filename, 'model/stl');
+        this.reportSkippedPrintParts(skipped);
+    }
+
+    reportSkippedPrintParts(skipped) {
+        if (skipped > 0) showDesignerNotice(`${skipped} glass, glow or paper-thin parts were left out so the model prints.`);
+    }
+
+    exportOBJ() {
+        if (!this.building) return;
+        if (!THREE.OBJExporter) {
+            showDesignerNotice('OBJ export is unavailable: the exporter script did not load.');
+            return;
+        }
+        const scale = this.getPrintScale();
+        const { root, skipped } = this.createPrintableModel(scale);
+        const result = new THREE.OBJExporter().parse(root);
+        downloadFile(result, this.getExportFileName(`1-${scale}.obj`), 'model/obj');
+        this.reportSkippedPrintParts(skipped);
+    }
+
+    loadProjectFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const issues = this.loadProjectDocument(JSON.parse(reader.result));
+                if (issues.length) {
+                    showDesignerNotice(`Project opened with defaults for: ${issues.join(', ')}.`);
+                }
+            } catch (err) {
+                showDesignerNotice(`Could not open ${file.name}: ${err.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    getEstimatorState() {
+        const state = {};
+        ESTIMATOR_FIELDS.forEach(spec => { state[spec.key] = readControlValue(spec); });
+        return state;
+    }
+
+    applyEstimatorState(state) {
+        ESTIMATOR_FIELDS.forEach(spec => writeControlValue(spec, state[spec.key]));
+    }
+
+    // Link that reopens the current model and estimate inputs
+    createShareLink() {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        const estimator = this.getEstimatorState();
+        ESTIMATOR_FIELDS.forEach(spec => url.searchParams.set(spec.key, String(estimator[spec.key])));
+        if (this.designerEnabled) {
+            const { version, designer } = this.createProjectDocument();
+            url.searchParams.set(SHARE_DESIGN_PARAM, encodeSharePayload({ version, designer }));
+        }
+        return url.toString();
+    }
+
+    copyShareLink() {
+        const link = this.createShareLink();
+        if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(() => showDesignerNotice('Link copied - it opens this design and estimate.'))
+                .catch(() => window.prompt('Copy this link:', link));
+        } else {
+            window.prompt('Copy this link:', link);
+        }
+    }
+
+    // Fill controls from a shared link; returns true when the link carried a design
+    applySharedLink() {
+        const params = new URLSearchParams(window.location.search);
+        const hasEstimate = ESTIMATOR_FIELDS.some(spec => params.has(spec.key));
+        const hasDesign = params.has(SHARE_DESIGN_PARAM);
+        if (!hasEstimate && !hasDesign) return false;
+
+        const issues = [];
+        if (hasEstimate) {
+            const estimator = {};
+            ESTIMATOR_FIELDS.forEach(spec => {
+                const raw = params.has(spec.key) ? params.get(spec.key) : undefined;
+                estimator[spec.key] = sanitizeField(spec, raw, issues, true);
+            });
+            this.applyEstimatorState(estimator);
+        }
+
+        if (hasDesign && this.designerEnabled) {
+            let designer;
+            try {
+                designer = migrateProjectDocument(decodeSharePayload(params.get(SHARE_DESIGN_PARAM))).designer;
+            } catch (_) {
+                issues.push('design');
+            }
+            const result = sanitizeDesignerState(designer, true);
+            issues.push(...result.issues);
+            this.applyDesignerState(result.state);
+        }
+
+        if (issues.length) {
+            showDesignerNotice(`This link had invalid settings (${issues.join(', ')}), so defaults were used for them.`);
+        }
+        return hasDesign && this.designerEnabled;
+    }
+
+    persistDesignerState() {
+        try {
+            localStorage.setItem(PROJECT_STORAGE_KEY, JSON.stringify(this.createProjectDocument()));
+        } catch (_) {
+            // storage full or disabled; the design simply won't survive a reload
+        }
+    }
+
+    // Refill the controls from the last autosaved project (does not regenerate)
+    restoreDesignerState() {
+        try {
+            const saved = localStorage.getItem(PROJECT_STORAGE_KEY);
+            if (!saved) return;
+            const migrated = migrateProjectDocument(JSON.parse(saved));
+            this.applyDesignerState(sanitizeDesignerState(migrated.designer).state);
+        } catch (_) {
+            // Unreadable save, or storage disabled; start from the defaults
+            try {
+                localStorage.removeItem(PROJECT_STORAGE_KEY);
+            } catch (_) {
+                // nothing to clear
+            }
+        }
+    }
+
+    initHeroAnimation() {
+        // Disabled per user request (remove hero 3D preview)
+        return;
+    }
+
+    createFloatingShapes() {
+        // Remove floating shapes for professional look
+        return;
+    }
+
+    getRandomGeometry() {
+        // Remove random geometries for professional look
+        return;
+    }
+
+    animateHero() {
+        // Remove hero animation for professional look
+        return;
+    }
+
+    setupNavigation() {
+        // Smooth scrolling for navigation links
+        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+            anchor.addEventListener('click', function (e) {
+                e.preventDefault();
+                const target = document.querySelector(this.getAttribute('href'));
+                if (target) {
+                    target.scrollIntoView({
+                        behavior: 'smooth',
+                        block: 'start'
+                    });
+                }
+            });
+        });
+
+        // Mobile menu toggle
+        const hamburger = document.querySelector('.hamburger');
+        const navMenu = document.querySelector('.nav-menu');
+        
+        if (hamburger && navMenu) {
+            hamburger.addEventListener('click', () => {
+                hamburger.classList.toggle('active');
+                navMenu.classList.toggle('active');
+            });
+        }
+
+        // Close mobile menu when clicking on a link
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.addEventListener('click', () => {
+                hamburger.classList.remove('active');
+                navMenu.classList.remove('active');
+            });
+        });
+
+        // Keep navbar transparent (remove forced dark background on scroll)
+        window.addEventListener('scroll', () => {
+            const navbar = document.querySelector('.navbar');
+            if (!navbar) return;
+            navbar.style.background = 'transparent';
+            navbar.style.borderBottom = '1px solid transparent';
+        });
+
+        // Contact form handling
+        const contactForm = document.querySelector('.contact-form');
+        if (contactForm) {
+            const hasAction = !!contactForm.getAttribute('action');
+            if (!hasAction) {
+                contactForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.handleContactForm(e.target);
+                });
+            }
+        }
+    }
+
+    initRevealObserver() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('in-view');
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, { rootMargin: '0px 0px -10% 0px', threshold: 0.1 });
+
+        document.querySelectorAll('.reveal').forEach(el => observer.observe(el));
+    }
+
+    handleContactForm(form) {
+        const formData = new FormData(form);
+        const data = Object.fromEntries(formData);
+        
+        // Show success message (in a real app, you'd send this to a server)
+        alert('Thank you for your message! We\'ll get back to you soon.');
+        form.reset();
+    }
+
+    scrollToSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        if (section) {
+            section.scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+        }
+    }
+
+    setupEventListeners() {
+        // Slider event listeners
+        const floorsSlider = document.getElementById('floors');
+        const volumeSlider = document.getElementById('volume');
+        const surfaceAreaSlider = document.getElementById('surface-area');
+        const styleSelect = document.getElementById('building-style');
+        const houseType = document.getElementById('house-type');
+        const showExtension = document.getElementById('show-extension');
+        const extensionPosition = document.getElementById('extension-position');
+        const extensionLength = document.getElementById('extension-length');
+        const extensionWidth = document.getElementById('extension-width');
+        const extensionFloors = document.getElementById('extension-floors');
+        const generateBtn = document.getElementById('generate-btn');
+        const estimateBtn = document.getElementById('estimate-btn');
+
+        floorsSlider?.addEventListener('input', (e) => {
+            document.getElementById('floors-value').textContent = e.target.value;
+        });
+
+        // Volume, surface area and extension slider readouts, in the display units
+        const updateSliderLabels = () => this.updateSliderLabels();
+        updateSliderLabels();
+        [volumeSlider, surfaceAreaSlider, extensionLength, extensionWidth, extensionFloors]
+            .forEach(element => element?.addEventListener('input', updateSliderLabels));
+
+        // Metric / imperial display
+        document.getElementById('unit-system')?.addEventListener('change', (e) => {
+            this.setDisplayUnits(e.target.value);
+        });
+
+        // Generate button
+        generateBtn?.addEventListener('click', () => {
+            this.generateInitialBuilding();
+        });
+
+        // Project save / open
+        document.getElementById('save-project-btn')?.addEventListener('click', () => {
+            this.saveProject();
+        });
+        const projectFileInput = document.getElementById('load-project-input');
+        projectFileInput?.addEventListener('change', (e) => {
+            this.loadProjectFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('share-link-btn')?.addEventListener('click', () => {
+            this.copyShareLink();
+        });
+
+        // Model exports
+        document.getElementById('export-glb-btn')?.addEventListener('click', () => {
+            this.exportGLTF(true);
+        });
+        document.getElementById('export-gltf-btn')?.addEventListener('click', () => {
+            this.exportGLTF(false);
+        });
+        document.getElementById('export-stl-btn')?.addEventListener('click', () => {
+            this.exportSTL(true);
+        });
+        document.getElementById('export-stl-ascii-btn')?.addEventListener('click', () => {
+            this.exportSTL(false);
+        });
+        document.getElementById('export-obj-btn')?.addEventListener('click', () => {
+            this.exportOBJ();
+        });
+        document.getElementById('export-dxf-btn')?.addEventListener('click', () => {
+            this.exportDXF();
+        });
+        document.getElementById('preview-drawings-btn')?.addEventListener('click', () => {
+            this.showDrawingPreview();
+        });
+        document.getElementById('export-svg-btn')?.addEventListener('click', () => {
+            this.exportDrawings();
+        });
+
+        // Sun study
+        ['sun-lat', 'sun-lon', 'sun-date', 'sun-time'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.updateSunStudy());
+        });
+        document.getElementById('sun-study')?.addEventListener('change', () => this.updateSunStudy());
+        document.getElementById('sun-animate-btn')?.addEventListener('click', () => this.toggleSunAnimation());
+        document.querySelectorAll('[data-sun-date]').forEach(btn => {
+            btn.addEventListener('click', () => this.setSunDate(btn.dataset.sunDate));
+        });
+
+        // Dimension groups on the model
+        DIMENSION_GROUPS.forEach(spec => {
+            document.getElementById(spec.id)?.addEventListener('change', () => this.updateDimensionVisibility());
+        });
+
+        // Measuring
+        document.getElementById('measure-mode')?.addEventListener('change', (e) => {
+            this.setMeasureMode(e.target.value);
+        });
+        document.getElementById('clear-measurements-btn')?.addEventListener('click', () => {
+            this.clearMeasurements();
+        });
+        document.getElementById('export-measurements-btn')?.addEventListener('click', () => {
+            this.exportMeasurements();
+        });
+
+        // Estimate button
+        if (estimateBtn) {
+            estimateBtn.addEventListener('click', () => {
+                this.calculateEstimate();
+            });
+        }
+
+        // Beam sizing recalculates as its inputs change
+        BEAM_FIELDS.forEach(spec => {
+            document.getElementById(spec.id)?.addEventListener('change', () => this.calculateBeam());
+        });
+        document.getElementById('beam-btn')?.addEventListener('click', () => this.calculateBeam());
+        document.getElementById('beam-span-from-model-btn')?.addEventListener('click', () => this.useExtensionBeamSpan());
+
+        // Extension sliders edit the selected extension
+        [extensionPosition, extensionLength, extensionWidth, extensionFloors]
+            .filter(Boolean)
+            .forEach(element => {
+                element.addEventListener('change', () => {
+                    this.updateSelectedExtensionFromControls(element.id);
+                    this.generateInitialBuilding();
+                    this.recordHistory(element.id);
+                });
+            });
+        document.getElementById('add-extension-btn')?.addEventListener('click', () => this.addExtensionEntry());
+
+        // Floor view
+        FLOOR_VIEW_FIELDS.forEach(spec => {
+            document.getElementById(spec.id)?.addEventListener(spec.type === 'option' ? 'change' : 'input', () => this.updateFloorView());
+        });
+
+        // Section plane
+        document.getElementById(SECTION_AXIS_FIELD.id)?.addEventListener('change', () => this.onSectionAxisChanged());
+        document.getElementById(SECTION_FLIP_FIELD.id)?.addEventListener('change', () => this.moveSectionPlane());
+        document.getElementById(SECTION_POSITION_FIELD.id)?.addEventListener('input', () => {
+            const value = readControlValue(SECTION_POSITION_FIELD);
+            if (value !== this.sectionPosition) this.setSectionPosition(value);
+        });
+
+        // Facade openings
+        document.getElementById('add-opening-btn')?.addEventListener('click', () => this.addOpening());
+        document.getElementById('reset-openings-btn')?.addEventListener('click', () => this.resetOpenings());
+
+        // Room schedule
+        document.getElementById('add-room-btn')?.addEventListener('click', () => this.addRoom());
+        document.getElementById('reset-rooms-btn')?.addEventListener('click', () => this.resetRoomSchedule());
+        document.getElementById(ROOM_LABELS_FIELD.id)?.addEventListener('change', () => this.updateRoomLabelVisibility());
+
+        // Plot and house placement
+        ['house-x', 'house-z', 'house-rotation', 'outbuildings-area'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.onSiteChanged(id));
+        });
+        document.getElementById('draw-plot-btn')?.addEventListener('click', () => this.startPlotDrawing());
+        document.getElementById('default-plot-btn')?.addEventListener('click', () => this.setDefaultPlot());
+        document.getElementById('clear-plot-btn')?.addEventListener('click', () => this.clearPlot());
+
+        // 45-degree rule
+        document.getElementById('add-neighbour-window-btn')?.addEventListener('click', () => this.addNeighbourWindow());
+        document.getElementById('copy-daylight-summary-btn')?.addEventListener('click', () => this.copyDaylightSummary());
+
+        // U-values and design temperatures only change the heat loss figures
+        HEAT_LOSS_ELEMENTS.map(element => element.field).concat(['insideTemp', 'outsideTemp']).forEach(key => {
+            const spec = DESIGNER_FIELDS.find(f => f.key === key);
+            document.getElementById(spec.id)?.addEventListener('change', () => {
+                this.updateHeatLoss();
+                this.persistDesignerState();
+                this.recordHistory(spec.id);
+            });
+        });
+
+        // Attachment only changes the permitted development limits, not the model
+        document.getElementById('house-attachment')?.addEventListener('change', (e) => {
+            this.updatePermittedDevelopment();
+            this.persistDesignerState();
+            this.recordHistory(e.target.id);
+        });
+
+        // Auto-generate on slider change
+        [floorsSlider, volumeSlider, surfaceAreaSlider, styleSelect, houseType, showExtension]
+            .filter(Boolean)
+            .forEach(element => {
+                element.addEventListener('change', () => {
+                    this.generateInitialBuilding();
+                    this.recordHistory(element.id);
+                });
+            });
+
+        // Materials library
+        ['house-wall-material', 'house-roof-material', 'house-frame-material', 'house-glazing'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.generateInitialBuilding();
+                this.recordHistory(id);
+            });
+        });
+
+        // Auto-generate on feature toggle change
+        const featureToggles = document.querySelectorAll('.feature-toggle input[type="checkbox"]');
+        featureToggles.forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                this.generateInitialBuilding();
+                this.recordHistory(toggle.id);
+            });
+        });
+
+        // Also listen to structure layer toggles
+        ['show-slabs','show-walls','show-columns','show-beams','show-plates'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.addEventListener('change', () => {
+                    // Toggle visibility on current building without full rebuild when possible
+                    if (!this.building) { this.generateInitialBuilding(); return; }
+                    const features = this.getFeatureToggles();
+                    this.building.traverse((obj) => {
+                        if (!(obj instanceof THREE.Mesh)) return;
+                        const layer = obj.userData.layer;
+                        if (layer === 'slab') obj.visible = !!features.slabs;
+                        if (layer === 'wall') obj.visible = !!features.walls;
+                        if (layer === 'column') obj.visible = !!features.columns;
+                        if (layer === 'beam') obj.visible = !!features.beams;
+                        if (layer === 'plate') obj.visible = !!features.plates;
+                    });
+                    this.updateFloorView();
+                    this.persistDesignerState();
+                    this.recordHistory(id);
+                });
+            }
+        });
+
+        // Undo / redo
+        document.getElementById('undo-btn')?.addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn')?.addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!this.designerEnabled || !(e.ctrlKey || e.metaKey) || isTextEntryTarget(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    // History of designer states for undo/redo; kept in sessionStorage for the current tab
+    initHistory() {
+        this.history = { undo: [], redo: [], present: this.getDesignerState(), lastSource: null, lastTime: 0 };
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY) || 'null');
+            if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+                const clean = (list) => list.map(entry => sanitizeDesignerState(entry).state);
+                this.history.undo = clean(saved.undo);
+                this.history.redo = clean(saved.redo);
+            }
+        } catch (_) {
+            // Unreadable history, or storage disabled; start a fresh one
+            try {
+                sessionStorage.removeItem(HISTORY_STORAGE_KEY);
+            } catch (_) {
+                // nothing to clear
+            }
+        }
+        this.updateHistoryButtons();
+    }
+
+    // Call after a user change has been applied; repeated changes from one control merge into one entry
+    recordHistory(source) {
+        if (!this.history) return;
+        const next = this.getDesignerState();
+        const history = this.history;
+        if (JSON.stringify(next) === JSON.stringify(history.present)) return;
+        const now = Date.now();
+        const merge = source && source === history.lastSource && now - history.lastTime < HISTORY_MERGE_MS;
+        if (!merge) {
+            history.undo.push(history.present);
+            if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+        }
+        history.redo = [];
+        history.present = next;
+        history.lastSource = source;
+        history.lastTime = now;
+        this.saveHistory();
+    }
+
+    undo() {
+        this.stepHistory(this.history?.undo, this.history?.redo);
+    }
+
+    redo() {
+        this.stepHistory(this.history?.redo, this.history?.undo);
+    }
+
+    stepHistory(from, to) {
+        if (!from || !from.length) return;
+        to.push(this.history.present);
+        this.history.present = from.pop();
+        this.history.lastSource = null;
+        this.applyDesignerState(this.history.present);
+        this.generateInitialBuilding();
+        this.saveHistory();
+    }
+
+    saveHistory() {
+        try {
+            const { undo, redo } = this.history;
+            sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ undo, redo }));
+        } catch (_) {
+            // history just won't survive a reload
+        }
+        this.updateHistoryButtons();
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        if (undoBtn) undoBtn.disabled = !this.history.undo.length;
+        if (redoBtn) redoBtn.disabled = !this.history.redo.length;
+    }
+
+    calculateEstimate() {
+        // Sizes come back in metres whatever the display units
+        const { type, quality, length, width, height, location } = this.getEstimatorState();
+
+        // Base costs per m2
+        let basePerM2 = 1350; // lowered GBP
+        if (type === 'double') basePerM2 = 1250; // economies on per-floor
+        if (type === 'loft') basePerM2 = 1200;
+        if (type === 'garage') basePerM2 = 700;
+
+        // Quality multiplier
+        let qualityMult = 1.0;
+        if (quality === 'premium') qualityMult = 1.15;
+        if (quality === 'luxury') qualityMult = 1.3;
+
+        // Location multiplier
+        let locationMult = 1.0;
+        if (location === 'uk-london') locationMult = 1.15; // reduced
+        if (location === 'uk-north') locationMult = 0.9;
+
+        // Area and floors
+        const area = Math.max(0, length) * Math.max(0, width);
+        const floors = (type === 'double') ? 2 : 1;
+        const totalArea = area * floors;
+
+        // Height adjustment (taller ceilings increase cost)
+        const heightMult = Math.min(1.15, Math.max(1.0, height / 2.4)); // cap
+
+        const estimate = Math.round(totalArea * basePerM2 * qualityMult * locationMult * heightMult);
+        const out = document.getElementById('estimate-output');
+        if (out) out.textContent = 'Build: £' + estimate.toLocaleString();
+
+        // Drawings-only estimate: base fixed bands + area component
+        let drawingsBase = 650; // starting point
+        if (type === 'double') drawingsBase = 950;
+        if (type === 'loft') drawingsBase = 800;
+        if (type === 'garage') drawingsBase = 500;
+        const drawingsArea = Math.max(0, totalArea) * 8; // £/m2 small add
+        const drawingsEstimateA = Math.round(drawingsBase + drawingsArea);
+        const drawingsEstimateB = Math.round(drawingsEstimateA * 1.3);
+        const drawingsEstimateC = Math.round(drawingsEstimateA * 3);
+        const outA = document.getElementById('estimate-drawings-A');
+        const outB = document.getElementById('estimate-drawings-B');
+        const outC = document.getElementById('estimate-drawings-C');
+        if (outA) outA.textContent = 'Plan A: £' + drawingsEstimateA.toLocaleString();
+        if (outB) outB.textContent = 'Plan B: £' + drawingsEstimateB.toLocaleString();
+        if (outC) outC.textContent = 'Plan C: £' + drawingsEstimateC.toLocaleString();
+    }
+
+    // Lightest UKB/UC that carries the beam inputs, with the working
+    calculateBeam() {
+        const out = document.getElementById('beam-output');
+        if (!out) return;
+        const inputs = {};
+        BEAM_FIELDS.forEach(spec => { inputs[spec.key] = readControlValue(spec); });
+        const result = sizeSteelBeam(inputs);
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const addRow = (cells, className) => {
+            const tr = table.insertRow();
+            if (className) tr.className = className;
+            cells.forEach(text => { tr.insertCell().textContent = text; });
+        };
+        addRow(['Loads', 'Dead (kN/m)', 'Imposed (kN/m)'], 'room-head');
+        result.loads.forEach(load => addRow([load.name, load.gk.toFixed(2), load.qk.toFixed(2)]));
+        addRow([`Design load 1.35 Gk + 1.5 Qk over ${formatLength(result.span)}`, '', `${result.w.toFixed(2)} kN/m`], 'room-total');
+        addRow(['Bending moment wL²/8', '', `${result.moment.toFixed(1)} kNm`]);
+        addRow(['Shear wL/2', '', `${result.shear.toFixed(1)} kN`]);
+
+        const nodes = [];
+        const heading = document.createElement('h4');
+        if (result.section) {
+            const { section, checks } = result;
+            heading.textContent = `${section.series} ${section.name} (S275)`;
+            addRow([`${section.series} ${section.name}`, 'Capacity', 'Utilisation'], 'room-head');
+            addRow([`Bending Mc,Rd = Wpl fy (fy ${checks.fy} N/mm²)`, `${checks.momentCapacity.toFixed(1)} kNm`, formatUtilisation(checks.bending)]);
+            addRow(['Shear Vpl,Rd = Av fy / √3', `${checks.shearCapacity.toFixed(1)} kN`, formatUtilisation(checks.shearRatio)]);
+            addRow([`Deflection 5wL⁴/384EI (Gk + Qk), limit span/${BEAM_DEFLECTION_LIMIT}`,
+                `${checks.deflection.toFixed(1)} of ${checks.deflectionLimit.toFixed(1)} mm`, formatUtilisation(checks.deflectionRatio)]);
+            nodes.push(heading, table);
+        } else {
+            heading.textContent = 'No single section in the table passes';
+            const warning = document.createElement('p');
+            warning.className = 'plot-warning';
+            warning.textContent = 'Shorten the span, add a support or split the load between beams.';
+            nodes.push(heading, table, warning);
         }
+        nodes.push(Object.assign(document.createElement('p'), { className: 'pd-note', textContent: BEAM_DISCLAIMER }));
+        out.replaceChildren(...nodes);
+    }
 
-        // Tech floor separators
-        for (let i = 1; i < floors; i++) {
-            const separatorGeometry = new THREE.BoxGeometry(width * 1.1, 0.1, depth * 1.1);
-            const separatorMaterial = new THREE.MeshPhongMaterial({
-                color: 0x3a1a4e,
-                transparent: true,
-                opacity: 0.8
-            });
-            const separator = new THREE.Mesh(separatorGeometry, separatorMaterial);
-            separator.position.set(0, i * floorHeight, 0);
-            separator.castShadow = true;
-            this.building.add(separator);
+    // The knock-through for the selected extension is its width along the house wall
+    useExtensionBeamSpan() {
+        const ext = this.extensions[this.selectedExtension];
+        if (!ext) {
+            showDesignerNotice('Add an extension to take the opening span from it.');
+            return;
+        }
+        writeControlValue(BEAM_FIELDS.find(spec => spec.key === 'span'), ext.width);
+        this.calculateBeam();
+    }
 
-            // Neon strip on separator
-            const stripGeometry = new THREE.BoxGeometry(width * 1.0, 0.02, depth * 1.0);
-            const stripMaterial = new THREE.MeshBasicMaterial({
-                color: 0x00ff88,
-                transparent: true,
-                opacity: 0.9
-            });
-            const strip = new THREE.Mesh(stripGeometry, stripMaterial);
-            strip.position.set(0, i * floorHeight + 0.06, 0);
-            this.building.add(strip);
+    addFloorPlanPorches(w, d, h, cx, groundY) {
+        const porchMat = new THREE.MeshPhongMaterial({ 
+            color: 0x8B4513, // Brown porch color
+            transparent: true, 
+            opacity: 0.9 
+        });
+
+        // Upper covered porch (17'-4" x 8')
+        const upperPorchGeom = new THREE.BoxGeometry(17.33, 0.2, 8);
+        const upperPorch = new THREE.Mesh(upperPorchGeom, porchMat);
+        upperPorch.position.set(cx, groundY + 0.1, d / 2 + 4);
+        upperPorch.castShadow = true;
+        upperPorch.receiveShadow = true;
+        this.building.add(upperPorch);
+
+        // Lower-left covered porch (14'-8" x 5')
+        const lowerPorchGeom = new THREE.BoxGeometry(14.67, 0.2, 5);
+        const lowerPorch = new THREE.Mesh(lowerPorchGeom, porchMat);
+        lowerPorch.position.set(cx - w * 0.2, groundY + 0.1, -d / 2 - 2.5);
+        lowerPorch.castShadow = true;
+        lowerPorch.receiveShadow = true;
+        this.building.add(lowerPorch);
+
+        // Porch supports
+        const supportMat = new THREE.MeshPhongMaterial({ color: 0x654321 });
+        for (let i = 0; i < 4; i++) {
+            const supportGeom = new THREE.BoxGeometry(0.2, h * 0.8, 0.2);
+            const support = new THREE.Mesh(supportGeom, supportMat);
+            support.position.set(cx + (i - 1.5) * 4, h * 0.4 + groundY, d / 2 + 4);
+            support.castShadow = true;
+            this.building.add(support);
         }
+    }
+
+    addFloorPlanRoof(w, d, h, cx, groundY) {
+        const roofMat = new THREE.MeshPhongMaterial({ 
+            color: 0x4a4a4a, // Dark roof tiles
+            transparent: true, 
+            opacity: 0.95 
+        });
+
+        // Main house roof
+        const roofHeight = h * 0.3;
+        const mainRoofGeom = new THREE.BoxGeometry(w, roofHeight, d);
+        const mainRoof = new THREE.Mesh(mainRoofGeom, roofMat);
+        mainRoof.position.set(cx, h + roofHeight / 2 + groundY, 0);
+        mainRoof.castShadow = true; 
+        mainRoof.receiveShadow = true;
+        this.building.add(mainRoof);
+
+        // Chimney
+        const chimneyGeom = new THREE.BoxGeometry(2, roofHeight * 1.5, 1.5);
+        const chimneyMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 });
+        const chimney = new THREE.Mesh(chimneyGeom, chimneyMat);
+        chimney.position.set(cx + w * 0.2, h + roofHeight * 1.2 + groundY, d / 2 - 2);
+        chimney.castShadow = true;
+        this.building.add(chimney);
+    }
+
+    addFloorPlanGarageRoof(w, d, h, cx, cz, groundY) {
+        const roofMat = new THREE.MeshPhongMaterial({ 
+            color: 0x4a4a4a, // Dark roof tiles
+            transparent: true, 
+            opacity: 0.95 
+        });
+        
+        const garageRoof = new THREE.Mesh(new THREE.BoxGeometry(w, h * 0.2, d), roofMat);
+        garageRoof.position.set(cx, h + h * 0.1 + groundY, cz);
+        garageRoof.castShadow = true; 
+        garageRoof.receiveShadow = true;
+        this.building.add(garageRoof);
+    }
+
+    addFloorPlanDetails(w, d, h, garageW, garageH, garageD, groundY) {
+        const whiteMat = new THREE.MeshPhongMaterial({ 
+            color: 0xffffff, 
+            transparent: true, 
+            opacity: 0.95 
+        });
+
+        // Gutters
+        const gutterMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 });
+        const gutterGeom = new THREE.BoxGeometry(w * 0.05, h * 0.1, d * 0.05);
+        
+        const frontGutter = new THREE.Mesh(gutterGeom, gutterMat);
+        frontGutter.position.set(w * 0.3, h + h * 0.15 + groundY, d / 2 + 0.1);
+        this.building.add(frontGutter);
+
+        const backGutter = new THREE.Mesh(gutterGeom, gutterMat);
+        backGutter.position.set(w * 0.3, h + h * 0.15 + groundY, -d / 2 - 0.1);
+        this.building.add(backGutter);
+
+        // Garage gutters
+        const garageGutterGeom = new THREE.BoxGeometry(garageW * 0.05, garageH * 0.1, garageD * 0.05);
+        const garageGutter = new THREE.Mesh(garageGutterGeom, gutterMat);
+        garageGutter.position.set(w * 0.7 + garageW * 0.5, garageH + garageH * 0.1 + groundY, garageD / 2 + 0.1);
+        this.building.add(garageGutter);
+    }
+
+    // Structured block builder: creates slab, walls, columns, beams as separate meshes
+    addBlockStructure(key, cx, cz, groundY, w, d, h, opts = {}) {
+        if (!this.buildingParts[key]) this.buildingParts[key] = new THREE.Group();
+        const group = this.buildingParts[key];
+        group.name = key;
+        group.userData.block = { key, w, d, h };
+        group.position.set(cx, 0, cz);
+
+        const baseColor = opts.color || 0xd4a574;
+
+        // Slab
+        const slabMat = new THREE.MeshPhongMaterial({ color: 0x6b6b6b, transparent: true, opacity: 0.95, polygonOffset: true, polygonOffsetFactor: 1, polygonOffsetUnits: 1 });
+        const slab = new THREE.Mesh(new THREE.BoxGeometry(w, 0.3, d), slabMat);
+        slab.position.set(0, groundY + 0.15, 0);
+        slab.receiveShadow = true;
+        slab.userData.layer = 'slab';
+        group.add(slab);
+
+        // Perimeter walls (shell)
+        const wallMat = createElementMaterial('wall', { color: baseColor, transparent: true, opacity: 0.95 });
+        const wallThickness = 0.25;
+        const wallH = h;
+        const frontWall = new THREE.Mesh(new THREE.BoxGeometry(w, wallH, wallThickness), wallMat);
+        frontWall.position.set(0, groundY + wallH / 2, d / 2 + wallThickness / 2);
+        const backWall = frontWall.clone();
+        backWall.position.z = -d / 2 - wallThickness / 2;
+        const leftWall = new THREE.Mesh(new THREE.BoxGeometry(wallThickness, wallH, d), wallMat);
+        leftWall.position.set(-w / 2 - wallThickness / 2, groundY + wallH / 2, 0);
+        const rightWall = leftWall.clone();
+        rightWall.position.x = w / 2 + wallThickness / 2;
+        [frontWall, backWall, leftWall, rightWall].forEach(wm => { wm.userData.layer = 'wall'; });
+        group.add(frontWall, backWall, leftWall, rightWall);
+
+        // Columns at corners
+        const colMat = new THREE.MeshPhongMaterial({ color: 0xffffff, transparent: true, opacity: 0.9 });
+        const col = new THREE.CylinderGeometry(0.2, 0.2, h, 12);
+        const corners = [
+            [-w / 2, d / 2],
+            [w / 2, d / 2],
+            [-w / 2, -d / 2],
+            [w / 2, -d / 2]
+        ];
+        corners.forEach(([x, z]) => {
+            const c = new THREE.Mesh(col, colMat);
+            c.position.set(x, groundY + h / 2, z);
+            c.castShadow = true;
+            c.userData.layer = 'column';
+            group.add(c);
+        });
+
+        // Perimeter beam
+        const beamMat = new THREE.MeshPhongMaterial({ color: 0x8b7d6b, transparent: true, opacity: 0.95 });
+        const beamY = groundY + h + 0.15;
+        const frontBeam = new THREE.Mesh(new THREE.BoxGeometry(w, 0.2, 0.2), beamMat);
+        frontBeam.position.set(0, beamY, d / 2 + 0.1);
+        const backBeam = frontBeam.clone();
+        backBeam.position.z = -d / 2 - 0.1;
+        const leftBeam = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.2, d), beamMat);
+        leftBeam.position.set(-w / 2 - 0.1, beamY, 0);
+        const rightBeam = leftBeam.clone();
+        rightBeam.position.x = w / 2 + 0.1;
+        [frontBeam, backBeam, leftBeam, rightBeam].forEach(b => { b.userData.layer = 'beam'; });
+        group.add(frontBeam, backBeam, leftBeam, rightBeam);
+
+        // Roof plate (thin) — leave actual roof feature to existing functions
+        const plateMat = new THREE.MeshPhongMaterial({ color: 0x4a4a4a, transparent: true, opacity: 0.7, depthWrite: false });
+        const plate = new THREE.Mesh(new THREE.BoxGeometry(w - 0.2, 0.1, d - 0.2), plateMat);
+        plate.position.set(0, beamY + 0.1, 0);
+        plate.userData.layer = 'plate';
+        group.add(plate);
+
+        // Add to building
+        this.building.add(group);
+
+        // Apply current layer visibility
+        const features = this.getFeatureToggles();
+        group.traverse((obj) => {
+            if (!(obj instanceof THREE.Mesh)) return;
+            const layer = obj.userData.layer;
+            if (layer === 'slab') obj.visible = !!features.slabs;
+            if (layer === 'wall') obj.visible = !!features.walls;
+            if (layer === 'column') obj.visible = !!features.columns;
+            if (layer === 'beam') obj.visible = !!features.beams;
+            if (layer === 'plate') obj.visible = !!features.plates;
+        });
+    }
+
+    addConnectingWalls(coreW, coreD, coreH, masterW, masterD, masterH, garageW, garageD, garageH, groundY, houseMat) {
+        // Wall connecting core to left wing
+        const leftWallGeom = new THREE.BoxGeometry(0.2, coreH * 0.8, coreD * 0.6);
+        const leftWall = new THREE.Mesh(leftWallGeom, houseMat);
+        leftWall.position.set(-coreW * 0.2, coreH * 0.4 + groundY, 0);
+        leftWall.castShadow = true;
+        this.building.add(leftWall);
+
+        // Wall connecting core to master wing
+        const masterWallGeom = new THREE.BoxGeometry(0.2, masterH * 0.8, masterD * 0.8);
+        const masterWall = new THREE.Mesh(masterWallGeom, houseMat);
+        masterWall.position.set(coreW * 0.2, masterH * 0.4 + groundY, coreD * 0.1);
+        masterWall.castShadow = true;
+        this.building.add(masterWall);
 
-        // Cyberpunk gutters
-        const gutterGeometry = new THREE.CylinderGeometry(width * 0.03, width * 0.03, width * 1.1, 8);
-        const gutterMaterial = new THREE.MeshPhongMaterial({
-            color: 0x1a1a1a,
-            transparent: true,
-            opacity: 0.9
+        // Wall connecting master wing to garage
+        const garageWallGeom = new THREE.BoxGeometry(0.2, garageH * 0.8, garageD * 0.8);
+        const garageWall = new THREE.Mesh(garageWallGeom, houseMat);
+        garageWall.position.set(coreW * 0.2 + masterW, garageH * 0.4 + groundY, -coreD * 0.05);
+        garageWall.castShadow = true;
+        this.building.add(garageWall);
+    }
+
+    addFloorPlanWingRoof(w, d, h, cx, cz, groundY) {
+        const roofMat = new THREE.MeshPhongMaterial({ 
+            color: 0x4a4a4a, // Dark roof tiles
+            transparent: true, 
+            opacity: 0.95 
         });
         
-        const frontGutter = new THREE.Mesh(gutterGeometry, gutterMaterial);
-        frontGutter.position.set(0, height + 0.1, depth / 2 + 0.1);
-        frontGutter.rotation.z = Math.PI / 2;
-        this.building.add(frontGutter);
+        const wingRoof = new THREE.Mesh(new THREE.BoxGeometry(w, h * 0.25, d), roofMat);
+        wingRoof.position.set(cx, h + h * 0.125 + groundY, cz || 0);
+        wingRoof.castShadow = true; 
+        wingRoof.receiveShadow = true;
+        this.building.add(wingRoof);
+    }
 
-        const backGutter = frontGutter.clone();
-        backGutter.position.z = -depth / 2 - 0.1;
-        this.building.add(backGutter);
+    onWindowResize() {
+        const canvas = document.getElementById('canvas');
+        this.camera.aspect = canvas.clientWidth / canvas.clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+        
+        // Hero animation removed for professional look
     }
 
-    updateInfoPanel(width, depth, height, floorHeight) {
-        document.getElementById('height-value').textContent = `${height.toFixed(1)}m`;
-        document.getElementById('width-value').textContent = `${width.toFixed(1)}m`;
-        document.getElementById('depth-value').textContent = `${depth.toFixed(1)}m`;
-        document.getElementById('floor-height-value').textContent = `${floorHeight.toFixed(1)}m`;
+    animate() {
+        requestAnimationFrame(() => this.animate());
+        
+        this.controls.update();
+
+        if (this.sunAnimating) {
+            this.setSunTime(readControlValue(SUN_FIELDS.minutes) + SUN_ANIMATION_STEP_MINUTES);
+        }
+        
+        // Building stays stationary
+        
+        this.renderer.render(this.scene, this.camera);
     }
+}
 
-    showLoading(show) {
-        const overlay = document.querySelector('.scene-overlay');
-        if (!overlay) return;
-        if (show) {
-            overlay.classList.add('active');
+// Designer projects: versioned JSON documents of the generator input state
+const PROJECT_FORMAT = 'rp-projects-design';
+const PROJECT_VERSION = 2;
+const PROJECT_STORAGE_KEY = 'designer-project';
+
+// Control id, type and fallback for every input generateInitialBuilding() reads
+const DESIGNER_FIELDS = [
+    { key: 'floors', id: 'floors', type: 'int', min: 1, max: 10, fallback: 2 },
+    { key: 'volume', id: 'volume', type: 'int', min: 100, max: 100000, fallback: 1500 },
+    { key: 'surfaceArea', id: 'surface-area', type: 'int', min: 20, max: 20000, fallback: 400 },
+    { key: 'style', id: 'building-style', type: 'option', options: ['modern', 'cyberpunk', 'organic', 'geometric', 'townhouse', 'terrace', 'uk-detached'], fallback: 'uk-detached' },
+    { key: 'houseType', id: 'house-type', type: 'option', options: ['house', 'bungalow'], fallback: 'house' },
+    { key: 'attachment', id: 'house-attachment', type: 'option', options: ['detached', 'semi-detached', 'terraced'], fallback: 'detached' },
+    { key: 'houseX', id: 'house-x', type: 'float', unit: 'length', min: -100, max: 100, fallback: 0 },
+    { key: 'houseZ', id: 'house-z', type: 'float', unit: 'length', min: -100, max: 100, fallback: 0 },
+    { key: 'houseRotation', id: 'house-rotation', type: 'float', min: -180, max: 180, fallback: 0 },
+    { key: 'outbuildingsArea', id: 'outbuildings-area', type: 'float', unit: 'area', min: 0, max: 10000, fallback: 0 },
+    // Materials library choices; 'style' keeps the style's own look
+    { key: 'wallFinish', id: 'house-wall-material', type: 'option', options: ['style', 'brick', 'render', 'timber'], fallback: 'style' },
+    { key: 'roofCovering', id: 'house-roof-material', type: 'option', options: ['style', 'slate', 'concrete-tile'], fallback: 'style' },
+    { key: 'frameMaterial', id: 'house-frame-material', type: 'option', options: ['style', 'aluminium', 'upvc'], fallback: 'style' },
+    { key: 'glazing', id: 'house-glazing', type: 'option', options: ['style', 'clear', 'tinted', 'obscured'], fallback: 'style' },
+    { key: 'showExtension', id: 'show-extension', type: 'bool', fallback: false },
+    // Fabric heat loss: U-values in W/m²K (Part L notional dwelling by default) and design temperatures
+    { key: 'uWall', id: 'u-value-wall', type: 'float', min: 0.05, max: 3, fallback: 0.18 },
+    { key: 'uRoof', id: 'u-value-roof', type: 'float', min: 0.05, max: 3, fallback: 0.11 },
+    { key: 'uFloor', id: 'u-value-floor', type: 'float', min: 0.05, max: 3, fallback: 0.13 },
+    { key: 'uWindow', id: 'u-value-window', type: 'float', min: 0.5, max: 6, fallback: 1.2 },
+    { key: 'uDoor', id: 'u-value-door', type: 'float', min: 0.5, max: 6, fallback: 1.0 },
+    { key: 'uRooflight', id: 'u-value-rooflight', type: 'float', min: 0.5, max: 6, fallback: 1.7 },
+    { key: 'insideTemp', id: 'heat-inside-temp', type: 'float', min: 10, max: 30, fallback: 21 },
+    { key: 'outsideTemp', id: 'heat-outside-temp', type: 'float', min: -30, max: 15, fallback: -3 }
+];
+
+// One entry per extension; id marks the fields the legacy extension-* sliders edit
+const EXTENSION_FIELDS = [
+    { key: 'side', id: 'extension-position', label: 'Side', type: 'option', options: ['front', 'back', 'left', 'right'], fallback: 'back' },
+    { key: 'offset', label: 'Offset along wall (m)', type: 'float', unit: 'length', min: -50, max: 50, step: 0.1, fallback: 0 },
+    { key: 'length', id: 'extension-length', label: 'Projection (m)', type: 'float', unit: 'length', min: 1, max: 30, step: 0.1, fallback: 6 },
+    { key: 'width', id: 'extension-width', label: 'Width along wall (m)', type: 'float', unit: 'length', min: 1, max: 30, step: 0.1, fallback: 4 },
+    { key: 'floors', id: 'extension-floors', label: 'Floors', type: 'int', min: 1, max: 3, fallback: 1 },
+    { key: 'color', label: 'Colour', type: 'color', fallback: '#8b9bb4' },
+    { key: 'wallFinish', label: 'Walls', type: 'option', options: ['plain', 'brick', 'render', 'timber'], fallback: 'plain' },
+    { key: 'roofCovering', label: 'Roof covering', type: 'option', options: ['plain', 'slate', 'concrete-tile'], fallback: 'plain' },
+    { key: 'frameMaterial', label: 'Frames', type: 'option', options: ['aluminium', 'upvc'], fallback: 'aluminium' },
+    { key: 'glazing', label: 'Glazing', type: 'option', options: ['clear', 'tinted', 'obscured'], fallback: 'clear' },
+    { key: 'roofType', label: 'Roof', type: 'option', options: ['flat', 'lean-to', 'gable', 'hipped'], fallback: 'flat' },
+    { key: 'roofPitch', label: 'Pitch (°)', type: 'float', min: 5, max: 60, step: 0.5, fallback: 22.5 },
+    { key: 'roofOverhang', label: 'Eaves overhang (m)', type: 'float', unit: 'length', min: 0, max: 1, step: 0.05, fallback: 0.2 },
+    { key: 'rooflights', label: 'Roof lights', type: 'int', min: 0, max: 6, fallback: 0 },
+    { key: 'boundaryDistance', label: 'To boundary (m)', type: 'float', unit: 'length', min: 0, max: 100, step: 0.1, fallback: 1 },
+    { key: 'eavesHeight', label: 'Eaves height (m, 0 = model)', type: 'float', unit: 'length', min: 0, max: 15, step: 0.05, fallback: 0 }
+];
+const MAX_EXTENSIONS = 8;
+
+// Turns the extension's local frame (+z away from the wall) to face out of each side
+const EXTENSION_SIDE_ROTATION = { front: 0, back: Math.PI, left: -Math.PI / 2, right: Math.PI / 2 };
+// How far an extension tucks into the host wall so no seam shows
+const EXTENSION_OVERLAP = 0.1;
+// Class A (GPDO 2015 Schedule 2 Part 1) limits for enlarging a dwellinghouse in England
+const PD_LIMITS = {
+    rearDepth: { detached: 4, 'semi-detached': 3, terraced: 3 },
+    largerHomeDepth: { detached: 8, 'semi-detached': 6, terraced: 6 },
+    rearDepthMultiStorey: 3,
+    singleStoreyHeight: 4,
+    boundaryZone: 2,
+    boundaryEaves: 3,
+    sideWidthFraction: 0.5,
+    rearBoundaryMultiStorey: 7,
+    curtilageCoverage: 50
+};
+const PD_STATUS_LABELS = { pass: 'PASS', fail: 'FAIL', prior: 'PRIOR APPROVAL', info: 'NOT ASSESSED' };
+const PD_VERDICT_LABELS = {
+    pass: 'permitted development',
+    prior: 'permitted development subject to prior approval (larger home extension)',
+    fail: 'needs planning permission'
+};
+const PD_DISCLAIMER = 'Indicative only. Assumes the house is the original dwelling, is not on Article 2(3) land, '
+    + 'is not listed and has not had its permitted development rights removed. Materials and roof pitch conditions also apply.';
+
+// Every Class A rule that applies to one extension, each with pass/fail/prior/info and the reason.
+// `info` is the built extension's userData (ridge and eaves from the model), `host` the house and
+// `plot` (when a boundary is drawn) gives coverage and the extension's boundary distances.
+function checkClassA(ext, info, host, attachment, plot = null) {
+    const rules = [];
+    const add = (ref, title, status, reason) => rules.push({ ref, title, status, reason });
+    const singleStorey = ext.floors === 1;
+    // An eaves height typed in moves the whole roof up or down with it. The model's 3.5 m storey
+    // puts even a flat roof over 4 m, so without one a single storey fails A.1(f)/(g).
+    const eavesOverride = ext.eavesHeight > 0;
+    const eaves = eavesOverride ? ext.eavesHeight : info.eavesHeight;
+    const height = Math.max(info.ridgeHeight + (eaves - info.eavesHeight), eaves);
+    const rear = ext.side === 'back';
+    const side = ext.side === 'left' || ext.side === 'right';
+
+    add('A.1(e)', 'Principal elevation', ext.side === 'front' ? 'fail' : 'pass',
+        ext.side === 'front' ? 'extends beyond the principal (front) elevation.' : 'does not extend beyond the principal elevation.');
+    add('A.1(c)', 'Overall height', height <= host.ridge ? 'pass' : 'fail',
+        `${formatLength(height)} against the highest part of the existing roof at ${formatLength(host.ridge)}.`);
+    add('A.1(d)', 'Eaves height', eaves <= host.eaves ? 'pass' : 'fail',
+        `${formatLength(eaves)} against the existing eaves at ${formatLength(host.eaves)}.`);
+
+    if (rear && singleStorey) {
+        const limit = PD_LIMITS.rearDepth[attachment];
+        const larger = PD_LIMITS.largerHomeDepth[attachment];
+        const status = ext.length <= limit ? 'pass' : ext.length <= larger ? 'prior' : 'fail';
+        const reason = status === 'pass' ? `${formatLength(ext.length)} is within ${formatLength(limit)} for a ${attachment} house.`
+            : status === 'prior' ? `${formatLength(ext.length)} is over ${formatLength(limit)} but within ${formatLength(larger)}, so the larger home extension route (A.4 prior approval) applies.`
+                : `${formatLength(ext.length)} exceeds ${formatLength(larger)}, the larger home extension limit for a ${attachment} house.`;
+        add('A.1(f)/(g)', 'Rear depth, single storey', status, reason);
+        const heightOk = height <= PD_LIMITS.singleStoreyHeight;
+        add('A.1(f)/(g)', 'Height, single storey', heightOk ? 'pass' : 'fail',
+            `${formatLength(height)} against the ${formatLength(PD_LIMITS.singleStoreyHeight)} limit.`
+            + (heightOk || eavesOverride ? '' : ` This is the modelled ${formatLength(info.eavesHeight)} storey; enter the eaves height to check the real one.`));
+    } else if (rear) {
+        add('A.1(h)(i)', 'Rear depth, more than one storey', ext.length <= PD_LIMITS.rearDepthMultiStorey ? 'pass' : 'fail',
+            `${formatLength(ext.length)} against the ${formatLength(PD_LIMITS.rearDepthMultiStorey)} limit.`);
+        const rearGap = plot?.facingBoundary;
+        if (rearGap === undefined || rearGap === null) {
+            add('A.1(h)(ii)', 'Rear boundary, more than one storey', 'info',
+                `must be at least ${formatLength(PD_LIMITS.rearBoundaryMultiStorey)} from the boundary opposite the rear wall; draw the plot to check.`);
         } else {
-            overlay.classList.remove('active');
+            add('A.1(h)(ii)', 'Rear boundary, more than one storey', rearGap >= PD_LIMITS.rearBoundaryMultiStorey ? 'pass' : 'fail',
+                `${formatLength(rearGap)} to the boundary opposite the rear wall (minimum ${formatLength(PD_LIMITS.rearBoundaryMultiStorey)}).`);
         }
     }
 
-    generateInitialBuilding() {
-        if (!this.designerEnabled) return;
-        const floorsEl = document.getElementById('floors');
-        const volumeEl = document.getElementById('volume');
-        const surfaceAreaEl = document.getElementById('surface-area');
-        const styleEl = document.getElementById('building-style');
-        if (!floorsEl || !volumeEl || !surfaceAreaEl || !styleEl) return;
-
-        const floors = parseInt(floorsEl.value);
-        const houseType = (document.getElementById('house-type') || { value: 'house' }).value;
-        const volume = parseInt(volumeEl.value);
-        const surfaceArea = parseInt(surfaceAreaEl.value);
-        const style = styleEl.value;
-        
-        // Force floors = 1 for bungalow
-        const effectiveFloors = houseType === 'bungalow' ? 1 : floors;
-
-        this.generateBuilding(effectiveFloors, volume, surfaceArea, style);
+    // Measured from the plot when there is one, otherwise the distance typed in
+    const boundary = plot ? plot.nearestBoundary : ext.boundaryDistance;
+    const source = plot ? 'measured on the plot' : 'as entered';
+    if (boundary <= PD_LIMITS.boundaryZone) {
+        add('A.1(i)', 'Eaves within 2m of a boundary', eaves <= PD_LIMITS.boundaryEaves ? 'pass' : 'fail',
+            `${formatLength(boundary)} from the boundary (${source}) with eaves at ${formatLength(eaves)} (limit ${formatLength(PD_LIMITS.boundaryEaves)}).`);
+    } else {
+        add('A.1(i)', 'Eaves within 2m of a boundary', 'pass', `${formatLength(boundary)} from the boundary (${source}), so the 3m eaves limit does not apply.`);
+    }
 
-        // Extension after main build
-        const showExtension = (document.getElementById('show-extension') || { checked: false }).checked;
-        if (showExtension) {
-            const extLength = parseInt((document.getElementById('extension-length') || { value: 6 }).value);
-            const extWidth = parseInt((document.getElementById('extension-width') || { value: 4 }).value);
-            const extFloors = parseInt((document.getElementById('extension-floors') || { value: 1 }).value);
-            const extSide = (document.getElementById('extension-position') || { value: 'right' }).value;
-            this.addExtension(extSide, extLength, extWidth, extFloors);
-        }
+    if (side) {
+        // A side extension's width is how far it projects from the side wall; the house's
+        // width is its front elevation, which runs along x
+        const maxWidth = host.size.x * PD_LIMITS.sideWidthFraction;
+        add('A.1(j)(i)', 'Side extension height', height <= PD_LIMITS.singleStoreyHeight ? 'pass' : 'fail',
+            `${formatLength(height)} against the ${formatLength(PD_LIMITS.singleStoreyHeight)} limit.`);
+        add('A.1(j)(ii)', 'Side extension storeys', singleStorey ? 'pass' : 'fail',
+            singleStorey ? 'single storey.' : `${ext.floors} storeys; side extensions must be single storey.`);
+        add('A.1(j)(iii)', 'Side extension width', ext.length <= maxWidth ? 'pass' : 'fail',
+            `${formatLength(ext.length)} against half the original house width, ${formatLength(maxWidth)}.`);
     }
 
-    initHeroAnimation() {
-        // Disabled per user request (remove hero 3D preview)
-        return;
+    if (plot && plot.coverage !== null) {
+        add('A.1(b)', 'Curtilage coverage', plot.coverage <= PD_LIMITS.curtilageCoverage ? 'pass' : 'fail',
+            `extensions and outbuildings cover ${plot.coverage.toFixed(1)}% of the curtilage (limit ${PD_LIMITS.curtilageCoverage}%).`);
+    } else {
+        add('A.1(b)', 'Curtilage coverage', 'info', 'buildings other than the original house must cover no more than 50% of the curtilage; draw the plot to check.');
     }
 
-    createFloatingShapes() {
-        // Remove floating shapes for professional look
-        return;
+    const statuses = rules.map(rule => rule.status);
+    const verdict = statuses.includes('fail') ? 'fail' : statuses.includes('prior') ? 'prior' : 'pass';
+    return { verdict, rules };
+}
+
+// Room schedule: each room sits on one floor of one block ('main' for styles without blocks),
+// and `adjacent` names a room it should share a wall with
+const ROOM_FIELDS = [
+    { key: 'name', label: 'Room', type: 'text', maxLength: 40, fallback: 'Room' },
+    { key: 'block', label: 'Block', type: 'text', maxLength: 40, fallback: 'main' },
+    { key: 'floor', label: 'Floor (0 = ground)', type: 'int', min: 0, max: 9, fallback: 0 },
+    { key: 'area', label: 'Target area (m²)', type: 'float', unit: 'area', min: 1, max: 500, step: 0.5, fallback: 12 },
+    { key: 'adjacent', label: 'Next to', type: 'text', maxLength: 40, fallback: '' }
+];
+const MAX_ROOMS = 40;
+const ROOM_LABELS_FIELD = { key: 'roomLabels', id: 'show-room-labels', type: 'bool', fallback: true };
+const PARTITION_THICKNESS = 0.1;
+// Blocks are measured over their external walls; rooms are laid out inside this much wall
+const EXTERNAL_WALL_THICKNESS = 0.3;
+const ROOM_LABEL_HEIGHT = 1.5;
+// Two bands of rooms either side of a spine wall once a block is deep enough for both
+const ROOM_MIN_DEPTH = 2.4;
+// Narrower leftovers than this are absorbed by the rooms rather than left as circulation
+const ROOM_MIN_CIRCULATION = 0.9;
+// Rooms count as next to each other when their shared wall is long enough for a door
+const ROOM_MIN_SHARED_WALL = 0.9;
+
+// The UK detached plan's rooms, by block, as drawn on the blueprint
+const UK_DETACHED_ROOMS = [
+    ['core', 'Great Room', 45, 'Kitchen'], ['core', 'Kitchen', 20, 'Entry'], ['core', 'Entry', 10, ''],
+    ['leftWing', 'Bedroom 2', 12, 'Bath'], ['leftWing', 'Bath', 5, 'Bedroom 3'], ['leftWing', 'Bedroom 3', 11, 'Hall'], ['leftWing', 'Hall', 6, ''],
+    ['masterWing', 'Master Bedroom', 20, 'En-suite'], ['masterWing', 'En-suite', 6, 'Wardrobe'], ['masterWing', 'Wardrobe', 5, ''],
+    ['garage', 'Garage', 45, ''],
+    ['breakfast', 'Breakfast Nook', 8, ''],
+    ['dining', 'Dining', 12, '']
+];
+
+function createDefaultRoom() {
+    const room = {};
+    ROOM_FIELDS.forEach(spec => { room[spec.key] = spec.fallback; });
+    return room;
+}
+
+function getDefaultRoomSchedule(style, floors) {
+    if (style === 'uk-detached') {
+        return UK_DETACHED_ROOMS.map(([block, name, area, adjacent]) => ({ name, block, floor: 0, area, adjacent }));
+    }
+    const rooms = [
+        { name: 'Living Room', block: 'main', floor: 0, area: 25, adjacent: 'Kitchen' },
+        { name: 'Kitchen', block: 'main', floor: 0, area: 18, adjacent: 'Hall' },
+        { name: 'Hall', block: 'main', floor: 0, area: 8, adjacent: 'WC' },
+        { name: 'WC', block: 'main', floor: 0, area: 3, adjacent: '' }
+    ];
+    for (let floor = 1; floor < floors; floor++) {
+        rooms.push(
+            { name: `Bedroom ${floor * 2 - 1}`, block: 'main', floor, area: 15, adjacent: `Bathroom ${floor}` },
+            { name: `Bathroom ${floor}`, block: 'main', floor, area: 6, adjacent: `Bedroom ${floor * 2}` },
+            { name: `Bedroom ${floor * 2}`, block: 'main', floor, area: 12, adjacent: '' }
+        );
     }
+    return rooms;
+}
 
-    getRandomGeometry() {
-        // Remove random geometries for professional look
-        return;
+function getFloorName(floor) {
+    return floor === 0 ? 'Ground floor' : `Floor ${floor}`;
+}
+
+// Chains rooms so each is followed by one it should be next to, where the schedule allows
+function orderRoomsByAdjacency(rooms) {
+    const remaining = [...rooms];
+    const ordered = [];
+    while (remaining.length) {
+        const last = ordered[ordered.length - 1];
+        let index = last
+            ? remaining.findIndex(room => room.name === last.adjacent || room.adjacent === last.name)
+            : 0;
+        if (index < 0) index = 0;
+        ordered.push(remaining.splice(index, 1)[0]);
     }
+    return ordered;
+}
 
-    animateHero() {
-        // Remove hero animation for professional look
-        return;
+// Strips rooms along the block's long side at their target areas: one band against a long wall,
+// or two facing each other, with the floor left between them as circulation. Bands deepen to fit
+// their rooms and rooms are squeezed only once a band is as deep as it can go.
+// Returns cells (x0/x1/z0/z1 in the house frame, gross and net area) and partition segments.
+function layoutBlockRooms(block, rooms) {
+    const alongX = block.w >= block.d;
+    const long = alongX ? block.w : block.d;
+    const short = alongX ? block.d : block.w;
+    const toPlan = (u, v) => (alongX ? [block.cx + u, block.cz + v] : [block.cx + v, block.cz + u]);
+    const sumArea = list => list.reduce((sum, room) => sum + room.area, 0);
+
+    const bandCount = rooms.length > 3 && short >= 2 * ROOM_MIN_DEPTH ? 2 : 1;
+    const bands = [rooms];
+    if (bandCount === 2) {
+        const total = sumArea(rooms);
+        let acc = 0;
+        let split = rooms.findIndex(room => (acc += room.area) >= total / 2) + 1;
+        split = Math.min(rooms.length - 1, Math.max(1, split));
+        bands.splice(0, 1, rooms.slice(0, split), rooms.slice(split));
+    }
+    // Roughly square rooms: as deep as an average room is wide
+    const baseDepth = rooms.length ? Math.max(ROOM_MIN_DEPTH, Math.sqrt(sumArea(rooms) / rooms.length)) : 0;
+    const cells = [];
+    const partitions = [];
+    let overAllocated = false;
+    let free = [-short / 2, short / 2];
+    const depths = bands.map(band => Math.min(short / bandCount, Math.max(baseDepth, sumArea(band) / long)));
+    // A corridor too narrow to use goes to the rooms instead
+    const spare = short - depths.reduce((sum, d) => sum + d, 0);
+    if (spare < ROOM_MIN_CIRCULATION) depths.forEach((d, i) => { depths[i] = d + spare / bandCount; });
+    bands.forEach((band, bandIndex) => {
+        const depth = depths[bandIndex];
+        // The first band runs along one long wall, the second along the opposite one
+        const [v0, v1] = bandIndex === 0 ? [-short / 2, -short / 2 + depth] : [short / 2 - depth, short / 2];
+        free = bandIndex === 0 ? [v1, free[1]] : [free[0], v0];
+        const lengths = band.map(room => room.area / depth);
+        const used = lengths.reduce((sum, l) => sum + l, 0);
+        const fit = used > long ? long / used : 1;
+        if (fit < 1) overAllocated = true;
+        let u = -long / 2;
+        const addCell = (room, u0, u1) => cells.push({ room, u0, u1, v0, v1 });
+        band.forEach((room, i) => {
+            const u1 = Math.min(long / 2, u + lengths[i] * fit);
+            addCell(room, u, u1);
+            u = u1;
+            if (u < long / 2 - 0.01) partitions.push([toPlan(u, v0), toPlan(u, v1)]);
+        });
+        if (long / 2 - u >= ROOM_MIN_CIRCULATION) {
+            addCell(null, u, long / 2);
+        } else if (cells.length && cells[cells.length - 1].room) {
+            // Too short to use: the last room takes it
+            partitions.pop();
+            cells[cells.length - 1].u1 = long / 2;
+        }
+    });
+    // Whatever is left between the bands is circulation, walled off from the rooms
+    if (rooms.length && free[1] - free[0] > 0.01) {
+        cells.push({ room: null, u0: -long / 2, u1: long / 2, v0: free[0], v1: free[1] });
+        if (free[0] > -short / 2 + 0.01) partitions.push([toPlan(-long / 2, free[0]), toPlan(long / 2, free[0])]);
+        if (free[1] < short / 2 - 0.01) partitions.push([toPlan(-long / 2, free[1]), toPlan(long / 2, free[1])]);
+    } else if (bandCount === 2) {
+        partitions.push([toPlan(-long / 2, free[0]), toPlan(long / 2, free[0])]);
     }
 
-    setupNavigation() {
-        // Smooth scrolling for navigation links
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
-                e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
-                if (target) {
-                    target.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                }
-            });
+    const half = PARTITION_THICKNESS / 2;
+    const inner = (edge, limit) => Math.abs(Math.abs(edge) - limit) > 0.01;
+    const placed = cells.map(cell => {
+        const [x0, z0] = toPlan(cell.u0, cell.v0);
+        const [x1, z1] = toPlan(cell.u1, cell.v1);
+        const gross = (cell.u1 - cell.u0) * (cell.v1 - cell.v0);
+        const netU = cell.u1 - cell.u0 - half * (inner(cell.u0, long / 2) + inner(cell.u1, long / 2));
+        const netV = cell.v1 - cell.v0 - half * (inner(cell.v0, short / 2) + inner(cell.v1, short / 2));
+        return {
+            room: cell.room, gross, net: Math.max(0, netU) * Math.max(0, netV),
+            x0: Math.min(x0, x1), x1: Math.max(x0, x1), z0: Math.min(z0, z1), z1: Math.max(z0, z1)
+        };
+    });
+    placed.forEach(cell => {
+        if (!cell.room?.adjacent) return;
+        const other = placed.find(c => c.room && c.room.name === cell.room.adjacent);
+        cell.nextTo = !!other && sharedWallLength(cell, other) >= ROOM_MIN_SHARED_WALL;
+    });
+    return { cells: placed, partitions, overAllocated };
+}
+
+// Length of wall two axis-aligned plan rectangles share (0 if they only meet at a corner or not at all)
+function sharedWallLength(a, b) {
+    const overlapX = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+    const overlapZ = Math.min(a.z1, b.z1) - Math.max(a.z0, b.z0);
+    const touchX = Math.abs(a.x1 - b.x0) < 0.01 || Math.abs(b.x1 - a.x0) < 0.01;
+    const touchZ = Math.abs(a.z1 - b.z0) < 0.01 || Math.abs(b.z1 - a.z0) < 0.01;
+    if (touchX && overlapZ > 0) return overlapZ;
+    if (touchZ && overlapX > 0) return overlapX;
+    return 0;
+}
+
+// Thin full-height walls along each partition segment on one floor
+function createRoomPartitions(segments, base, storeyHeight) {
+    const group = new THREE.Group();
+    const material = new THREE.MeshPhongMaterial({ color: 0xf5f5f5, transparent: true, opacity: 0.8 });
+    const height = storeyHeight - 0.1;
+    segments.forEach(([[x0, z0], [x1, z1]]) => {
+        const length = Math.hypot(x1 - x0, z1 - z0);
+        const wall = new THREE.Mesh(new THREE.BoxGeometry(length, height, PARTITION_THICKNESS), material);
+        wall.position.set((x0 + x1) / 2, base + height / 2, (z0 + z1) / 2);
+        wall.rotation.y = -Math.atan2(z1 - z0, x1 - x0);
+        wall.userData.layer = 'partition';
+        group.add(wall);
+    });
+    return group;
+}
+
+// Facade openings. offset runs along the facade from the host's centre (the house, or the
+// extension), the same way as an extension's offset; the sill is measured from ground level.
+const OPENING_HOSTS = ['house', ...Array.from({ length: MAX_EXTENSIONS }, (_, i) => `extension-${i + 1}`)];
+const OPENING_FIELDS = [
+    { key: 'host', label: 'On', type: 'option', options: OPENING_HOSTS, fallback: 'house' },
+    { key: 'facade', label: 'Facade', type: 'option', options: ['front', 'back', 'left', 'right'], fallback: 'front' },
+    { key: 'type', label: 'Type', type: 'option', options: ['window', 'door', 'french-doors', 'bi-fold', 'slider'], fallback: 'window' },
+    { key: 'offset', label: 'Offset along facade (m)', type: 'float', unit: 'length', min: -50, max: 50, step: 0.05, fallback: 0 },
+    { key: 'width', label: 'Width (m)', type: 'float', unit: 'length', min: 0.3, max: 12, step: 0.05, fallback: 1.2 },
+    { key: 'height', label: 'Height (m)', type: 'float', unit: 'length', min: 0.3, max: 6, step: 0.05, fallback: 1.2 },
+    { key: 'sill', label: 'Sill height (m)', type: 'float', unit: 'length', min: 0, max: 20, step: 0.05, fallback: 0.9 }
+];
+const MAX_OPENINGS = 60;
+// Whether the infill is glass, and how many leaves or panels a width splits into
+const OPENING_TYPES = {
+    window: { glazed: true, panels: width => Math.ceil(width / 1.2) },
+    door: { glazed: false, panels: () => 1 },
+    'french-doors': { glazed: true, panels: () => 2 },
+    'bi-fold': { glazed: true, panels: width => Math.max(2, Math.ceil(width / 0.9)) },
+    slider: { glazed: true, panels: width => Math.max(2, Math.ceil(width / 2.4)) }
+};
+// Frame face width and depth
+const OPENING_FRAME = 0.06;
+const OPENING_FRAME_DEPTH = 0.08;
+// How deep an opening cuts into a solid box; thinner walls are cut right through
+const OPENING_REVEAL = 0.3;
+// Walls this close behind the outermost one at an opening are cut too (a skin over a core)
+const OPENING_CUT_DEPTH = 0.5;
+const FACADE_NORMALS = {
+    front: new THREE.Vector3(0, 0, 1),
+    back: new THREE.Vector3(0, 0, -1),
+    left: new THREE.Vector3(-1, 0, 0),
+    right: new THREE.Vector3(1, 0, 0)
+};
+const OPPOSITE_SIDE = { front: 'back', back: 'front', left: 'right', right: 'left' };
+// Box faces that can be cut: local normal, the turn that brings a +z skin round to face that
+// way, and where a local point falls across the face (v is always local y)
+const BOX_FACES = {
+    '+z': { normal: new THREE.Vector3(0, 0, 1), rotation: 0, toU: p => p.x },
+    '-z': { normal: new THREE.Vector3(0, 0, -1), rotation: Math.PI, toU: p => -p.x },
+    '+x': { normal: new THREE.Vector3(1, 0, 0), rotation: Math.PI / 2, toU: p => -p.z },
+    '-x': { normal: new THREE.Vector3(-1, 0, 0), rotation: -Math.PI / 2, toU: p => p.z }
+};
+
+// The UK detached plan's windows and doors as drawn on the blueprint, in feet: type, facade,
+// centre along the facade in the house frame, width, height and sill. The entry is under the
+// front porch and the garage door spans the two-car garage.
+const UK_DETACHED_OPENINGS = [
+    { type: 'window', facade: 'front', at: 3.5, width: 3, height: 4, sill: 4 },
+    { type: 'window', facade: 'front', at: 14, width: 3, height: 3, sill: 3.5 },
+    { type: 'window', facade: 'left', at: 0, width: 3, height: 4, sill: 4 },
+    { type: 'window', facade: 'front', at: -25, width: 2.5, height: 3, sill: 3 },
+    { type: 'window', facade: 'front', at: 26.5, width: 2.5, height: 3, sill: 3 },
+    { type: 'door', facade: 'front', at: -4.5, width: 3, height: 7, sill: 0 },
+    { type: 'door', facade: 'front', at: 49.5, width: 21.6, height: 8.1, sill: 0 }
+];
+// The other styles' windows and doors, sized from the house: type, facade, centre along the
+// facade and width as shares of it (the width for front and back, the depth for the sides),
+// and height and sill as shares of a storey. Windows repeat on every floor, or only the upper
+// ones where the door is below; doors are on the ground floor.
+const STYLE_OPENINGS = {
+    modern: [
+        { type: 'window', facade: 'front', at: -0.3, width: 0.25, height: 0.6, sill: 0.2 },
+        { type: 'window', facade: 'front', at: 0, width: 0.25, height: 0.6, sill: 0.2, upper: true },
+        { type: 'window', facade: 'front', at: 0.3, width: 0.25, height: 0.6, sill: 0.2 },
+        { type: 'window', facade: 'right', at: 0, width: 0.8, height: 0.6, sill: 0.2 },
+        { type: 'door', facade: 'front', at: 0, width: 0.2, height: 0.8, sill: 0 }
+    ],
+    cyberpunk: [
+        { type: 'window', facade: 'front', at: -0.3, width: 0.3, height: 0.5, sill: 0.25 },
+        { type: 'window', facade: 'front', at: 0.3, width: 0.3, height: 0.5, sill: 0.25 },
+        { type: 'door', facade: 'front', at: 0, width: 0.25, height: 0.8, sill: 0 }
+    ],
+    organic: [
+        { type: 'window', facade: 'front', at: -0.25, width: 0.3, height: 0.6, sill: 0.2 },
+        { type: 'window', facade: 'front', at: 0.25, width: 0.3, height: 0.6, sill: 0.2 },
+        { type: 'window', facade: 'right', at: 0, width: 0.4, height: 0.8, sill: 0.1 }
+    ],
+    geometric: [
+        { type: 'window', facade: 'front', at: -0.3, width: 0.2, height: 0.4, sill: 0.3 },
+        { type: 'window', facade: 'front', at: 0, width: 0.2, height: 0.4, sill: 0.3 },
+        { type: 'window', facade: 'front', at: 0.3, width: 0.2, height: 0.4, sill: 0.3 }
+    ],
+    // Sash windows, with a door up three steps
+    townhouse: [
+        { type: 'window', facade: 'front', at: -0.3, width: 0.3, height: 0.7, sill: 0.15 },
+        { type: 'window', facade: 'front', at: 0.3, width: 0.3, height: 0.7, sill: 0.15 },
+        { type: 'window', facade: 'right', at: 0, width: 0.6, height: 0.7, sill: 0.15 },
+        { type: 'door', facade: 'front', at: 0, width: 0.25, height: 0.8, sill: 0.1 }
+    ],
+    // A bay window in the bay on each floor, flanked by sashes; the door takes the place of the
+    // right-hand one downstairs
+    terrace: [
+        { type: 'window', facade: 'front', at: 0, width: 0.32, height: 0.56, sill: 0.22 },
+        { type: 'window', facade: 'front', at: -0.35, width: 0.25, height: 0.6, sill: 0.2 },
+        { type: 'window', facade: 'front', at: 0.35, width: 0.25, height: 0.6, sill: 0.2, upper: true },
+        { type: 'door', facade: 'front', at: 0.35, width: 0.25, height: 0.8, sill: 0.1 }
+    ]
+};
+
+function createDefaultOpening() {
+    const opening = {};
+    OPENING_FIELDS.forEach(spec => { opening[spec.key] = spec.fallback; });
+    return opening;
+}
+
+// Every style starts with openings. planScale is the UK plan's feet-to-house-frame scale;
+// its openings keep their size as the plan is stretched, but move with it
+function getDefaultOpenings(style, hostBox, planScale, floorHeight) {
+    const centre = hostBox.getCenter(new THREE.Vector3());
+    if (style === 'uk-detached') {
+        if (!planScale) return [];
+        return UK_DETACHED_OPENINGS.map(({ type, facade, at, width, height, sill }) => fitOpening({
+            ...createDefaultOpening(),
+            type,
+            facade,
+            offset: facade === 'front' || facade === 'back' ? at * planScale.x - centre.x : at * planScale.z - centre.z,
+            width: width * FEET_TO_METRES,
+            height: height * FEET_TO_METRES,
+            sill: sill * FEET_TO_METRES
+        }));
+    }
+    if (!STYLE_OPENINGS[style] || !floorHeight) return [];
+    const size = hostBox.getSize(new THREE.Vector3());
+    const floors = Math.round(size.y / floorHeight);
+    const openings = [];
+    for (let i = 0; i < floors; i++) {
+        STYLE_OPENINGS[style].forEach(({ type, facade, at, width, height, sill, upper }) => {
+            if (type === 'window' ? upper && i === 0 : i > 0) return;
+            const span = facade === 'front' || facade === 'back' ? size.x : size.z;
+            openings.push(fitOpening({
+                ...createDefaultOpening(),
+                type,
+                facade,
+                offset: at * span,
+                width: width * span,
+                height: height * floorHeight,
+                sill: (i + sill) * floorHeight
+            }));
         });
+    }
+    return openings;
+}
 
-        // Mobile menu toggle
-        const hamburger = document.querySelector('.hamburger');
-        const navMenu = document.querySelector('.nav-menu');
-        
-        if (hamburger && navMenu) {
-            hamburger.addEventListener('click', () => {
-                hamburger.classList.toggle('active');
-                navMenu.classList.toggle('active');
-            });
-        }
+// Defaults are kept inside the editor's ranges, so a saved design reads them back as they were
+function fitOpening(opening) {
+    OPENING_FIELDS.forEach(spec => {
+        if (spec.type !== 'float') return;
+        const { min, max } = getFieldBounds(spec);
+        opening[spec.key] = Math.min(Math.max(opening[spec.key], min), max);
+    });
+    return opening;
+}
 
-        // Close mobile menu when clicking on a link
-        document.querySelectorAll('.nav-link').forEach(link => {
-            link.addEventListener('click', () => {
-                hamburger.classList.remove('active');
-                navMenu.classList.remove('active');
-            });
+function getOpeningHostName(host) {
+    return host === 'house' ? 'House' : `Extension ${host.split('-')[1]}`;
+}
+
+// Every side face of every wall box under root, with its house-frame normal and box
+function collectWallFaces(root, toHouse) {
+    const faces = [];
+    root.traverse(obj => {
+        if (!obj.isMesh || Array.isArray(obj.material) || obj.material.userData.element !== 'wall') return;
+        if (obj.geometry.type !== 'BoxGeometry') return;
+        const rel = toHouse.clone().multiply(obj.matrixWorld);
+        const { width, height, depth } = obj.geometry.parameters;
+        const box = new THREE.Box3(new THREE.Vector3(-width / 2, -height / 2, -depth / 2), new THREE.Vector3(width / 2, height / 2, depth / 2)).applyMatrix4(rel);
+        Object.entries(BOX_FACES).forEach(([key, face]) => {
+            faces.push({ mesh: obj, rel, key, normal: face.normal.clone().transformDirection(rel), box });
         });
+    });
+    return faces;
+}
 
-        // Keep navbar transparent (remove forced dark background on scroll)
-        window.addEventListener('scroll', () => {
-            const navbar = document.querySelector('.navbar');
-            if (!navbar) return;
-            navbar.style.background = 'transparent';
-            navbar.style.borderBottom = '1px solid transparent';
+// The wall faces an opening sits in: the outermost face on its facade that holds the whole
+// opening, plus any close behind it. Returns null when no wall there is big enough.
+function placeOpening(opening, faces, centre) {
+    const facade = FACADE_NORMALS[opening.facade];
+    const along = facade.x ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+    const mid = centre.dot(along) + opening.offset;
+    const span = [mid - opening.width / 2, mid + opening.width / 2];
+    const rise = [opening.sill, opening.sill + opening.height];
+    const depthOf = face => Math.max(face.box.min.dot(facade), face.box.max.dot(facade));
+    const covering = faces.filter(face => {
+        if (face.normal.dot(facade) < 0.99) return false;
+        const lo = Math.min(face.box.min.dot(along), face.box.max.dot(along));
+        const hi = Math.max(face.box.min.dot(along), face.box.max.dot(along));
+        return span[0] >= lo - 1e-6 && span[1] <= hi + 1e-6 && rise[0] >= face.box.min.y - 1e-6 && rise[1] <= face.box.max.y + 1e-6;
+    });
+    if (!covering.length) return null;
+    const outer = covering.reduce((best, face) => (depthOf(face) > depthOf(best) ? face : best));
+    const depth = depthOf(outer);
+    const thickness = Math.abs(outer.box.max.clone().sub(outer.box.min).dot(facade));
+    return {
+        facade,
+        along,
+        span,
+        rise,
+        depth,
+        reveal: Math.min(OPENING_REVEAL, thickness),
+        faces: covering.filter(face => depthOf(face) >= depth - OPENING_CUT_DEPTH)
+    };
+}
+
+// The opening's rectangle as [u0, u1, v0, v1] in the face's skin coordinates (the mesh's units)
+function getFaceHole(face, placement) {
+    const toLocal = face.rel.clone().invert();
+    const corners = [[placement.span[0], placement.rise[0]], [placement.span[1], placement.rise[1]]].map(([a, y]) =>
+        placement.along.clone().multiplyScalar(a).setY(y).applyMatrix4(toLocal));
+    const us = corners.map(p => BOX_FACES[face.key].toU(p));
+    return [Math.min(...us), Math.max(...us), Math.min(corners[0].y, corners[1].y), Math.max(corners[0].y, corners[1].y)];
+}
+
+// A wall box rebuilt around its holes: on each cut face a skin holding the holes (the whole
+// thickness of a thin wall, a reveal's depth of a thick one) and a solid core for the rest.
+// Front and back skins run the full width; side skins fit between them. reveal gives that
+// depth along the box's own x and z, which may be scaled differently.
+function createCutBoxGeometries({ width, height, depth }, holes, reveal) {
+    const size = { x: width, z: depth };
+    const skin = {};
+    ['x', 'z'].forEach(axis => {
+        const plus = holes[`+${axis}`] ? Math.min(reveal[axis], size[axis]) : 0;
+        const minus = holes[`-${axis}`] ? Math.min(reveal[axis], size[axis] - plus) : 0;
+        skin[`+${axis}`] = plus;
+        skin[`-${axis}`] = minus;
+    });
+    const xMin = -width / 2 + skin['-x'], xMax = width / 2 - skin['+x'];
+    const zMin = -depth / 2 + skin['-z'], zMax = depth / 2 - skin['+z'];
+    const eps = 1e-3;
+    const geometries = Object.entries(holes).map(([key, rects]) => {
+        const face = BOX_FACES[key];
+        const t = skin[key];
+        const ends = key[1] === 'z'
+            ? [new THREE.Vector3(-width / 2, 0, 0), new THREE.Vector3(width / 2, 0, 0)]
+            : [new THREE.Vector3(0, 0, zMin), new THREE.Vector3(0, 0, zMax)];
+        const [u0, u1] = ends.map(face.toU).sort((a, b) => a - b);
+        const shape = new THREE.Shape();
+        shape.moveTo(u0, -height / 2);
+        shape.lineTo(u1, -height / 2);
+        shape.lineTo(u1, height / 2);
+        shape.lineTo(u0, height / 2);
+        shape.closePath();
+        // Holes stay just inside the skin's edge so the outline and holes never touch
+        rects.forEach(([h0, h1, v0, v1]) => {
+            const [a, b] = [Math.max(h0, u0 + eps), Math.min(h1, u1 - eps)];
+            const [c, d] = [Math.max(v0, -height / 2 + eps), Math.min(v1, height / 2 - eps)];
+            if (b - a <= eps || d - c <= eps) return;
+            const hole = new THREE.Path();
+            hole.moveTo(a, c);
+            hole.lineTo(b, c);
+            hole.lineTo(b, d);
+            hole.lineTo(a, d);
+            hole.closePath();
+            shape.holes.push(hole);
         });
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: t, bevelEnabled: false });
+        geometry.translate(0, 0, size[key[1]] / 2 - t);
+        geometry.rotateY(face.rotation);
+        return geometry;
+    });
+    if (xMax - xMin > eps && zMax - zMin > eps) {
+        const core = new THREE.BoxGeometry(xMax - xMin, height, zMax - zMin);
+        core.translate((xMin + xMax) / 2, 0, (zMin + zMax) / 2);
+        geometries.push(core);
+    }
+    return geometries;
+}
 
-        // Contact form handling
-        const contactForm = document.querySelector('.contact-form');
-        if (contactForm) {
-            const hasAction = !!contactForm.getAttribute('action');
-            if (!hasAction) {
-                contactForm.addEventListener('submit', (e) => {
-                    e.preventDefault();
-                    this.handleContactForm(e.target);
-                });
+// Swaps a mesh for pieces with its material, transform and tags. The old geometry may be
+// shared with a sibling wall, and is dropped without disposing (it was never drawn).
+function replaceWithPieces(mesh, geometries) {
+    geometries.forEach(geometry => {
+        const piece = new THREE.Mesh(geometry, mesh.material);
+        piece.name = mesh.name;
+        piece.position.copy(mesh.position);
+        piece.quaternion.copy(mesh.quaternion);
+        piece.scale.copy(mesh.scale);
+        piece.visible = mesh.visible;
+        piece.castShadow = mesh.castShadow;
+        piece.receiveShadow = mesh.receiveShadow;
+        piece.userData = { ...mesh.userData };
+        mesh.parent.add(piece);
+    });
+    mesh.parent.remove(mesh);
+}
+
+// Frame, mullions and infill (glass, or a solid leaf for a door) in the house frame, set in
+// the middle of the cut through the outermost wall
+function createOpeningFrame(opening, placement) {
+    const frame = new THREE.Group();
+    frame.name = `opening-${opening.type}`;
+    const { width, height } = opening;
+    const up = new THREE.Vector3(0, 1, 0);
+    const across = new THREE.Vector3().crossVectors(up, placement.facade);
+    frame.matrix.makeBasis(across, up, placement.facade).setPosition(
+        placement.along.clone().multiplyScalar((placement.span[0] + placement.span[1]) / 2)
+            .setY(opening.sill + height / 2)
+            .addScaledVector(placement.facade, placement.depth - placement.reveal / 2)
+    );
+    frame.matrix.decompose(frame.position, frame.quaternion, frame.scale);
+    frame.userData.reveal = placement.reveal;
+
+    const frameMat = createElementMaterial('frame', { color: 0xffffff, transparent: true, opacity: 0.95 });
+    const infillMat = OPENING_TYPES[opening.type].glazed
+        ? createElementMaterial('glazing', { color: 0x87ceeb, transparent: true, opacity: 0.7, side: THREE.DoubleSide, depthWrite: false })
+        : frameMat;
+    const addBar = (w, h, x, y) => {
+        const bar = new THREE.Mesh(new THREE.BoxGeometry(w, h, OPENING_FRAME_DEPTH), frameMat);
+        bar.position.set(x, y, 0);
+        bar.castShadow = true;
+        frame.add(bar);
+    };
+    const f = OPENING_FRAME;
+    addBar(width, f, 0, height / 2 - f / 2);
+    addBar(width, f, 0, -height / 2 + f / 2);
+    addBar(f, height - 2 * f, -width / 2 + f / 2, 0);
+    addBar(f, height - 2 * f, width / 2 - f / 2, 0);
+    const panels = OPENING_TYPES[opening.type].panels(width);
+    for (let i = 1; i < panels; i++) addBar(f, height - 2 * f, -width / 2 + (width * i) / panels, 0);
+
+    const infill = new THREE.Mesh(new THREE.BoxGeometry(width - 2 * f, height - 2 * f, 0.03), infillMat);
+    infill.name = 'opening-infill';
+    infill.userData.layer = 'opening';
+    frame.add(infill);
+    return frame;
+}
+
+// Approved Document L: windows, roof windows and doors up to this share of an extension's
+// floor area (plus what it replaces) need no SAP calculation
+const PART_L_GLAZING_RATIO = 0.25;
+const PART_L_DISCLAIMER = 'Indicative only. Counts windows, doors and roof lights as drawn; '
+    + 'building control may measure frames and openings differently.';
+
+// Opening area of one extension against its allowance. Openings are added up in order, roof
+// lights last, so the items that take the total over the limit are the ones flagged.
+function checkGlazingArea(info, openings, removed) {
+    const limit = PART_L_GLAZING_RATIO * info.floorArea + removed.reduce((sum, opening) => sum + opening.area, 0);
+    const items = openings.map(opening => ({ name: `Opening ${opening.index + 1} (${opening.type})`, area: opening.area }));
+    if (info.rooflightArea) items.push({ name: 'Roof lights', area: info.rooflightArea });
+    let total = 0;
+    items.forEach(item => {
+        total += item.area;
+        item.total = total;
+        item.over = total > limit + 1e-9;
+    });
+    return {
+        floorArea: info.floorArea,
+        removed: removed.map(opening => `opening ${opening.index + 1}`),
+        removedArea: limit - PART_L_GLAZING_RATIO * info.floorArea,
+        limit,
+        area: total,
+        ratio: info.floorArea ? total / info.floorArea : 0,
+        over: total > limit + 1e-9,
+        items
+    };
+}
+
+// Fabric elements in heat loss order, with the designer field holding each one's U-value
+const HEAT_LOSS_ELEMENTS = [
+    { key: 'wall', field: 'uWall', label: 'Walls' },
+    { key: 'roof', field: 'uRoof', label: 'Roof' },
+    { key: 'floor', field: 'uFloor', label: 'Ground floor' },
+    { key: 'window', field: 'uWindow', label: 'Windows and glazed doors' },
+    { key: 'door', field: 'uDoor', label: 'Doors' },
+    { key: 'rooflight', field: 'uRooflight', label: 'Roof lights' }
+];
+// How close another block or extension has to stand to a wall to make it internal
+const WALL_CONTACT_TOLERANCE = 0.05;
+const HEAT_LOSS_NOTE = 'Fabric losses only: no thermal bridging or ventilation. '
+    + 'Areas come from the model, so treat the figures as a guide for insulation and heating advice, not a heat loss survey.';
+
+// Wall area of a box (cx, cz, w, d, h in the house frame) not against any of others; where
+// a lower box stands against it the wall above that one still counts
+function getExposedWallArea(rect, others) {
+    const range = (r, axis) => (axis === 'x' ? [r.cx - r.w / 2, r.cx + r.w / 2] : [r.cz - r.d / 2, r.cz + r.d / 2]);
+    let area = 0;
+    ['x', 'z'].forEach(axis => {
+        const along = axis === 'x' ? 'z' : 'x';
+        const [lo, hi] = range(rect, along);
+        range(rect, axis).forEach((at, end) => {
+            const strip = end ? [at, at + WALL_CONTACT_TOLERANCE] : [at - WALL_CONTACT_TOLERANCE, at];
+            const touching = others
+                .filter(other => {
+                    const [a, b] = range(other, axis);
+                    return a < strip[1] && b > strip[0];
+                })
+                .map(other => ({ span: range(other, along), h: other.h }));
+            const cuts = [...new Set([lo, hi, ...touching.flatMap(t => t.span).filter(v => v > lo && v < hi)])].sort((a, b) => a - b);
+            for (let i = 0; i + 1 < cuts.length; i++) {
+                const mid = (cuts[i] + cuts[i + 1]) / 2;
+                const covered = Math.max(0, ...touching.filter(t => t.span[0] < mid && t.span[1] > mid).map(t => t.h));
+                area += (cuts[i + 1] - cuts[i]) * Math.max(0, rect.h - covered);
             }
+        });
+    });
+    return area;
+}
+
+// U x A for each element (openings come out of the walls) and the peak demand at deltaT
+function calculateFabricHeatLoss(areas, uValues, deltaT) {
+    const net = { ...areas, wall: Math.max(0, (areas.wall || 0) - (areas.window || 0) - (areas.door || 0)) };
+    const elements = HEAT_LOSS_ELEMENTS
+        .filter(element => net[element.key] > 0)
+        .map(element => {
+            const area = net[element.key];
+            const u = uValues[element.key];
+            return { key: element.key, label: element.label, area, u, ua: area * u };
+        });
+    const ua = elements.reduce((sum, element) => sum + element.ua, 0);
+    return { elements, ua, peak: ua * deltaT };
+}
+
+// Floor view controls; the level counts from 0 for the ground floor
+const FLOOR_VIEW_FIELDS = [
+    { key: 'mode', id: 'floor-view', type: 'option', options: ['all', 'single', 'below', 'exploded'], fallback: 'all' },
+    { key: 'level', id: 'floor-level', type: 'int', min: 0, max: 9, fallback: 0 },
+    { key: 'gap', id: 'floor-explode-gap', type: 'float', unit: 'length', min: 0, max: 20, fallback: 3 }
+];
+// Camera layer the model sits on while clipped copies are drawn in its place
+const FLOOR_VIEW_HIDDEN_LAYER = 1;
+
+// Copy of root clipped to bottom..top (world heights) and raised by lift. Geometry is shared;
+// materials are cloned so the clipping planes don't touch the model itself.
+function createClippedCopy(root, { bottom, top, lift }, extraPlanes = []) {
+    const copy = root.clone();
+    copy.matrixAutoUpdate = false;
+    copy.matrix.copy(root.matrixWorld).premultiply(new THREE.Matrix4().makeTranslation(0, lift, 0));
+    // Extra planes (the section) are shared by reference so moving them needs no rebuild
+    const planes = [...extraPlanes];
+    if (Number.isFinite(bottom)) planes.push(new THREE.Plane(new THREE.Vector3(0, 1, 0), -(bottom + lift)));
+    if (Number.isFinite(top)) planes.push(new THREE.Plane(new THREE.Vector3(0, -1, 0), top + lift));
+    copy.traverse(obj => {
+        obj.layers.set(0);
+        if (!obj.material) return;
+        const clip = material => {
+            const clipped = material.clone();
+            clipped.clippingPlanes = planes;
+            clipped.clipShadows = true;
+            return clipped;
+        };
+        obj.material = Array.isArray(obj.material) ? obj.material.map(clip) : clip(obj.material);
+    });
+    copy.userData.clippingPlanes = planes;
+    return copy;
+}
+
+// Only the cloned materials belong to a copy; geometry and textures are the model's
+function disposeClippedCopy(root) {
+    root.traverse(obj => {
+        if (!obj.material) return;
+        (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach(material => material.dispose());
+    });
+}
+
+// Section plane controls; the position is a world coordinate along the chosen axis
+const SECTION_AXIS_FIELD = { key: 'axis', id: 'section-axis', type: 'option', options: ['off', 'x', 'y', 'z'], fallback: 'off' };
+const SECTION_POSITION_FIELD = { key: 'position', id: 'section-position', type: 'float', unit: 'length', min: -100, max: 100, step: 0.05, fallback: 0 };
+const SECTION_FLIP_FIELD = { key: 'flip', id: 'section-flip', type: 'bool', fallback: false };
+const SECTION_FIELDS = [SECTION_AXIS_FIELD, SECTION_POSITION_FIELD, SECTION_FLIP_FIELD];
+const SECTION_AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+// Default height of a plan cut, through the ground-floor windows
+const SECTION_PLAN_HEIGHT = 1.2;
+const SECTION_CAP_COLOR = 0x455a64;
+// Meshes at least this opaque count as solid and get capped
+const SECTION_SOLID_OPACITY = 0.9;
+const SECTION_HANDLE_COLOR = 0xff7043;
+
+// Stencil passes that count how often each pixel's view ray enters and leaves the solids cut
+// by the section (as in the three.js clipping-stencil example): back faces increment, front
+// faces decrement, so pixels where the plane passes inside a solid end up non-zero. Helpers
+// share the copy's geometry, follow its world matrices and are clipped by the section only.
+function createSectionStencil(root, plane, renderOrder) {
+    const group = new THREE.Group();
+    group.name = 'section-stencil';
+    const pass = (side, op) => new THREE.MeshBasicMaterial({
+        side,
+        clippingPlanes: [plane],
+        colorWrite: false,
+        depthWrite: false,
+        depthTest: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        stencilFail: op,
+        stencilZFail: op,
+        stencilZPass: op
+    });
+    const passes = [pass(THREE.BackSide, THREE.IncrementWrapStencilOp), pass(THREE.FrontSide, THREE.DecrementWrapStencilOp)];
+    root.traverseVisible(obj => {
+        // Glazing is left uncapped; the model's other faces are only faintly translucent
+        if (!obj.isMesh || !obj.material || Array.isArray(obj.material) || obj.material.opacity < SECTION_SOLID_OPACITY) return;
+        passes.forEach(material => {
+            const helper = new THREE.Mesh(obj.geometry, material);
+            helper.matrixAutoUpdate = false;
+            helper.matrix.copy(obj.matrixWorld);
+            helper.renderOrder = renderOrder;
+            helper.userData.sharedGeometry = true;
+            group.add(helper);
+        });
+    });
+    return group;
+}
+
+// Caps, outline and drag handle drawn in the plane's own XY, turned so its normal lies along
+// the axis and centred on the model's box; the caller slides it along the axis. One cap per
+// copy, clipped by that copy's floor planes and drawn straight after its stencil pass.
+function createSectionGizmo(axis, box, capPlanes) {
+    const gizmo = new THREE.Group();
+    gizmo.name = 'section-gizmo';
+    const size = box.getSize(new THREE.Vector3());
+    box.getCenter(gizmo.position);
+    const margin = 1;
+    const [width, height] = axis === 'x' ? [size.z, size.y] : axis === 'y' ? [size.x, size.z] : [size.x, size.y];
+    if (axis === 'x') gizmo.rotation.y = Math.PI / 2;
+    if (axis === 'y') gizmo.rotation.x = -Math.PI / 2;
+    const halfW = width / 2 + margin;
+    const halfH = height / 2 + margin;
+
+    // Solid fill wherever the stencil is left non-zero, then reset for the next copy
+    const capGeometry = new THREE.PlaneGeometry(halfW * 2, halfH * 2);
+    capPlanes.forEach((planes, i) => {
+        const cap = new THREE.Mesh(capGeometry, new THREE.MeshBasicMaterial({
+            color: SECTION_CAP_COLOR,
+            side: THREE.DoubleSide,
+            clippingPlanes: planes,
+            stencilWrite: true,
+            stencilRef: 0,
+            stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp,
+            stencilZFail: THREE.ReplaceStencilOp,
+            stencilZPass: THREE.ReplaceStencilOp
+        }));
+        cap.name = 'section-cap';
+        cap.renderOrder = 2 * i + 2;
+        cap.onAfterRender = renderer => renderer.clearStencil();
+        gizmo.add(cap);
+    });
+
+    const outline = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(-halfW, -halfH, 0), new THREE.Vector3(halfW, -halfH, 0),
+            new THREE.Vector3(halfW, halfH, 0), new THREE.Vector3(-halfW, halfH, 0)
+        ]),
+        new THREE.LineBasicMaterial({ color: SECTION_HANDLE_COLOR })
+    );
+    gizmo.add(outline);
+
+    const handle = new THREE.Mesh(
+        new THREE.SphereGeometry(0.3, 16, 12),
+        new THREE.MeshBasicMaterial({ color: SECTION_HANDLE_COLOR })
+    );
+    handle.name = 'section-handle';
+    handle.position.set(0, halfH, 0);
+    gizmo.add(handle);
+    return gizmo;
+}
+
+// Stencil helpers borrow the copies' geometry, and materials and the cap geometry are shared
+// within a group, so each is disposed once
+function disposeSectionObject(root) {
+    const disposable = new Set();
+    root.traverse(obj => {
+        if (obj.material) disposable.add(obj.material);
+        if (obj.geometry && !obj.userData.sharedGeometry) disposable.add(obj.geometry);
+    });
+    disposable.forEach(item => item.dispose());
+}
+
+// Materials library per element type. tile is the real size [across, up] in metres that one
+// drawing of the texture covers; entries without a draw function are plain colours.
+const MATERIAL_LIBRARY = {
+    wall: {
+        brick: { color: 0xffffff, tile: [0.45, 0.3], draw: drawBrickTexture },
+        render: { color: 0xffffff, tile: [1, 1], draw: drawRenderTexture },
+        timber: { color: 0xffffff, tile: [1, 0.6], draw: drawTimberTexture }
+    },
+    roof: {
+        slate: { color: 0xffffff, tile: [0.5, 0.46], draw: drawSlateTexture, shininess: 40 },
+        'concrete-tile': { color: 0xffffff, tile: [0.6, 0.69], draw: drawConcreteTileTexture }
+    },
+    frame: {
+        aluminium: { color: 0x3b4045, shininess: 80 },
+        upvc: { color: 0xf4f4f0, shininess: 30 }
+    },
+    glazing: {
+        clear: { color: 0x87ceeb, opacity: 0.7, shininess: 100 },
+        tinted: { color: 0x3d5566, opacity: 0.8, shininess: 100 },
+        obscured: { color: 0xffffff, opacity: 0.85, tile: [0.3, 0.3], draw: drawObscuredGlassTexture }
+    }
+};
+const MATERIAL_TEXTURE_SIZE = 256;
+// Canvases are drawn once and shared; each built material gets its own texture on top
+const materialCanvases = new Map();
+
+// Style materials carry their element type so the library can find and replace them
+function createElementMaterial(element, params) {
+    const material = new THREE.MeshPhongMaterial(params);
+    material.userData.element = element;
+    return material;
+}
+
+// Swaps tagged materials under root for the chosen library entries (choices maps element to
+// key; anything not in the library keeps its material). Textured meshes get UVs in metres.
+function applyMaterialLibrary(root, choices) {
+    root.updateMatrixWorld(true);
+    const replacements = new Map();
+    const textures = {};
+    root.traverse(obj => {
+        if (!obj.isMesh || Array.isArray(obj.material)) return;
+        const element = obj.material.userData.element;
+        const entry = element && MATERIAL_LIBRARY[element][choices[element]];
+        if (!entry) return;
+        if (!replacements.has(obj.material)) {
+            const key = `${element}-${choices[element]}`;
+            if (entry.draw && !textures[key]) textures[key] = createMaterialTexture(key, entry);
+            replacements.set(obj.material, createLibraryMaterial(element, entry, obj.material, textures[key]));
         }
+        if (entry.draw) setWorldScaleUVs(obj);
+        obj.material = replacements.get(obj.material);
+    });
+    replacements.forEach((_, original) => original.dispose());
+}
+
+// Keeps how the style drew the surface (sides, depth offsets) and takes the look from the library
+function createLibraryMaterial(element, entry, original, texture) {
+    return createElementMaterial(element, {
+        color: entry.color,
+        map: texture || null,
+        shininess: entry.shininess ?? 10,
+        transparent: true,
+        opacity: entry.opacity ?? 0.95,
+        side: original.side,
+        depthWrite: original.depthWrite,
+        polygonOffset: original.polygonOffset,
+        polygonOffsetFactor: original.polygonOffsetFactor,
+        polygonOffsetUnits: original.polygonOffsetUnits
+    });
+}
+
+function createMaterialTexture(key, entry) {
+    if (!materialCanvases.has(key)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = MATERIAL_TEXTURE_SIZE;
+        const seed = [...key].reduce((hash, c) => (hash * 31 + c.charCodeAt(0)) % 2147483647, 7);
+        entry.draw(canvas.getContext('2d'), MATERIAL_TEXTURE_SIZE, createSeededRandom(seed));
+        materialCanvases.set(key, canvas);
     }
+    const texture = new THREE.CanvasTexture(materialCanvases.get(key));
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(1 / entry.tile[0], 1 / entry.tile[1]);
+    texture.anisotropy = 4;
+    return texture;
+}
 
-    initRevealObserver() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('in-view');
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, { rootMargin: '0px 0px -10% 0px', threshold: 0.1 });
+// UVs in metres on each face: v runs up the slope (or along local z on level faces), u across
+// it. Up is the world's, so courses stay level on rotated roof slabs. Shared geometry is only
+// ever shared between meshes at the same scale and turn, so rewriting it in place is safe.
+function setWorldScaleUVs(mesh) {
+    const geometry = mesh.geometry;
+    if (!geometry.attributes.normal) geometry.computeVertexNormals();
+    const position = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const scale = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    mesh.matrixWorld.decompose(new THREE.Vector3(), rotation, scale);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(rotation.invert());
+    const level = new THREE.Vector3(0, 0, 1);
+    const point = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const along = new THREE.Vector3();
+    const across = new THREE.Vector3();
+    const uvs = new Float32Array(position.count * 2);
+    for (let i = 0; i < position.count; i++) {
+        point.fromBufferAttribute(position, i).multiply(scale);
+        normal.fromBufferAttribute(normals, i);
+        along.copy(up).addScaledVector(normal, -up.dot(normal));
+        if (along.lengthSq() < 0.01) along.copy(level).addScaledVector(normal, -level.dot(normal));
+        along.normalize();
+        across.crossVectors(along, normal);
+        uvs[i * 2] = point.dot(across);
+        uvs[i * 2 + 1] = point.dot(along);
+    }
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+}
+
+// Small deterministic generator so textures look the same on every load
+function createSeededRandom(seed) {
+    let state = seed % 2147483647 || 1;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+function shade([r, g, b], amount) {
+    const f = 1 + amount;
+    return `rgb(${Math.round(Math.min(255, r * f))}, ${Math.round(Math.min(255, g * f))}, ${Math.round(Math.min(255, b * f))})`;
+}
+
+// Stretcher bond: 215 x 65 mm bricks on 10 mm mortar joints, four courses and two bricks a tile
+function drawBrickTexture(ctx, size, random) {
+    ctx.fillStyle = shade([190, 182, 168], 0);
+    ctx.fillRect(0, 0, size, size);
+    const course = size / 4;
+    const brick = size / 2;
+    const bed = course * 10 / 75;
+    const perp = brick * 10 / 225;
+    for (let row = 0; row < 4; row++) {
+        const shift = row % 2 ? brick / 2 : 0;
+        for (let col = -1; col < 2; col++) {
+            ctx.fillStyle = shade([152, 72, 48], (random() - 0.5) * 0.3);
+            ctx.fillRect(col * brick + shift + perp / 2, row * course + bed / 2, brick - perp, course - bed);
+        }
+    }
+}
 
-        document.querySelectorAll('.reveal').forEach(el => observer.observe(el));
+// Sand and cement render: an off-white ground with fine speckle
+function drawRenderTexture(ctx, size, random) {
+    ctx.fillStyle = shade([232, 226, 212], 0);
+    ctx.fillRect(0, 0, size, size);
+    for (let i = 0; i < 1500; i++) {
+        ctx.fillStyle = shade([232, 226, 212], (random() - 0.5) * 0.12);
+        ctx.fillRect(random() * size, random() * size, 2, 2);
     }
+}
 
-    handleContactForm(form) {
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData);
-        
-        // Show success message (in a real app, you'd send this to a server)
-        alert('Thank you for your message! We\'ll get back to you soon.');
-        form.reset();
+// Horizontal shiplap cladding: four 150 mm boards with grain and a shadow line under each lap
+function drawTimberTexture(ctx, size, random) {
+    const board = size / 4;
+    for (let row = 0; row < 4; row++) {
+        const base = [150, 108, 68];
+        ctx.fillStyle = shade(base, (random() - 0.5) * 0.15);
+        ctx.fillRect(0, row * board, size, board);
+        for (let i = 0; i < 6; i++) {
+            ctx.fillStyle = shade(base, -0.15 - random() * 0.1);
+            ctx.fillRect(0, row * board + random() * board, size, 1);
+        }
+        ctx.fillStyle = shade(base, -0.55);
+        ctx.fillRect(0, (row + 1) * board - 4, size, 4);
     }
+}
 
-    scrollToSection(sectionId) {
-        const section = document.getElementById(sectionId);
-        if (section) {
-            section.scrollIntoView({
-                behavior: 'smooth',
-                block: 'start'
-            });
+// Natural slate, 500 x 250 mm at a 230 mm gauge: two courses broken by half a slate
+function drawSlateTexture(ctx, size, random) {
+    const base = [72, 80, 92];
+    ctx.fillStyle = shade(base, -0.5);
+    ctx.fillRect(0, 0, size, size);
+    const course = size / 2;
+    const slate = size / 2;
+    for (let row = 0; row < 2; row++) {
+        const shift = row % 2 ? slate / 2 : 0;
+        for (let col = -1; col < 2; col++) {
+            ctx.fillStyle = shade(base, (random() - 0.5) * 0.25);
+            ctx.fillRect(col * slate + shift + 2, row * course, slate - 4, course - 5);
         }
     }
+}
 
-    setupEventListeners() {
-        // Slider event listeners
-        const floorsSlider = document.getElementById('floors');
-        const volumeSlider = document.getElementById('volume');
-        const surfaceAreaSlider = document.getElementById('surface-area');
-        const styleSelect = document.getElementById('building-style');
-        const houseType = document.getElementById('house-type');
-        const showExtension = document.getElementById('show-extension');
-        const extensionPosition = document.getElementById('extension-position');
-        const extensionLength = document.getElementById('extension-length');
-        const extensionWidth = document.getElementById('extension-width');
-        const extensionFloors = document.getElementById('extension-floors');
-        const generateBtn = document.getElementById('generate-btn');
-        const estimateBtn = document.getElementById('estimate-btn');
+// Interlocking concrete tiles, 300 mm wide at a 345 mm gauge, laid straight with a rounded roll
+function drawConcreteTileTexture(ctx, size, random) {
+    const base = [112, 94, 84];
+    const course = size / 2;
+    const tile = size / 2;
+    for (let row = 0; row < 2; row++) {
+        const tone = (random() - 0.5) * 0.1;
+        for (let x = 0; x < size; x++) {
+            const across = (x % tile) / tile;
+            ctx.fillStyle = shade(base, tone + 0.2 * Math.cos(across * Math.PI * 2) - 0.1);
+            ctx.fillRect(x, row * course, 1, course);
+        }
+        ctx.fillStyle = shade(base, -0.5);
+        ctx.fillRect(0, (row + 1) * course - 6, size, 6);
+    }
+}
 
-        floorsSlider?.addEventListener('input', (e) => {
-            document.getElementById('floors-value').textContent = e.target.value;
-        });
+// Obscure glass: pale with a dense dimpled pattern
+function drawObscuredGlassTexture(ctx, size, random) {
+    ctx.fillStyle = shade([214, 230, 236], 0);
+    ctx.fillRect(0, 0, size, size);
+    for (let i = 0; i < 400; i++) {
+        ctx.fillStyle = shade([214, 230, 236], (random() - 0.5) * 0.15);
+        ctx.beginPath();
+        ctx.arc(random() * size, random() * size, 3 + random() * 6, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
 
-        volumeSlider?.addEventListener('input', (e) => {
-            document.getElementById('volume-value').textContent = parseInt(e.target.value).toLocaleString();
+// Plot boundary corners are [x, z] on the ground in metres
+const PLOT_POINT_FIELDS = [
+    { key: 'x', label: 'x (m)', type: 'float', unit: 'length', min: -200, max: 200, step: 0.1, fallback: 0 },
+    { key: 'z', label: 'z (m)', type: 'float', unit: 'length', min: -200, max: 200, step: 0.1, fallback: 0 }
+];
+const MAX_PLOT_POINTS = 32;
+const PLOT_COLOR = 0x66bb6a;
+
+// Boundary line on the ground with corner markers; a closed outline also labels its edges B1, B2...
+function createPlotOutline(points, closed) {
+    const group = new THREE.Group();
+    group.name = closed ? 'plot-boundary' : 'plot-draft';
+    const ring = points.map(([x, z]) => new THREE.Vector3(x, 0.04, z));
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(closed ? [...ring, ring[0]] : ring),
+        new THREE.LineBasicMaterial({ color: PLOT_COLOR, depthTest: false })
+    );
+    line.renderOrder = 997;
+    group.add(line);
+    const markerMat = new THREE.MeshBasicMaterial({ color: PLOT_COLOR, depthTest: false });
+    ring.forEach(p => {
+        const marker = new THREE.Mesh(new THREE.SphereGeometry(0.15, 12, 8), markerMat);
+        marker.position.copy(p);
+        marker.renderOrder = 997;
+        group.add(marker);
+    });
+    if (closed) {
+        ring.forEach((p, i) => {
+            const label = createLabelSprite(`B${i + 1}`, { color: '#66bb6a', height: 0.025 });
+            label.position.copy(p).lerp(ring[(i + 1) % ring.length], 0.5);
+            group.add(label);
         });
+    }
+    return group;
+}
 
-        surfaceAreaSlider?.addEventListener('input', (e) => {
-            document.getElementById('surface-area-value').textContent = parseInt(e.target.value).toLocaleString();
-        });
+function polygonArea(points) {
+    let twice = 0;
+    points.forEach(([x1, z1], i) => {
+        const [x2, z2] = points[(i + 1) % points.length];
+        twice += x1 * z2 - x2 * z1;
+    });
+    return Math.abs(twice) / 2;
+}
 
-        // Extension sliders display
-        const updateExtDisplays = () => {
-            const el = document.getElementById('extension-length');
-            if (el) document.getElementById('extension-length-value').textContent = el.value;
-            const ew = document.getElementById('extension-width');
-            if (ew) document.getElementById('extension-width-value').textContent = ew.value;
-            const ef = document.getElementById('extension-floors');
-            if (ef) document.getElementById('extension-floors-value').textContent = ef.value;
-        };
-        updateExtDisplays();
-        extensionLength?.addEventListener('input', updateExtDisplays);
-        extensionWidth?.addEventListener('input', updateExtDisplays);
-        extensionFloors?.addEventListener('input', updateExtDisplays);
+function pointInPolygon([x, z], polygon) {
+    let inside = false;
+    polygon.forEach(([x1, z1], i) => {
+        const [x2, z2] = polygon[(i + 1) % polygon.length];
+        if ((z1 > z) !== (z2 > z) && x < x1 + (z - z1) * (x2 - x1) / (z2 - z1)) inside = !inside;
+    });
+    return inside;
+}
 
-        // Generate button
-        generateBtn?.addEventListener('click', () => {
-            this.generateInitialBuilding();
-        });
+function pointSegmentDistance([px, pz], [ax, az], [bx, bz]) {
+    const dx = bx - ax, dz = bz - az;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (pz - az) * dz) / lengthSq)) : 0;
+    return Math.hypot(px - (ax + t * dx), pz - (az + t * dz));
+}
 
-        // Estimate button
-        if (estimateBtn) {
-            estimateBtn.addEventListener('click', () => {
-                this.calculateEstimate();
-            });
+function segmentsCross(a, b, c, d) {
+    const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+    return side(a, b, c) !== side(a, b, d) && side(c, d, a) !== side(c, d, b);
+}
+
+// Shortest plan distance between any of `edges` and one boundary edge (0 where they cross)
+function polygonEdgesDistance(edges, [c, d]) {
+    return Math.min(...edges.map(([a, b]) => segmentsCross(a, b, c, d) ? 0 : Math.min(
+        pointSegmentDistance(a, c, d), pointSegmentDistance(b, c, d),
+        pointSegmentDistance(c, a, b), pointSegmentDistance(d, a, b)
+    )));
+}
+
+// Distance from origin along dir to the first boundary edge it meets, or null if none
+function rayPolygonDistance([ox, oz], [dx, dz], polygon) {
+    let nearest = null;
+    polygon.forEach(([ax, az], i) => {
+        const [bx, bz] = polygon[(i + 1) % polygon.length];
+        const ex = bx - ax, ez = bz - az;
+        const denom = dx * ez - dz * ex;
+        if (Math.abs(denom) < 1e-9) return;
+        const t = ((ax - ox) * ez - (az - oz) * ex) / denom;
+        const u = ((ax - ox) * dz - (az - oz) * dx) / denom;
+        if (t >= 0 && u >= 0 && u <= 1 && (nearest === null || t < nearest)) nearest = t;
+    });
+    return nearest;
+}
+
+// Neighbour windows for the 45-degree rule: a point on plan, the height of the window centre
+// and the way the window faces
+const NEIGHBOUR_WINDOW_FIELDS = [
+    { key: 'x', label: 'x (m)', type: 'float', unit: 'length', min: -200, max: 200, step: 0.1, fallback: 0 },
+    { key: 'z', label: 'z (m)', type: 'float', unit: 'length', min: -200, max: 200, step: 0.1, fallback: 0 },
+    { key: 'height', label: 'Centre height (m)', type: 'float', unit: 'length', min: 0, max: 30, step: 0.1, fallback: 1.5 },
+    { key: 'facing', label: 'Faces', type: 'option', options: ['front', 'back', 'left', 'right'], fallback: 'back' }
+];
+const MAX_NEIGHBOUR_WINDOWS = 4;
+const WINDOW_FACING = {
+    front: new THREE.Vector3(0, 0, 1),
+    back: new THREE.Vector3(0, 0, -1),
+    left: new THREE.Vector3(-1, 0, 0),
+    right: new THREE.Vector3(1, 0, 0)
+};
+// Plan grid the extension is tested on (m) and how far the guide lines are drawn
+const DAYLIGHT_CELL = 0.25;
+const DAYLIGHT_GUIDE_LENGTH = 15;
+
+// A point fails the 45-degree rule when it lies within 45 degrees of the window's axis on plan
+// and above the line rising at 45 degrees from the window centre in elevation. The extension's
+// height over each grid cell comes from a ray cast down onto its meshes, so roofs count.
+function checkFortyFiveDegreeRule(win, group) {
+    const facing = WINDOW_FACING[win.facing] || WINDOW_FACING.back;
+    const across = new THREE.Vector3(-facing.z, 0, facing.x);
+    const origin = new THREE.Vector3(win.x, 0, win.z);
+    const footprint = new THREE.Box3().setFromObject(group);
+    const raycaster = new THREE.Raycaster();
+    // The floor view may have moved the model off the default layer
+    raycaster.layers.enableAll();
+    const down = new THREE.Vector3(0, -1, 0);
+
+    let planBreach = false, elevationBreach = false, area = 0, worstRise = 0;
+    const breachCells = [];
+    for (let x = footprint.min.x + DAYLIGHT_CELL / 2; x < footprint.max.x; x += DAYLIGHT_CELL) {
+        for (let z = footprint.min.z + DAYLIGHT_CELL / 2; z < footprint.max.z; z += DAYLIGHT_CELL) {
+            raycaster.set(new THREE.Vector3(x, footprint.max.y + 1, z), down);
+            const hit = raycaster.intersectObject(group, true)[0];
+            if (!hit) continue;
+            const rel = new THREE.Vector3(x, 0, z).sub(origin);
+            const forward = rel.dot(facing);
+            const inPlan = forward > 0 && Math.abs(rel.dot(across)) <= forward;
+            const lineHeight = win.height + Math.max(forward, 0);
+            const aboveLine = hit.point.y > lineHeight;
+            planBreach = planBreach || inPlan;
+            elevationBreach = elevationBreach || aboveLine;
+            if (inPlan && aboveLine) {
+                area += DAYLIGHT_CELL * DAYLIGHT_CELL;
+                worstRise = Math.max(worstRise, hit.point.y - lineHeight);
+                breachCells.push({ x, z, bottom: lineHeight, top: hit.point.y });
+            }
         }
+    }
+    return {
+        extension: group.userData.extension.index,
+        side: group.userData.extension.side,
+        planBreach,
+        elevationBreach,
+        pass: breachCells.length === 0,
+        area,
+        worstRise,
+        breachCells
+    };
+}
 
-        // Auto-generate on slider change
-        [floorsSlider, volumeSlider, surfaceAreaSlider, styleSelect, houseType, showExtension, extensionPosition, extensionLength, extensionWidth, extensionFloors]
-            .filter(Boolean)
-            .forEach(element => {
-                element.addEventListener('change', () => {
-                    this.generateInitialBuilding();
-                });
-            });
+// Window marker, the two 45-degree plan lines on the ground and the rising elevation line
+function createFortyFiveDegreeGuides(win, index) {
+    const group = new THREE.Group();
+    group.name = `neighbour-window-${index + 1}`;
+    const facing = WINDOW_FACING[win.facing] || WINDOW_FACING.back;
+    const across = new THREE.Vector3(-facing.z, 0, facing.x);
+    const ground = new THREE.Vector3(win.x, 0.05, win.z);
+    const centre = new THREE.Vector3(win.x, win.height, win.z);
+    const reach = DAYLIGHT_GUIDE_LENGTH;
+
+    const marker = new THREE.Mesh(new THREE.BoxGeometry(0.9, 1.2, 0.9), new THREE.MeshBasicMaterial({ color: 0x4fc3f7, transparent: true, opacity: 0.8 }));
+    marker.position.copy(centre);
+    marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), facing);
+    marker.scale.z = 0.1;
+    group.add(marker);
+
+    const planEnd = sign => ground.clone().addScaledVector(facing, reach).addScaledVector(across, sign * reach);
+    const segments = [
+        ground, planEnd(1), ground, planEnd(-1),
+        centre, centre.clone().addScaledVector(facing, reach).setY(win.height + reach),
+        ground, centre
+    ];
+    const lines = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(segments),
+        new THREE.LineBasicMaterial({ color: 0x4fc3f7, depthTest: false })
+    );
+    lines.renderOrder = 997;
+    group.add(lines);
+
+    const label = createLabelSprite(`Window ${index + 1}`, { color: '#4fc3f7', height: 0.03 });
+    label.position.copy(centre).setY(win.height + 1);
+    group.add(label);
+    return group;
+}
 
-        // Auto-generate on feature toggle change
-        const featureToggles = document.querySelectorAll('.feature-toggle input[type="checkbox"]');
-        featureToggles.forEach(toggle => {
-            toggle.addEventListener('change', () => {
-                this.generateInitialBuilding();
-            });
-        });
+// The part of the extension above the elevation line over one failing cell
+function createBreachCell(cell) {
+    const height = Math.max(cell.top - cell.bottom, 0.01);
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(DAYLIGHT_CELL, height, DAYLIGHT_CELL),
+        new THREE.MeshBasicMaterial({ color: 0xff1744, transparent: true, opacity: 0.55, depthWrite: false })
+    );
+    mesh.position.set(cell.x, cell.bottom + height / 2, cell.z);
+    mesh.renderOrder = 996;
+    return mesh;
+}
 
-        // Also listen to structure layer toggles
-        ['show-slabs','show-walls','show-columns','show-beams','show-plates'].forEach(id => {
-            const el = document.getElementById(id);
-            if (el) {
-                el.addEventListener('change', () => {
-                    // Toggle visibility on current building without full rebuild when possible
-                    if (!this.building) { this.generateInitialBuilding(); return; }
-                    const features = this.getFeatureToggles();
-                    this.building.traverse((obj) => {
-                        if (!(obj instanceof THREE.Mesh)) return;
-                        const layer = obj.userData.layer;
-                        if (layer === 'slab') obj.visible = !!features.slabs;
-                        if (layer === 'wall') obj.visible = !!features.walls;
-                        if (layer === 'column') obj.visible = !!features.columns;
-                        if (layer === 'beam') obj.visible = !!features.beams;
-                        if (layer === 'plate') obj.visible = !!features.plates;
-                    });
-                });
+function formatDaylightSummary(results) {
+    if (!results.length) return 'No neighbour windows placed; 45-degree rule not assessed.';
+    const lines = ['45-degree rule (plan and elevation) assessment'];
+    let allPass = true;
+    results.forEach(({ index, window: win, checks }) => {
+        lines.push(`Neighbour window ${index + 1} (centre ${formatLength(win.height)} above ground, facing ${win.facing}):`);
+        if (!checks.length) lines.push('- No extensions to assess.');
+        checks.forEach(check => {
+            const name = `Extension ${check.extension + 1} (${check.side})`;
+            if (check.pass) {
+                const why = !check.planBreach ? 'outside the 45-degree line on plan'
+                    : !check.elevationBreach ? 'below the 45-degree line in elevation'
+                        : 'not within both 45-degree lines at any point';
+                lines.push(`- ${name}: PASS, ${why}.`);
+            } else {
+                allPass = false;
+                lines.push(`- ${name}: FAIL, breaches both lines over ${formatArea(check.area)} of its plan, up to ${formatLength(check.worstRise)} above the elevation line.`);
             }
         });
-    }
+    });
+    lines.push(`Overall: ${allPass ? 'PASS' : 'FAIL'}`);
+    return lines.join('\n');
+}
 
-    calculateEstimate() {
-        const type = (document.getElementById('est-type') || { value: 'single' }).value;
-        const quality = (document.getElementById('est-quality') || { value: 'standard' }).value;
-        const length = parseFloat((document.getElementById('est-length') || { value: 6 }).value) || 0;
-        const width = parseFloat((document.getElementById('est-width') || { value: 4 }).value) || 0;
-        const height = parseFloat((document.getElementById('est-height') || { value: 2.4 }).value) || 2.4;
-        const location = (document.getElementById('est-location') || { value: 'uk-average' }).value;
+// Display units. Everything is modelled and stored in metres; fields with a `unit` are shown
+// and typed in the chosen system and converted at the control.
+const FEET_TO_METRES = 0.3048;
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const UNIT_STORAGE_KEY = 'designer-units';
+const UNIT_POWERS = { length: 1, area: 2, volume: 3 };
+let displayUnits = 'metric';
+
+function getUnitSymbol(unit) {
+    const imperial = displayUnits === 'imperial';
+    if (unit === 'area') return imperial ? 'ft²' : 'm²';
+    if (unit === 'volume') return imperial ? 'ft³' : 'm³';
+    return imperial ? 'ft' : 'm';
+}
 
-        // Base costs per m2
-        let basePerM2 = 1350; // lowered GBP
-        if (type === 'double') basePerM2 = 1250; // economies on per-floor
-        if (type === 'loft') basePerM2 = 1200;
-        if (type === 'garage') basePerM2 = 700;
+function getDisplayFactor(spec) {
+    if (displayUnits !== 'imperial' || !spec.unit) return 1;
+    return Math.pow(1 / FEET_TO_METRES, UNIT_POWERS[spec.unit]);
+}
 
-        // Quality multiplier
-        let qualityMult = 1.0;
-        if (quality === 'premium') qualityMult = 1.15;
-        if (quality === 'luxury') qualityMult = 1.3;
+// Three decimals both ways so metres -> feet -> metres lands back on the same millimetre
+function toDisplayValue(spec, value) {
+    const factor = getDisplayFactor(spec);
+    return factor === 1 ? value : Number((value * factor).toFixed(3));
+}
 
-        // Location multiplier
-        let locationMult = 1.0;
-        if (location === 'uk-london') locationMult = 1.15; // reduced
-        if (location === 'uk-north') locationMult = 0.9;
+function fromDisplayValue(spec, value) {
+    const factor = getDisplayFactor(spec);
+    return factor === 1 ? value : Number((value / factor).toFixed(3));
+}
 
-        // Area and floors
-        const area = Math.max(0, length) * Math.max(0, width);
-        const floors = (type === 'double') ? 2 : 1;
-        const totalArea = area * floors;
+// Field labels are written in metric, e.g. 'Projection (m)'
+function localizeUnitLabel(label) {
+    if (displayUnits !== 'imperial') return label;
+    return label.replace(/\(m(²)?(?=[,)])/, (_, squared) => `(ft${squared || ''}`);
+}
 
-        // Height adjustment (taller ceilings increase cost)
-        const heightMult = Math.min(1.15, Math.max(1.0, height / 2.4)); // cap
+// Measuring tools: how many points each needs and how its value is reported
+const MEASURE_TYPES = {
+    distance: { label: 'Distance', unit: 'm', minPoints: 2 },
+    area: { label: 'Area', unit: 'm2', minPoints: 3 },
+    height: { label: 'Height', unit: 'm', minPoints: 2 }
+};
+const MEASURE_CLICK_TOLERANCE_PX = 5;
+const MEASURE_CLOSE_TOLERANCE_PX = 12;
+const MEASURE_COLOR = 0xffc107;
+
+function measureValue(type, points) {
+    if (type === 'area') {
+        // Shoelace on the ground plane
+        let twice = 0;
+        points.forEach((p, i) => {
+            const q = points[(i + 1) % points.length];
+            twice += p.x * q.z - q.x * p.z;
+        });
+        return Math.abs(twice) / 2;
+    }
+    if (type === 'height') return Math.abs(points[1].y - points[0].y);
+    return points[0].distanceTo(points[1]);
+}
 
-        const estimate = Math.round(totalArea * basePerM2 * qualityMult * locationMult * heightMult);
-        const out = document.getElementById('estimate-output');
-        if (out) out.textContent = 'Build: £' + estimate.toLocaleString();
+function formatLength(metres) {
+    if (displayUnits === 'imperial') return formatFeetInches(metres);
+    return `${metres.toFixed(2)} m`;
+}
 
-        // Drawings-only estimate: base fixed bands + area component
-        let drawingsBase = 650; // starting point
-        if (type === 'double') drawingsBase = 950;
-        if (type === 'loft') drawingsBase = 800;
-        if (type === 'garage') drawingsBase = 500;
-        const drawingsArea = Math.max(0, totalArea) * 8; // £/m2 small add
-        const drawingsEstimateA = Math.round(drawingsBase + drawingsArea);
-        const drawingsEstimateB = Math.round(drawingsEstimateA * 1.3);
-        const drawingsEstimateC = Math.round(drawingsEstimateA * 3);
-        const outA = document.getElementById('estimate-drawings-A');
-        const outB = document.getElementById('estimate-drawings-B');
-        const outC = document.getElementById('estimate-drawings-C');
-        if (outA) outA.textContent = 'Plan A: £' + drawingsEstimateA.toLocaleString();
-        if (outB) outB.textContent = 'Plan B: £' + drawingsEstimateB.toLocaleString();
-        if (outC) outC.textContent = 'Plan C: £' + drawingsEstimateC.toLocaleString();
+function formatArea(squareMetres, digits = 2) {
+    return `${toDisplayValue({ unit: 'area' }, squareMetres).toFixed(digits)} ${getUnitSymbol('area')}`;
+}
+
+function formatVolume(cubicMetres) {
+    return `${Math.round(toDisplayValue({ unit: 'volume' }, cubicMetres)).toLocaleString()} ${getUnitSymbol('volume')}`;
+}
+
+// 3.5 -> 11' 6"; inches rounded to the nearest whole inch
+function formatFeetInches(metres) {
+    const totalInches = Math.round(Math.abs(metres) / FEET_TO_METRES * 12);
+    const sign = metres < 0 && totalInches ? '-' : '';
+    return `${sign}${Math.floor(totalInches / 12)}' ${totalInches % 12}"`;
+}
+
+function formatMeasureValue(type, value) {
+    return type === 'area' ? formatArea(value) : formatLength(value);
+}
+
+// Lines, corner markers and a label for one measurement. Height is drawn as a plumb line
+// from the first point, then across to the second.
+function createMeasurementObject(type, points) {
+    const group = new THREE.Group();
+    group.name = `measure-${type}`;
+    const material = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false });
+    let path = points;
+    let labelAt;
+    if (type === 'height') {
+        const [a, b] = points;
+        const top = new THREE.Vector3(a.x, b.y, a.z);
+        path = [a, top, b];
+        labelAt = a.clone().lerp(top, 0.5);
+    } else if (type === 'area') {
+        path = [...points, points[0]];
+        labelAt = points.reduce((acc, p) => acc.add(p), new THREE.Vector3()).divideScalar(points.length);
+    } else {
+        labelAt = points[0].clone().lerp(points[1], 0.5);
     }
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(path), material);
+    line.renderOrder = 999;
+    group.add(line);
+    points.forEach(p => group.add(createMeasureMarker(p)));
+
+    const label = createLabelSprite(formatMeasureValue(type, measureValue(type, points)));
+    label.position.copy(labelAt);
+    group.add(label);
+    return group;
+}
 
-    addFloorPlanPorches(w, d, h, cx, groundY) {
-        const porchMat = new THREE.MeshPhongMaterial({ 
-            color: 0x8B4513, // Brown porch color
-            transparent: true, 
-            opacity: 0.9 
+function createMeasureMarker(point) {
+    const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.12, 12, 8),
+        new THREE.MeshBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+    );
+    marker.position.copy(point);
+    marker.renderOrder = 999;
+    return marker;
+}
+
+// Screen-sized text label (sizeAttenuation off keeps it readable at any zoom)
+function createLabelSprite(text, opts = {}) {
+    const fontSize = 48;
+    const padding = 16;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const font = `600 ${fontSize}px Inter, Arial, sans-serif`;
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + padding * 2;
+    canvas.height = fontSize + padding * 2;
+    context.font = font;
+    context.fillStyle = opts.background || 'rgba(10, 10, 10, 0.8)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = opts.color || '#ffc107';
+    context.textBaseline = 'middle';
+    context.fillText(text, padding, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, sizeAttenuation: false }));
+    const height = opts.height || 0.04;
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.renderOrder = 1000;
+    sprite.userData.text = text;
+    return sprite;
+}
+
+// Sun study inputs. Hertfordshire by default; the time is minutes after midnight, UK clock
+const SUN_FIELDS = {
+    latitude: { id: 'sun-lat', type: 'float', min: -90, max: 90, fallback: 51.81 },
+    longitude: { id: 'sun-lon', type: 'float', min: -180, max: 180, fallback: -0.24 },
+    minutes: { id: 'sun-time', type: 'int', min: 0, max: 1439, fallback: 720 }
+};
+const SUN_LIGHT_DISTANCE = 80;
+const SUN_PATH_RADIUS = 40;
+const SUN_ANIMATION_STEP_MINUTES = 2;
+
+// NOAA solar position (accurate to well under a degree, no refraction). Returns degrees:
+// azimuth clockwise from north and elevation above the horizon.
+function getSolarPosition(date, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const julianDay = date.getTime() / 86400000 + 2440587.5;
+    const t = (julianDay - 2451545) / 36525;
+
+    const meanLong = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+    const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+    const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+    const centre = Math.sin(meanAnomaly * rad) * (1.914602 - t * (0.004817 + 0.000014 * t))
+        + Math.sin(2 * meanAnomaly * rad) * (0.019993 - 0.000101 * t)
+        + Math.sin(3 * meanAnomaly * rad) * 0.000289;
+    const omega = 125.04 - 1934.136 * t;
+    const apparentLong = meanLong + centre - 0.00569 - 0.00478 * Math.sin(omega * rad);
+    const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos(omega * rad);
+    const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(apparentLong * rad));
+
+    const y = Math.tan(obliquity * rad / 2) ** 2;
+    const l0 = meanLong * rad, m = meanAnomaly * rad;
+    const equationOfTime = 4 / rad * (y * Math.sin(2 * l0) - 2 * eccentricity * Math.sin(m)
+        + 4 * eccentricity * y * Math.sin(m) * Math.cos(2 * l0)
+        - 0.5 * y * y * Math.sin(4 * l0) - 1.25 * eccentricity * eccentricity * Math.sin(2 * m));
+
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    const solarTime = ((utcMinutes + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+    const hourAngle = (solarTime / 4 - 180) * rad;
+    const lat = latitude * rad;
+
+    const cosZenith = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+    const elevation = 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / rad;
+    const azimuth = (Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(lat) - Math.tan(declination) * Math.cos(lat)) / rad + 540) % 360;
+    return { azimuth, elevation };
+}
+
+// World direction towards the sun; plan north is -z and east is +x
+function getSunDirection(azimuth, elevation) {
+    const az = THREE.MathUtils.degToRad(azimuth);
+    const el = THREE.MathUtils.degToRad(elevation);
+    return new THREE.Vector3(Math.cos(el) * Math.sin(az), Math.sin(el), -Math.cos(el) * Math.cos(az));
+}
+
+// 'YYYY-MM-DD' plus minutes of UK clock time (GMT or BST) as an instant
+function ukClockToDate(dateValue, minutes) {
+    const [year, month, day] = dateValue.split('-').map(Number);
+    const asUTC = Date.UTC(year, month - 1, day) + minutes * 60000;
+    return new Date(asUTC - getLondonOffsetMinutes(asUTC) * 60000);
+}
+
+let londonClockFormat = null;
+
+function getLondonOffsetMinutes(utcMs) {
+    try {
+        londonClockFormat = londonClockFormat || new Intl.DateTimeFormat('en-GB', {
+            timeZone: 'Europe/London', hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
         });
+        const parts = londonClockFormat.formatToParts(new Date(utcMs));
+        const get = type => Number(parts.find(p => p.type === type).value);
+        const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+        return Math.round((local - Math.floor(utcMs / 60000) * 60000) / 60000);
+    } catch (_) {
+        // No time zone data: treat the clock as GMT
+        return 0;
+    }
+}
 
-        // Upper covered porch (17'-4" x 8')
-        const upperPorchGeom = new THREE.BoxGeometry(17.33, 0.2, 8);
-        const upperPorch = new THREE.Mesh(upperPorchGeom, porchMat);
-        upperPorch.position.set(cx, groundY + 0.1, d / 2 + 4);
-        upperPorch.castShadow = true;
-        upperPorch.receiveShadow = true;
-        this.building.add(upperPorch);
+function formatClockMinutes(minutes) {
+    const m = Math.round(minutes);
+    return `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
 
-        // Lower-left covered porch (14'-8" x 5')
-        const lowerPorchGeom = new THREE.BoxGeometry(14.67, 0.2, 5);
-        const lowerPorch = new THREE.Mesh(lowerPorchGeom, porchMat);
-        lowerPorch.position.set(cx - w * 0.2, groundY + 0.1, -d / 2 - 2.5);
-        lowerPorch.castShadow = true;
-        lowerPorch.receiveShadow = true;
-        this.building.add(lowerPorch);
+// Dimension annotations on the model; each group has its own checkbox
+const DIMENSION_GROUPS = [
+    { key: 'overall', id: 'dim-overall', type: 'bool', fallback: true },
+    { key: 'blocks', id: 'dim-blocks', type: 'bool', fallback: true },
+    { key: 'extensions', id: 'dim-extensions', type: 'bool', fallback: true },
+    { key: 'heights', id: 'dim-heights', type: 'bool', fallback: true }
+];
+// Gap between a face and its dimension line (m)
+const DIMENSION_OFFSET = 1.0;
+const DIMENSION_COLOR = 0xffffff;
+
+// Dimension line from a to b with arrowheads and a camera-facing label. With `offset`, the line
+// is pushed that far along offsetDir and witness lines run back to the measured points.
+function createDimensionLine(a, b, text, offsetDir = null, offset = 0) {
+    const group = new THREE.Group();
+    group.name = 'dimension';
+    const material = new THREE.LineBasicMaterial({ color: DIMENSION_COLOR, depthTest: false, transparent: true, opacity: 0.85 });
+    const shift = offsetDir ? offsetDir.clone().multiplyScalar(offset) : new THREE.Vector3();
+    const start = a.clone().add(shift), end = b.clone().add(shift);
+
+    const segments = [start, end];
+    if (offset) {
+        // Witness lines stop just short of the object and run slightly past the dimension line
+        const gap = offsetDir.clone().multiplyScalar(Math.min(0.2, offset / 4));
+        const overrun = offsetDir.clone().multiplyScalar(0.2);
+        segments.push(a.clone().add(gap), start.clone().add(overrun), b.clone().add(gap), end.clone().add(overrun));
+    }
+    const lines = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(segments), material);
+    lines.renderOrder = 998;
+    group.add(lines);
+
+    const dir = end.clone().sub(start);
+    const length = dir.length();
+    dir.normalize();
+    const arrowLength = Math.min(0.35, length / 4);
+    const arrowMat = new THREE.MeshBasicMaterial({ color: DIMENSION_COLOR, depthTest: false });
+    [[end, dir], [start, dir.clone().negate()]].forEach(([tip, towards]) => {
+        const arrow = new THREE.Mesh(new THREE.ConeGeometry(arrowLength / 3, arrowLength, 8), arrowMat);
+        arrow.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), towards);
+        arrow.position.copy(tip).addScaledVector(towards, -arrowLength / 2);
+        arrow.renderOrder = 998;
+        group.add(arrow);
+    });
 
-        // Porch supports
-        const supportMat = new THREE.MeshPhongMaterial({ color: 0x654321 });
-        for (let i = 0; i < 4; i++) {
-            const supportGeom = new THREE.BoxGeometry(0.2, h * 0.8, 0.2);
-            const support = new THREE.Mesh(supportGeom, supportMat);
-            support.position.set(cx + (i - 1.5) * 4, h * 0.4 + groundY, d / 2 + 4);
-            support.castShadow = true;
-            this.building.add(support);
-        }
+    const label = createLabelSprite(text || formatLength(a.distanceTo(b)), { color: '#ffffff', height: 0.03 });
+    label.position.copy(start).lerp(end, 0.5);
+    group.add(label);
+    return group;
+}
+
+// Width along the +z face and depth along the +x face of a box, either on the ground or at the
+// top of the box. The box is in the frame given by `frame` (world if omitted).
+function createBoxPlanDimensions(box, level, offset = DIMENSION_OFFSET, frame = new THREE.Matrix4()) {
+    const y = level === 'top' ? box.max.y + 0.05 : 0.05;
+    const at = (x, z) => new THREE.Vector3(x, y, z).applyMatrix4(frame);
+    const dir = (x, z) => new THREE.Vector3(x, 0, z).transformDirection(frame);
+    return [
+        createDimensionLine(at(box.min.x, box.max.z), at(box.max.x, box.max.z), null, dir(0, 1), offset),
+        createDimensionLine(at(box.max.x, box.min.z), at(box.max.x, box.max.z), null, dir(1, 0), offset)
+    ];
+}
+
+// Bounding box of objects' geometry measured in another object's frame (e.g. the house's,
+// so a rotated house still gets its true width and depth)
+function getBoxInFrame(objects, frame) {
+    const inverse = frame.clone().invert();
+    const box = new THREE.Box3();
+    const part = new THREE.Box3();
+    const toFrame = new THREE.Matrix4();
+    objects.forEach(object => object.traverse(child => {
+        if (!child.geometry) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        part.copy(child.geometry.boundingBox).applyMatrix4(toFrame.multiplyMatrices(inverse, child.matrixWorld));
+        box.union(part);
+    }));
+    return box;
+}
+
+// Projection from the host wall along one side face, and width across the outer face
+function createExtensionDimensions(group) {
+    const { length, width } = group.userData.extension;
+    const toWorld = (x, z) => new THREE.Vector3(x, 0.05, z).applyMatrix4(group.matrixWorld);
+    const outward = new THREE.Vector3(0, 0, 1).transformDirection(group.matrixWorld);
+    const across = new THREE.Vector3(1, 0, 0).transformDirection(group.matrixWorld);
+    return [
+        createDimensionLine(toWorld(width / 2, -length / 2), toWorld(width / 2, length / 2), `Projection ${formatLength(length)}`, across, DIMENSION_OFFSET),
+        createDimensionLine(toWorld(-width / 2, length / 2), toWorld(width / 2, length / 2), formatLength(width), outward, DIMENSION_OFFSET)
+    ];
+}
+
+// Default grid for extension drag handles (m); the handle-snap control offers 0.1 and 0.5
+const HANDLE_SNAP_DEFAULT = 0.1;
+// Upstand above the deck of a flat extension roof
+const FLAT_ROOF_PARAPET = 0.45;
+
+// New length/width/offset for an extension dragged `distance` along a handle's axis.
+// Side handles keep the opposite face still, so the centre moves by half the change.
+function applyExtensionDrag(initial, handle, distance, snap) {
+    const step = Math.round(distance / snap) * snap;
+    const bounded = (key, value) => {
+        const { min, max } = getFieldBounds(EXTENSION_FIELDS.find(spec => spec.key === key));
+        return Number(Math.min(max, Math.max(min, value)).toFixed(3));
+    };
+    const next = { length: initial.length, width: initial.width, offset: initial.offset };
+    if (handle.kind === 'length') {
+        next.length = bounded('length', initial.length + step);
+    } else if (handle.kind === 'slide') {
+        next.offset = bounded('offset', initial.offset + step);
+    } else {
+        next.width = bounded('width', initial.width + step);
+        const grown = next.width - initial.width;
+        next.offset = bounded('offset', initial.offset + handle.offsetSign * grown / 2);
     }
+    return next;
+}
 
-    addFloorPlanRoof(w, d, h, cx, groundY) {
-        const roofMat = new THREE.MeshPhongMaterial({ 
-            color: 0x4a4a4a, // Dark roof tiles
-            transparent: true, 
-            opacity: 0.95 
-        });
+// Offset slides an extension along x (front/back walls) or z (left/right walls) of the house frame
+function getExtensionOffsetAxis(side) {
+    return side === 'front' || side === 'back' ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1);
+}
 
-        // Main house roof
-        const roofHeight = h * 0.3;
-        const mainRoofGeom = new THREE.BoxGeometry(w, roofHeight, d);
-        const mainRoof = new THREE.Mesh(mainRoofGeom, roofMat);
-        mainRoof.position.set(cx, h + roofHeight / 2 + groundY, 0);
-        mainRoof.castShadow = true; 
-        mainRoof.receiveShadow = true;
-        this.building.add(mainRoof);
+// Frees the geometry and materials of everything under root
+function disposeObject3D(root) {
+    root.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose?.();
+        if (obj.material) {
+            const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+            materials.forEach(m => {
+                m.map?.dispose?.();
+                m.dispose?.();
+            });
+        }
+        if (obj.texture) obj.texture.dispose?.();
+    });
+}
 
-        // Chimney
-        const chimneyGeom = new THREE.BoxGeometry(2, roofHeight * 1.5, 1.5);
-        const chimneyMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 });
-        const chimney = new THREE.Mesh(chimneyGeom, chimneyMat);
-        chimney.position.set(cx + w * 0.2, h + roofHeight * 1.2 + groundY, d / 2 - 2);
-        chimney.castShadow = true;
-        this.building.add(chimney);
+// Closed convex solid from vertex positions and polygon faces (each face a list of vertex
+// indices, any winding); faces are turned to face away from the centroid and fanned into triangles
+function createConvexSolidGeometry(vertices, faces) {
+    const points = vertices.map(v => new THREE.Vector3(...v));
+    const centroid = points.reduce((acc, p) => acc.add(p), new THREE.Vector3()).divideScalar(points.length);
+    const positions = [];
+    faces.forEach(face => {
+        const [a, b, c] = face.map(i => points[i]);
+        const normal = new THREE.Vector3().crossVectors(b.clone().sub(a), c.clone().sub(a));
+        const outward = a.clone().sub(centroid);
+        const ordered = normal.dot(outward) < 0 ? face.slice().reverse() : face;
+        for (let i = 1; i < ordered.length - 1; i++) {
+            [ordered[0], ordered[i], ordered[i + 1]].forEach(idx => positions.push(...vertices[idx]));
+        }
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Sum of the triangles that face upwards (the weathering surface of a roof solid)
+function getUpwardFacingArea(geometry) {
+    const pos = geometry.attributes.position;
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    const cross = new THREE.Vector3();
+    let area = 0;
+    for (let i = 0; i < pos.count; i += 3) {
+        a.fromBufferAttribute(pos, i);
+        b.fromBufferAttribute(pos, i + 1);
+        c.fromBufferAttribute(pos, i + 2);
+        cross.crossVectors(b.sub(a), c.sub(a));
+        if (cross.y > 1e-6) area += cross.length() / 2;
     }
+    return area;
+}
 
-    addFloorPlanGarageRoof(w, d, h, cx, cz, groundY) {
-        const roofMat = new THREE.MeshPhongMaterial({ 
-            color: 0x4a4a4a, // Dark roof tiles
-            transparent: true, 
-            opacity: 0.95 
-        });
-        
-        const garageRoof = new THREE.Mesh(new THREE.BoxGeometry(w, h * 0.2, d), roofMat);
-        garageRoof.position.set(cx, h + h * 0.1 + groundY, cz);
-        garageRoof.castShadow = true; 
-        garageRoof.receiveShadow = true;
-        this.building.add(garageRoof);
+// Mirrors getFeatureToggles()
+const FEATURE_FIELDS = [
+    { key: 'roof', id: 'show-roof', type: 'bool', fallback: true },
+    { key: 'windows', id: 'show-windows', type: 'bool', fallback: true },
+    { key: 'balconies', id: 'show-balconies', type: 'bool', fallback: false },
+    { key: 'lighting', id: 'show-lighting', type: 'bool', fallback: false },
+    { key: 'solarPanels', id: 'show-solar-panels', type: 'bool', fallback: false },
+    { key: 'neonFrames', id: 'show-neon-frames', type: 'bool', fallback: false },
+    { key: 'slabs', id: 'show-slabs', type: 'bool', fallback: true },
+    { key: 'walls', id: 'show-walls', type: 'bool', fallback: true },
+    { key: 'columns', id: 'show-columns', type: 'bool', fallback: true },
+    { key: 'beams', id: 'show-beams', type: 'bool', fallback: true },
+    { key: 'plates', id: 'show-plates', type: 'bool', fallback: true }
+];
+
+// Inputs read by calculateEstimate(); keys double as the shared-link parameter names
+const ESTIMATOR_FIELDS = [
+    { key: 'type', id: 'est-type', type: 'option', options: ['single', 'double', 'loft', 'garage'], fallback: 'single' },
+    { key: 'quality', id: 'est-quality', type: 'option', options: ['standard', 'premium', 'luxury'], fallback: 'standard' },
+    { key: 'length', id: 'est-length', type: 'float', unit: 'length', min: 0, max: 100, fallback: 6 },
+    { key: 'width', id: 'est-width', type: 'float', unit: 'length', min: 0, max: 100, fallback: 4 },
+    { key: 'height', id: 'est-height', type: 'float', unit: 'length', min: 1.5, max: 10, fallback: 2.4 },
+    { key: 'location', id: 'est-location', type: 'option', options: ['uk-average', 'uk-london', 'uk-north'], fallback: 'uk-average' }
+];
+
+// Inputs read by calculateBeam(). Widths are the strip of floor or roof (in plan) each side of
+// the beam that it carries, usually half the joist or rafter span on each side added together.
+const BEAM_FIELDS = [
+    { key: 'span', id: 'beam-span', type: 'float', unit: 'length', min: 0.5, max: 12, fallback: 4 },
+    { key: 'floors', id: 'beam-floors', type: 'int', min: 0, max: 3, fallback: 1 },
+    { key: 'floorWidth', id: 'beam-floor-width', type: 'float', unit: 'length', min: 0, max: 10, fallback: 2 },
+    { key: 'roofWidth', id: 'beam-roof-width', type: 'float', unit: 'length', min: 0, max: 15, fallback: 0 },
+    { key: 'wallHeight', id: 'beam-wall-height', type: 'float', unit: 'length', min: 0, max: 15, fallback: 2.6 },
+    { key: 'wallWeight', id: 'beam-wall-weight', type: 'float', min: 0, max: 10, fallback: 4.3 },
+    { key: 'series', id: 'beam-series', type: 'option', options: ['any', 'UKB', 'UC'], fallback: 'any' }
+];
+
+// Page controls that hold a length or area, converted in place when the display units change
+const UNIT_CONTROL_FIELDS = [...DESIGNER_FIELDS, ...EXTENSION_FIELDS, ...ESTIMATOR_FIELDS, ...BEAM_FIELDS, ...FLOOR_VIEW_FIELDS, ...SECTION_FIELDS]
+    .filter(spec => spec.id && spec.unit);
+
+// Characteristic domestic loads in kN/m² (floors; roofs on plan)
+const BEAM_LOADS = {
+    floor: { gk: 0.75, qk: 1.5 },
+    roof: { gk: 1.0, qk: 0.75 }
+};
+// Added to the clear opening for the bearings at each end
+const BEAM_BEARING = 0.15;
+const BEAM_DEFLECTION_LIMIT = 360;
+const STEEL_E = 210000; // N/mm²
+const BEAM_DISCLAIMER = 'Indicative only, for early design and budgeting. Assumes a simply supported S275 beam, '
+    + 'restrained along its top flange, with a uniform load; padstones, bearings, lateral stability and any point loads '
+    + 'need checking by a structural engineer, whose calculations building control will ask for.';
+
+// UKB and UC sections: mass (kg/m), h, b, tw, tf (mm), Iy (cm⁴), Wpl,y (cm³)
+const STEEL_SECTIONS = [
+    ['UKB', '127x76x13', 13, 127, 76, 4.0, 7.6, 473, 84.2],
+    ['UKB', '152x89x16', 16, 152.4, 88.7, 4.5, 7.7, 834, 123],
+    ['UKB', '178x102x19', 19, 177.8, 101.2, 4.8, 7.9, 1360, 171],
+    ['UKB', '203x102x23', 23.1, 203.2, 101.8, 5.4, 9.3, 2100, 234],
+    ['UKB', '203x133x25', 25.1, 203.2, 133.2, 5.7, 7.8, 2340, 258],
+    ['UKB', '203x133x30', 30, 206.8, 133.9, 6.4, 9.6, 2900, 314],
+    ['UKB', '254x102x22', 22, 254, 101.6, 5.7, 6.8, 2840, 259],
+    ['UKB', '254x102x25', 25.2, 257.2, 101.9, 6.0, 8.4, 3410, 306],
+    ['UKB', '254x102x28', 28.3, 260.4, 102.2, 6.3, 10.0, 4000, 353],
+    ['UKB', '254x146x31', 31.1, 251.4, 146.1, 6.0, 8.6, 4410, 393],
+    ['UKB', '254x146x37', 37, 256, 146.4, 6.3, 10.9, 5540, 483],
+    ['UKB', '254x146x43', 43, 259.6, 147.3, 7.2, 12.7, 6540, 566],
+    ['UKB', '305x102x25', 24.8, 305.1, 101.6, 5.8, 7.0, 4460, 342],
+    ['UKB', '305x102x28', 28.2, 308.7, 101.8, 6.0, 8.8, 5370, 403],
+    ['UKB', '305x102x33', 32.8, 312.7, 102.4, 6.6, 10.8, 6500, 481],
+    ['UKB', '305x127x37', 37, 304.4, 123.4, 7.1, 10.7, 7170, 539],
+    ['UKB', '305x127x42', 41.9, 307.2, 124.3, 8.0, 12.1, 8200, 614],
+    ['UKB', '305x165x40', 40.3, 303.4, 165.0, 6.0, 10.2, 8500, 623],
+    ['UKB', '305x165x46', 46.1, 306.6, 165.7, 6.7, 11.8, 9900, 720],
+    ['UKB', '356x127x33', 33.1, 349, 125.4, 6.0, 8.5, 8250, 543],
+    ['UKB', '356x127x39', 39.1, 353.4, 126.0, 6.6, 10.7, 10200, 659],
+    ['UKB', '356x171x45', 45, 351.4, 171.1, 7.0, 9.7, 12100, 775],
+    ['UKB', '406x140x39', 39, 398, 141.8, 6.4, 8.6, 12500, 724],
+    ['UKB', '406x140x46', 46, 403.2, 142.2, 6.8, 11.2, 15700, 888],
+    ['UKB', '457x152x52', 52.3, 449.8, 152.4, 7.6, 10.9, 21400, 1100],
+    ['UC', '152x152x23', 23, 152.4, 152.2, 5.8, 6.8, 1250, 184],
+    ['UC', '152x152x30', 30, 157.6, 152.9, 6.5, 9.4, 1750, 248],
+    ['UC', '152x152x37', 37, 161.8, 154.4, 8.0, 11.5, 2210, 309],
+    ['UC', '203x203x46', 46.1, 203.2, 203.6, 7.2, 11.0, 4570, 497],
+    ['UC', '203x203x52', 52, 206.2, 204.3, 7.9, 12.5, 5260, 567],
+    ['UC', '203x203x60', 60, 209.6, 205.8, 9.4, 14.2, 6130, 656],
+    ['UC', '254x254x73', 73.1, 254.1, 254.6, 8.6, 14.2, 11400, 990],
+    ['UC', '254x254x89', 88.9, 260.3, 256.3, 10.3, 17.3, 14300, 1220]
+].map(([series, name, mass, h, b, tw, tf, iy, wpl]) => ({ series, name, mass, h, b, tw, tf, iy, wpl }))
+    .sort((a, b) => a.mass - b.mass);
+
+// Loads on the beam and the lightest section passing bending, shear and deflection. The
+// beam's own weight goes on as dead load for each section tried.
+function sizeSteelBeam({ span: opening, floors, floorWidth, roofWidth, wallHeight, wallWeight, series }) {
+    const span = opening + BEAM_BEARING;
+    const loads = [];
+    if (floors > 0 && floorWidth > 0) {
+        const area = floors * floorWidth;
+        loads.push({ name: `Floors: ${floors} x ${formatLength(floorWidth)} wide`, gk: area * BEAM_LOADS.floor.gk, qk: area * BEAM_LOADS.floor.qk });
+    }
+    if (roofWidth > 0) {
+        loads.push({ name: `Roof: ${formatLength(roofWidth)} wide on plan`, gk: roofWidth * BEAM_LOADS.roof.gk, qk: roofWidth * BEAM_LOADS.roof.qk });
+    }
+    if (wallHeight > 0 && wallWeight > 0) {
+        loads.push({ name: `Wall: ${formatLength(wallHeight)} high at ${wallWeight} kN/m²`, gk: wallHeight * wallWeight, qk: 0 });
+    }
+    const gk = loads.reduce((sum, load) => sum + load.gk, 0);
+    const qk = loads.reduce((sum, load) => sum + load.qk, 0);
+
+    const check = section => {
+        const self = section.mass * 9.81 / 1000;
+        const w = 1.35 * (gk + self) + 1.5 * qk;
+        const moment = w * span * span / 8;
+        const shear = w * span / 2;
+        // Thick flanges drop the design strength
+        const fy = section.tf > 16 ? 265 : 275;
+        const momentCapacity = section.wpl * fy / 1000; // cm³ x N/mm² -> kNm
+        const shearCapacity = (section.h - 2 * section.tf) * section.tw * fy / Math.sqrt(3) / 1000;
+        const spanMm = span * 1000;
+        const deflection = 5 * (gk + self + qk) * Math.pow(spanMm, 4) / (384 * STEEL_E * section.iy * 1e4);
+        const deflectionLimit = spanMm / BEAM_DEFLECTION_LIMIT;
+        return {
+            self, w, moment, shear, fy, momentCapacity, shearCapacity, deflection, deflectionLimit,
+            bending: moment / momentCapacity,
+            shearRatio: shear / shearCapacity,
+            deflectionRatio: deflection / deflectionLimit
+        };
+    };
+    const candidates = STEEL_SECTIONS.filter(section => series === 'any' || section.series === series);
+    let section = null;
+    let checks = null;
+    for (const candidate of candidates) {
+        const result = check(candidate);
+        if (result.bending <= 1 && result.shearRatio <= 1 && result.deflectionRatio <= 1) {
+            section = candidate;
+            checks = result;
+            break;
+        }
     }
+    // With nothing passing, the working shows the loads without any self-weight
+    const { w, moment, shear } = checks || check({ mass: 0, h: 1, tf: 0, tw: 1, wpl: 1, iy: 1 });
+    if (section) loads.push({ name: `Beam self-weight (${section.name})`, gk: checks.self, qk: 0 });
+    return { span, loads, w, moment, shear, section, checks };
+}
 
-    addFloorPlanWindows(w, d, h, cx, groundY) {
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
-        });
-        const glassMat = new THREE.MeshPhongMaterial({ 
-            color: 0x87CEEB, 
-            transparent: true, 
-            opacity: 0.7 
-        });
-
-        // Front windows (Great Room)
-        const frontWindowGeom = new THREE.BoxGeometry(3, 4, 0.1);
-        const frontWindow = new THREE.Mesh(frontWindowGeom, glassMat);
-        frontWindow.position.set(cx + w * 0.1, h * 0.6 + groundY, d / 2 + 0.12);
-        frontWindow.castShadow = true;
-        this.building.add(frontWindow);
-
-        // Front window frame
-        const frontFrameGeom = new THREE.BoxGeometry(3.2, 4.2, 0.05);
-        const frontFrame = new THREE.Mesh(frontFrameGeom, whiteMat);
-        frontFrame.position.set(cx + w * 0.1, h * 0.6 + groundY, d / 2 + 0.13);
-        this.building.add(frontFrame);
-
-        // Side windows
-        const sideWindowGeom = new THREE.BoxGeometry(0.1, 4, 3);
-        const sideWindow = new THREE.Mesh(sideWindowGeom, glassMat);
-        sideWindow.position.set(cx - w / 2 - 0.12, h * 0.6 + groundY, 0);
-        sideWindow.castShadow = true;
-        this.building.add(sideWindow);
-
-        // Side window frame
-        const sideFrameGeom = new THREE.BoxGeometry(0.05, 4.2, 3.2);
-        const sideFrame = new THREE.Mesh(sideFrameGeom, whiteMat);
-        sideFrame.position.set(cx - w / 2 - 0.14, h * 0.6 + groundY, 0);
-        this.building.add(sideFrame);
-
-        // Master bedroom window
-        const masterWindowGeom = new THREE.BoxGeometry(3, 3, 0.1);
-        const masterWindow = new THREE.Mesh(masterWindowGeom, glassMat);
-        masterWindow.position.set(cx + w * 0.4, h * 0.5 + groundY, d / 2 + 0.12);
-        masterWindow.castShadow = true;
-        this.building.add(masterWindow);
-
-        // Master window frame
-        const masterFrameGeom = new THREE.BoxGeometry(3.2, 3.2, 0.05);
-        const masterFrame = new THREE.Mesh(masterFrameGeom, whiteMat);
-        masterFrame.position.set(cx + w * 0.4, h * 0.5 + groundY, d / 2 + 0.13);
-        this.building.add(masterFrame);
-    }
-
-    addFloorPlanDoors(garageW, garageH, garageD, cx, cz, groundY) {
-        const blueMat = new THREE.MeshPhongMaterial({ 
-            color: 0x1e3a8a, // Blue doors
-            transparent: true, 
-            opacity: 0.95 
-        });
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
-        });
+function formatUtilisation(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
 
-        // Two-car garage doors
-        const garageDoorGeom = new THREE.BoxGeometry(garageW * 0.9, garageH * 0.9, 0.08);
-        const garageDoor = new THREE.Mesh(garageDoorGeom, blueMat);
-        garageDoor.position.set(cx, groundY + garageH * 0.5, cz + garageD / 2 + 0.08);
-        garageDoor.castShadow = true;
-        this.building.add(garageDoor);
-        
-        // Garage door frame
-        const garageFrameGeom = new THREE.BoxGeometry(garageW, garageH, 0.04);
-        const garageFrame = new THREE.Mesh(garageFrameGeom, whiteMat);
-        garageFrame.position.set(cx, groundY + garageH * 0.5, cz + garageD / 2 + 0.06);
-        this.building.add(garageFrame);
-
-        // Front door (Entry)
-        const frontDoorGeom = new THREE.BoxGeometry(0.8, 2.2, 0.06);
-        const frontDoor = new THREE.Mesh(frontDoorGeom, blueMat);
-        frontDoor.position.set(cx - garageW * 0.3, groundY + 1.1, cz + garageD / 2 + 0.06);
-        frontDoor.castShadow = true;
-        this.building.add(frontDoor);
-        
-        // Front door frame
-        const frontDoorFrameGeom = new THREE.BoxGeometry(0.9, 2.3, 0.03);
-        const frontDoorFrame = new THREE.Mesh(frontDoorFrameGeom, whiteMat);
-        frontDoorFrame.position.copy(frontDoor.position);
-        this.building.add(frontDoorFrame);
+// Undo/redo history (sessionStorage, so it lasts for the tab's session only)
+const HISTORY_STORAGE_KEY = 'designer-history';
+const HISTORY_LIMIT = 100;
+// Changes from the same control closer together than this become one undo step
+const HISTORY_MERGE_MS = 1000;
+
+// Query parameter carrying the encoded designer state in shared links
+const SHARE_DESIGN_PARAM = 'design';
+
+// Each entry upgrades a document from version N to N + 1
+const PROJECT_MIGRATIONS = {
+    // Version 0: the bare designer state, before documents carried a header
+    0: ({ version, ...doc }) => ({ format: PROJECT_FORMAT, version: 1, designer: doc.designer || doc }),
+    // Version 1 had a single extension whose width ran along x and length along z whatever the side;
+    // version 2 keeps a list where length always projects from the wall and width runs along it
+    1: ({ designer = {}, ...doc }) => {
+        const { extensionPosition, extensionLength, extensionWidth, extensionFloors, ...rest } = designer;
+        const side = extensionPosition ?? 'right';
+        const sideways = side === 'left' || side === 'right';
+        const length = extensionLength ?? 6;
+        const width = extensionWidth ?? 4;
+        const extension = {
+            side,
+            offset: 0,
+            length: sideways ? width : length,
+            width: sideways ? length : width,
+            floors: extensionFloors ?? 1,
+            color: '#8b9bb4'
+        };
+        return { ...doc, version: 2, designer: { ...rest, extensions: [extension] } };
+    }
+};
+
+function migrateProjectDocument(doc) {
+    if (!doc || typeof doc !== 'object') throw new Error('not a project document');
+    if (doc.format !== undefined && doc.format !== PROJECT_FORMAT) throw new Error(`unknown format "${doc.format}"`);
+    let current = doc.version === undefined ? { ...doc, version: 0 } : doc;
+    if (!Number.isInteger(current.version) || current.version > PROJECT_VERSION) {
+        throw new Error(`unsupported version ${current.version}`);
+    }
+    while (current.version < PROJECT_VERSION) {
+        current = PROJECT_MIGRATIONS[current.version](current);
+    }
+    return current;
+}
 
-        // Door handle
-        const handle = new THREE.Mesh(new THREE.SphereGeometry(0.02, 8, 6), whiteMat);
-        handle.position.set(cx - garageW * 0.3 + 0.3, groundY + 1.1, cz + garageD / 2 + 0.1);
-        this.building.add(handle);
+// Returns { state, issues } where issues names every field that fell back to its default.
+// strict numbers are for shared links; see sanitizeField.
+function sanitizeDesignerState(raw, strict = false) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const features = source.features && typeof source.features === 'object' ? source.features : {};
+    const issues = [];
+    const state = { features: {} };
+    DESIGNER_FIELDS.forEach(spec => { state[spec.key] = sanitizeField(spec, source[spec.key], issues, strict); });
+    FEATURE_FIELDS.forEach(spec => { state.features[spec.key] = sanitizeField(spec, features[spec.key], issues, strict); });
+
+    let extensions = source.extensions;
+    if (extensions !== undefined && (!Array.isArray(extensions) || extensions.length > MAX_EXTENSIONS)) {
+        issues.push('extensions');
+        extensions = undefined;
     }
+    state.extensions = (extensions || [createDefaultExtension()]).map((ext, index) =>
+        sanitizeEntry(ext, EXTENSION_FIELDS, `extension ${index + 1}`, issues, strict));
 
-    addFloorPlanInterior(w, d, h, cx, groundY) {
-        // Interior walls to show room divisions
-        const wallMat = new THREE.MeshPhongMaterial({ 
-            color: 0xf5f5f5, // Light gray interior walls
-            transparent: true, 
-            opacity: 0.8 
-        });
+    let windows = source.neighbourWindows;
+    if (windows !== undefined && (!Array.isArray(windows) || windows.length > MAX_NEIGHBOUR_WINDOWS)) {
+        issues.push('neighbourWindows');
+        windows = undefined;
+    }
+    state.neighbourWindows = (windows || []).map((win, index) =>
+        sanitizeEntry(win, NEIGHBOUR_WINDOW_FIELDS, `neighbour window ${index + 1}`, issues, strict));
+
+    // The plot is all or nothing: a bad corner drops the outline rather than distorting it
+    const plot = source.plot;
+    const plotOk = plot === undefined || (Array.isArray(plot) && (plot.length === 0 || (plot.length >= 3 && plot.length <= MAX_PLOT_POINTS))
+        && plot.every(point => Array.isArray(point) && point.length === 2
+            && PLOT_POINT_FIELDS.every((spec, axis) => sanitizeField(spec, point[axis], [], strict) === point[axis])));
+    if (!plotOk) issues.push('plot');
+    state.plot = plotOk && plot ? plot.map(point => [...point]) : [];
+
+    // null keeps the style's default schedule
+    let rooms = source.rooms;
+    if (rooms !== undefined && rooms !== null && (!Array.isArray(rooms) || rooms.length > MAX_ROOMS)) {
+        issues.push('rooms');
+        rooms = null;
+    }
+    state.rooms = rooms ? rooms.map((room, index) => sanitizeEntry(room, ROOM_FIELDS, `room ${index + 1}`, issues, strict)) : null;
 
-        // Great Room to Kitchen wall
-        const kitchenWallGeom = new THREE.BoxGeometry(0.1, h * 0.8, 8);
-        const kitchenWall = new THREE.Mesh(kitchenWallGeom, wallMat);
-        kitchenWall.position.set(cx + w * 0.15, h * 0.4 + groundY, -d * 0.1);
-        this.building.add(kitchenWall);
+    // null keeps the style's default openings
+    let openings = source.openings;
+    if (openings !== undefined && openings !== null && (!Array.isArray(openings) || openings.length > MAX_OPENINGS)) {
+        issues.push('openings');
+        openings = null;
+    }
+    state.openings = openings ? openings.map((opening, index) => sanitizeEntry(opening, OPENING_FIELDS, `opening ${index + 1}`, issues, strict)) : null;
+    return { state, issues };
+}
 
-        // Master bedroom wall
-        const masterWallGeom = new THREE.BoxGeometry(0.1, h * 0.8, 12);
-        const masterWall = new THREE.Mesh(masterWallGeom, wallMat);
-        masterWall.position.set(cx + w * 0.35, h * 0.4 + groundY, d * 0.2);
-        this.building.add(masterWall);
+// One list entry (an extension, a neighbour window) checked field by field
+function sanitizeEntry(raw, fields, name, issues, strict = false) {
+    const entry = raw && typeof raw === 'object' ? raw : {};
+    const entryIssues = [];
+    const clean = {};
+    fields.forEach(spec => { clean[spec.key] = sanitizeField(spec, entry[spec.key], entryIssues, strict); });
+    entryIssues.forEach(key => issues.push(`${name} ${key}`));
+    return clean;
+}
 
-        // Bedroom wing walls
-        const bedroomWallGeom = new THREE.BoxGeometry(0.1, h * 0.8, 15);
-        const bedroomWall = new THREE.Mesh(bedroomWallGeom, wallMat);
-        bedroomWall.position.set(cx - w * 0.25, h * 0.4 + groundY, 0);
-        this.building.add(bedroomWall);
+function createDefaultNeighbourWindow() {
+    const win = {};
+    NEIGHBOUR_WINDOW_FIELDS.forEach(spec => { win[spec.key] = spec.fallback; });
+    return win;
+}
 
-        // Fireplace in Great Room
-        const fireplaceGeom = new THREE.BoxGeometry(3, h * 0.6, 1);
-        const fireplaceMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 });
-        const fireplace = new THREE.Mesh(fireplaceGeom, fireplaceMat);
-        fireplace.position.set(cx + w * 0.2, h * 0.3 + groundY, d / 2 - 0.5);
-        fireplace.castShadow = true;
-        this.building.add(fireplace);
+// Labelled input or select for a field spec; onChange gets the raw value
+function createFieldInput(spec, value, onChange) {
+    const label = document.createElement('label');
+    label.textContent = localizeUnitLabel(spec.label);
+    let input;
+    if (spec.type === 'option') {
+        input = document.createElement('select');
+        spec.options.forEach(option => input.add(new Option(option, option)));
+    } else if (spec.type === 'text') {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = spec.maxLength;
+    } else {
+        input = document.createElement('input');
+        input.type = spec.type === 'color' ? 'color' : 'number';
+        if (spec.type !== 'color') {
+            input.min = toDisplayValue(spec, spec.min);
+            input.max = toDisplayValue(spec, spec.max);
+            input.step = spec.step || 1;
+        }
     }
+    input.value = String(toDisplayValue(spec, value));
+    // Empty stays empty so the sanitizer rejects it rather than reading 0
+    input.addEventListener('change', () => onChange(spec.unit && input.value !== '' ? fromDisplayValue(spec, Number(input.value)) : input.value));
+    label.appendChild(input);
+    return label;
+}
 
-    addFloorPlanDetails(w, d, h, garageW, garageH, garageD, groundY) {
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
-        });
+function createDefaultExtension() {
+    const ext = {};
+    EXTENSION_FIELDS.forEach(spec => { ext[spec.key] = spec.fallback; });
+    return ext;
+}
 
-        // Gutters
-        const gutterMat = new THREE.MeshPhongMaterial({ color: 0x8B4513 });
-        const gutterGeom = new THREE.BoxGeometry(w * 0.05, h * 0.1, d * 0.05);
-        
-        const frontGutter = new THREE.Mesh(gutterGeom, gutterMat);
-        frontGutter.position.set(w * 0.3, h + h * 0.15 + groundY, d / 2 + 0.1);
-        this.building.add(frontGutter);
+// Project files are read leniently, so "4.5m" loads as 4.5. strict (shared links) uses Number()
+// instead, so a tampered "6abc" is rejected and reported rather than read as 6.
+function sanitizeField(spec, value, issues, strict = false) {
+    if (value === undefined) return spec.fallback;
+    let clean;
+    if (spec.type === 'bool') {
+        clean = typeof value === 'boolean' ? value : undefined;
+    } else if (spec.type === 'option') {
+        clean = spec.options.includes(value) ? value : undefined;
+    } else if (spec.type === 'color') {
+        clean = typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+    } else if (spec.type === 'text') {
+        clean = typeof value === 'string' && value.length <= spec.maxLength ? value.trim() : undefined;
+    } else {
+        let n;
+        if (strict) {
+            n = value === null || value === '' || typeof value === 'boolean' ? NaN : Number(value);
+            if (spec.type === 'int' && !Number.isInteger(n)) n = NaN;
+        } else {
+            n = spec.type === 'int' ? parseInt(value, 10) : parseFloat(value);
+        }
+        const { min, max } = getFieldBounds(spec);
+        clean = Number.isFinite(n) && n >= min && n <= max ? n : undefined;
+    }
+    if (clean === undefined) {
+        issues.push(spec.key);
+        return spec.fallback;
+    }
+    return clean;
+}
 
-        const backGutter = new THREE.Mesh(gutterGeom, gutterMat);
-        backGutter.position.set(w * 0.3, h + h * 0.15 + groundY, -d / 2 - 0.1);
-        this.building.add(backGutter);
+// Prefer the live control's own range so the markup stays the source of truth
+function getFieldBounds(spec) {
+    const el = spec.id ? document.getElementById(spec.id) : null;
+    const min = el && el.min !== '' ? fromDisplayValue(spec, parseFloat(el.min)) : spec.min;
+    const max = el && el.max !== '' ? fromDisplayValue(spec, parseFloat(el.max)) : spec.max;
+    return { min, max };
+}
 
-        // Garage gutters
-        const garageGutterGeom = new THREE.BoxGeometry(garageW * 0.05, garageH * 0.1, garageD * 0.05);
-        const garageGutter = new THREE.Mesh(garageGutterGeom, gutterMat);
-        garageGutter.position.set(w * 0.7 + garageW * 0.5, garageH + garageH * 0.1 + groundY, garageD / 2 + 0.1);
-        this.building.add(garageGutter);
-    }
+function readControlValue(spec) {
+    const el = document.getElementById(spec.id);
+    if (!el) return spec.fallback;
+    if (spec.type === 'bool') return el.checked;
+    if (spec.type === 'option' || spec.type === 'color') return el.value;
+    const n = spec.type === 'int' ? parseInt(el.value, 10) : parseFloat(el.value);
+    return Number.isFinite(n) ? fromDisplayValue(spec, n) : spec.fallback;
+}
 
-    // Structured block builder: creates slab, walls, columns, beams as separate meshes
-    addBlockStructure(key, cx, cz, groundY, w, d, h, opts = {}) {
-        if (!this.buildingParts[key]) this.buildingParts[key] = new THREE.Group();
-        const group = this.buildingParts[key];
-        group.position.set(cx, 0, cz);
+// Sets the control and fires 'input' so value labels refresh without regenerating
+function writeControlValue(spec, value) {
+    const el = document.getElementById(spec.id);
+    if (!el || value === undefined) return;
+    if (spec.type === 'bool') el.checked = !!value;
+    else el.value = String(typeof value === 'number' ? toDisplayValue(spec, value) : value);
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+}
 
-        const baseColor = opts.color || 0xd4a574;
+// Designer state travels as base64url JSON so the link survives schema changes via migration
+function encodeSharePayload(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-        // Slab
-        const slabMat = new THREE.MeshPhongMaterial({ color: 0x6b6b6b, transparent: true, opacity: 0.95, polygonOffset: true, polygonOffsetFactor: 1, polygonOffsetUnits: 1 });
-        const slab = new THREE.Mesh(new THREE.BoxGeometry(w, 0.3, d), slabMat);
-        slab.position.set(0, groundY + 0.15, 0);
-        slab.receiveShadow = true;
-        slab.userData.layer = 'slab';
-        group.add(slab);
+function decodeSharePayload(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
 
-        // Perimeter walls (shell)
-        const wallMat = new THREE.MeshPhongMaterial({ color: baseColor, transparent: true, opacity: 0.95 });
-        const wallThickness = 0.25;
-        const wallH = h;
-        const frontWall = new THREE.Mesh(new THREE.BoxGeometry(w, wallH, wallThickness), wallMat);
-        frontWall.position.set(0, groundY + wallH / 2, d / 2 + wallThickness / 2);
-        const backWall = frontWall.clone();
-        backWall.position.z = -d / 2 - wallThickness / 2;
-        const leftWall = new THREE.Mesh(new THREE.BoxGeometry(wallThickness, wallH, d), wallMat);
-        leftWall.position.set(-w / 2 - wallThickness / 2, groundY + wallH / 2, 0);
-        const rightWall = leftWall.clone();
-        rightWall.position.x = w / 2 + wallThickness / 2;
-        [frontWall, backWall, leftWall, rightWall].forEach(wm => { wm.userData.layer = 'wall'; });
-        group.add(frontWall, backWall, leftWall, rightWall);
+// Print exports: anything thinner than this at print scale (glass panes, trims) is left out
+const PRINT_MIN_FEATURE_MM = 0.3;
 
-        // Columns at corners
-        const colMat = new THREE.MeshPhongMaterial({ color: 0xffffff, transparent: true, opacity: 0.9 });
-        const col = new THREE.CylinderGeometry(0.2, 0.2, h, 12);
-        const corners = [
-            [-w / 2, d / 2],
-            [w / 2, d / 2],
-            [-w / 2, -d / 2],
-            [w / 2, -d / 2]
-        ];
-        corners.forEach(([x, z]) => {
-            const c = new THREE.Mesh(col, colMat);
-            c.position.set(x, groundY + h / 2, z);
-            c.castShadow = true;
-            c.userData.layer = 'column';
-            group.add(c);
-        });
+// Glass and unlit glow details (neon frames, light strips) are not part of the printed massing
+function isPrintableMaterial(material) {
+    const materials = Array.isArray(material) ? material : [material];
+    return materials.every(m => m && !m.isMeshBasicMaterial && (!m.transparent || m.opacity >= 0.8));
+}
 
-        // Perimeter beam
-        const beamMat = new THREE.MeshPhongMaterial({ color: 0x8b7d6b, transparent: true, opacity: 0.95 });
-        const beamY = groundY + h + 0.15;
-        const frontBeam = new THREE.Mesh(new THREE.BoxGeometry(w, 0.2, 0.2), beamMat);
-        frontBeam.position.set(0, beamY, d / 2 + 0.1);
-        const backBeam = frontBeam.clone();
-        backBeam.position.z = -d / 2 - 0.1;
-        const leftBeam = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.2, d), beamMat);
-        leftBeam.position.set(-w / 2 - 0.1, beamY, 0);
-        const rightBeam = leftBeam.clone();
-        rightBeam.position.x = w / 2 + 0.1;
-        [frontBeam, backBeam, leftBeam, rightBeam].forEach(b => { b.userData.layer = 'beam'; });
-        group.add(frontBeam, backBeam, leftBeam, rightBeam);
+// DXF plan export (R12 ASCII); colours are AutoCAD colour indices. R12 has no units header,
+// so the drawing is in metres and needs inserting at that scale
+const DXF_LAYERS = [
+    { name: 'WALLS', color: 7 },
+    { name: 'COLUMNS', color: 1 },
+    { name: 'SLABS', color: 8 },
+    { name: 'EXTENSION', color: 5 },
+    { name: 'LABELS', color: 3 },
+    { name: 'BOUNDARY', color: 3 },
+    { name: 'PARTITIONS', color: 4 },
+    { name: 'OPENINGS', color: 6 }
+];
+
+// Footprint of a mesh's bounding box in plan: [x, y] with y = -z so the front faces down the sheet
+function getPlanOutline(mesh) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    const { min, max } = mesh.geometry.boundingBox;
+    return [[min.x, min.z], [max.x, min.z], [max.x, max.z], [min.x, max.z]].map(([x, z]) => {
+        const p = new THREE.Vector3(x, min.y, z).applyMatrix4(mesh.matrixWorld);
+        return [p.x, -p.z];
+    });
+}
 
-        // Roof plate (thin) — leave actual roof feature to existing functions
-        const plateMat = new THREE.MeshPhongMaterial({ color: 0x4a4a4a, transparent: true, opacity: 0.7, depthWrite: false });
-        const plate = new THREE.Mesh(new THREE.BoxGeometry(w - 0.2, 0.1, d - 0.2), plateMat);
-        plate.position.set(0, beamY + 0.1, 0);
-        plate.userData.layer = 'plate';
-        group.add(plate);
+function centroid2D(points) {
+    const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+    return [sum[0] / points.length, sum[1] / points.length];
+}
 
-        // Add to building
-        this.building.add(group);
+function createDxfDocument(layers, entities) {
+    const out = [];
+    const pair = (code, value) => out.push(String(code), String(value));
+    const num = (v) => Number(v.toFixed(4));
+
+    pair(0, 'SECTION'); pair(2, 'HEADER');
+    pair(9, '$ACADVER'); pair(1, 'AC1009');
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION'); pair(2, 'TABLES');
+    pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 1);
+    pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0); pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, 0);
+    pair(0, 'ENDTAB');
+    pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, layers.length);
+    layers.forEach(layer => {
+        pair(0, 'LAYER'); pair(2, layer.name); pair(70, 0); pair(62, layer.color); pair(6, 'CONTINUOUS');
+    });
+    pair(0, 'ENDTAB');
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION'); pair(2, 'ENTITIES');
+    entities.forEach(entity => {
+        if (entity.type === 'polyline') {
+            pair(0, 'POLYLINE'); pair(8, entity.layer); pair(66, 1); pair(70, entity.closed ? 1 : 0);
+            pair(10, 0); pair(20, 0); pair(30, 0);
+            entity.points.forEach(([x, y]) => {
+                pair(0, 'VERTEX'); pair(8, entity.layer); pair(10, num(x)); pair(20, num(y)); pair(30, 0);
+            });
+            pair(0, 'SEQEND'); pair(8, entity.layer);
+        } else if (entity.type === 'circle') {
+            pair(0, 'CIRCLE'); pair(8, entity.layer);
+            pair(10, num(entity.center[0])); pair(20, num(entity.center[1])); pair(30, 0); pair(40, num(entity.radius));
+        } else if (entity.type === 'text') {
+            pair(0, 'TEXT'); pair(8, entity.layer);
+            pair(10, num(entity.position[0])); pair(20, num(entity.position[1])); pair(30, 0);
+            pair(40, entity.height); pair(1, entity.text);
+        }
+    });
+    pair(0, 'ENDSEC');
+    pair(0, 'EOF');
+    return out.join('\n') + '\n';
+}
 
-        // Apply current layer visibility
-        const features = this.getFeatureToggles();
-        group.traverse((obj) => {
-            if (!(obj instanceof THREE.Mesh)) return;
-            const layer = obj.userData.layer;
-            if (layer === 'slab') obj.visible = !!features.slabs;
-            if (layer === 'wall') obj.visible = !!features.walls;
-            if (layer === 'column') obj.visible = !!features.columns;
-            if (layer === 'beam') obj.visible = !!features.beams;
-            if (layer === 'plate') obj.visible = !!features.plates;
-        });
+// Orthographic drawing views. project() maps a world point to [u, v, depth]: u to the right,
+// v up the sheet and depth away from the viewer. look is the viewing direction.
+const DRAWING_VIEWS = [
+    { key: 'plan', title: 'Plan', project: (x, y, z) => [x, -z, -y], look: [0, -1, 0] },
+    { key: 'front', title: 'Front elevation', project: (x, y, z) => [x, y, -z], look: [0, 0, -1] },
+    { key: 'rear', title: 'Rear elevation', project: (x, y, z) => [-x, y, z], look: [0, 0, 1] },
+    { key: 'left', title: 'Left elevation', project: (x, y, z) => [z, y, x], look: [1, 0, 0] },
+    { key: 'right', title: 'Right elevation', project: (x, y, z) => [-z, y, -x], look: [-1, 0, 0] }
+];
+
+// Edges sharper than this are drawn; softer ones only where they form a silhouette.
+// Finely segmented curves (columns, domes) use the smooth angle so their facets stay hidden.
+const DRAWING_CREASE_ANGLE = 10;
+const DRAWING_SMOOTH_CREASE_ANGLE = 60;
+const DRAWING_RASTER_SIZE = 1200;
+
+// World-space triangles of a mesh plus its edge adjacency (each edge keeps its face normals)
+function getWorldTriangles(mesh) {
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    const tris = new Float32Array(count * 3);
+    const v = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        v.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+        tris[i * 3] = v.x;
+        tris[i * 3 + 1] = v.y;
+        tris[i * 3 + 2] = v.z;
     }
 
-    addConnectingWalls(coreW, coreD, coreH, masterW, masterD, masterH, garageW, garageD, garageH, groundY, houseMat) {
-        // Wall connecting core to left wing
-        const leftWallGeom = new THREE.BoxGeometry(0.2, coreH * 0.8, coreD * 0.6);
-        const leftWall = new THREE.Mesh(leftWallGeom, houseMat);
-        leftWall.position.set(-coreW * 0.2, coreH * 0.4 + groundY, 0);
-        leftWall.castShadow = true;
-        this.building.add(leftWall);
+    const edges = new Map();
+    const key = (o) => `${Math.round(tris[o] * 1e4)},${Math.round(tris[o + 1] * 1e4)},${Math.round(tris[o + 2] * 1e4)}`;
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    for (let t = 0; t < count; t += 3) {
+        a.fromArray(tris, t * 3);
+        b.fromArray(tris, t * 3 + 3);
+        c.fromArray(tris, t * 3 + 6);
+        const normal = new THREE.Triangle(a, b, c).getNormal(new THREE.Vector3());
+        if (normal.lengthSq() === 0) continue;
+        for (let e = 0; e < 3; e++) {
+            const o1 = (t + e) * 3, o2 = (t + (e + 1) % 3) * 3;
+            const k1 = key(o1), k2 = key(o2);
+            if (k1 === k2) continue;
+            const edgeKey = k1 < k2 ? `${k1}|${k2}` : `${k2}|${k1}`;
+            const edge = edges.get(edgeKey);
+            if (edge) edge.normals.push(normal);
+            else edges.set(edgeKey, { a: [tris[o1], tris[o1 + 1], tris[o1 + 2]], b: [tris[o2], tris[o2 + 1], tris[o2 + 2]], normals: [normal] });
+        }
+    }
+    const params = geometry.parameters || {};
+    const smooth = (params.radialSegments || params.widthSegments || 0) >= 12;
+    const creaseCos = Math.cos(THREE.MathUtils.degToRad(smooth ? DRAWING_SMOOTH_CREASE_ANGLE : DRAWING_CREASE_ANGLE));
+    return { tris, edges: Array.from(edges.values()), creaseCos };
+}
 
-        // Wall connecting core to master wing
-        const masterWallGeom = new THREE.BoxGeometry(0.2, masterH * 0.8, masterD * 0.8);
-        const masterWall = new THREE.Mesh(masterWallGeom, houseMat);
-        masterWall.position.set(coreW * 0.2, masterH * 0.4 + groundY, coreD * 0.1);
-        masterWall.castShadow = true;
-        this.building.add(masterWall);
+// Software z-buffer the triangles, then keep the parts of each drawing edge that are in front
+function renderHiddenLineView(meshes, view) {
+    const min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+    meshes.forEach(({ tris }) => {
+        for (let i = 0; i < tris.length; i += 3) {
+            const [u, v] = view.project(tris[i], tris[i + 1], tris[i + 2]);
+            min[0] = Math.min(min[0], u); min[1] = Math.min(min[1], v);
+            max[0] = Math.max(max[0], u); max[1] = Math.max(max[1], v);
+        }
+    });
+    if (!Number.isFinite(min[0])) return { segments: [], min: [0, 0], max: [0, 0] };
+
+    const ppu = DRAWING_RASTER_SIZE / Math.max(max[0] - min[0], max[1] - min[1], 1e-6);
+    const W = Math.ceil((max[0] - min[0]) * ppu) + 2;
+    const H = Math.ceil((max[1] - min[1]) * ppu) + 2;
+    const zbuf = new Float32Array(W * H).fill(Infinity);
+    const toPixel = (x, y, z) => {
+        const [u, v, d] = view.project(x, y, z);
+        return [(u - min[0]) * ppu + 1, (v - min[1]) * ppu + 1, d];
+    };
 
-        // Wall connecting master wing to garage
-        const garageWallGeom = new THREE.BoxGeometry(0.2, garageH * 0.8, garageD * 0.8);
-        const garageWall = new THREE.Mesh(garageWallGeom, houseMat);
-        garageWall.position.set(coreW * 0.2 + masterW, garageH * 0.4 + groundY, -coreD * 0.05);
-        garageWall.castShadow = true;
-        this.building.add(garageWall);
-    }
+    meshes.forEach(({ tris }) => {
+        for (let i = 0; i < tris.length; i += 9) {
+            rasterizeDepthTriangle(zbuf, W, H,
+                toPixel(tris[i], tris[i + 1], tris[i + 2]),
+                toPixel(tris[i + 3], tris[i + 4], tris[i + 5]),
+                toPixel(tris[i + 6], tris[i + 7], tris[i + 8]));
+        }
+    });
 
-    addFloorPlanWingRoof(w, d, h, cx, cz, groundY) {
-        const roofMat = new THREE.MeshPhongMaterial({ 
-            color: 0x4a4a4a, // Dark roof tiles
-            transparent: true, 
-            opacity: 0.95 
+    const look = new THREE.Vector3(...view.look);
+    const tolerance = 2 / ppu;
+    const seen = new Set();
+    const segments = [];
+    meshes.forEach(({ edges, creaseCos }) => {
+        edges.forEach(({ a, b, normals }) => {
+            const [n1, n2] = normals;
+            const isBorder = normals.length === 1;
+            const isCrease = !isBorder && n1.dot(n2) < creaseCos;
+            const isSilhouette = !isBorder && Math.sign(n1.dot(look)) !== Math.sign(n2.dot(look));
+            if (!isBorder && !isCrease && !isSilhouette) return;
+
+            const p = toPixel(...a), q = toPixel(...b);
+            const steps = Math.max(1, Math.ceil(Math.hypot(q[0] - p[0], q[1] - p[1])));
+            let runStart = -1;
+            for (let i = 0; i <= steps + 1; i++) {
+                const visible = i <= steps && isDepthVisible(zbuf, W, H,
+                    p[0] + (q[0] - p[0]) * i / steps,
+                    p[1] + (q[1] - p[1]) * i / steps,
+                    p[2] + (q[2] - p[2]) * i / steps, tolerance);
+                if (visible && runStart < 0) runStart = i;
+                if (!visible && runStart >= 0) {
+                    const t0 = runStart / steps, t1 = (i - 1) / steps;
+                    if (t1 > t0) {
+                        const seg = [
+                            (p[0] + (q[0] - p[0]) * t0 - 1) / ppu + min[0], (p[1] + (q[1] - p[1]) * t0 - 1) / ppu + min[1],
+                            (p[0] + (q[0] - p[0]) * t1 - 1) / ppu + min[0], (p[1] + (q[1] - p[1]) * t1 - 1) / ppu + min[1]
+                        ];
+                        const r = seg.map(n => n.toFixed(3));
+                        const segKey = r[0] + r[1] < r[2] + r[3] ? r.join() : [r[2], r[3], r[0], r[1]].join();
+                        if (!seen.has(segKey)) {
+                            seen.add(segKey);
+                            segments.push(seg);
+                        }
+                    }
+                    runStart = -1;
+                }
+            }
         });
-        
-        const wingRoof = new THREE.Mesh(new THREE.BoxGeometry(w, h * 0.25, d), roofMat);
-        wingRoof.position.set(cx, h + h * 0.125 + groundY, cz || 0);
-        wingRoof.castShadow = true; 
-        wingRoof.receiveShadow = true;
-        this.building.add(wingRoof);
+    });
+    return { segments, min, max };
+}
+
+function rasterizeDepthTriangle(zbuf, W, H, a, b, c) {
+    const area = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    if (Math.abs(area) < 1e-9) return;
+    const x0 = Math.max(0, Math.floor(Math.min(a[0], b[0], c[0])));
+    const x1 = Math.min(W - 1, Math.ceil(Math.max(a[0], b[0], c[0])));
+    const y0 = Math.max(0, Math.floor(Math.min(a[1], b[1], c[1])));
+    const y1 = Math.min(H - 1, Math.ceil(Math.max(a[1], b[1], c[1])));
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            const px = x + 0.5, py = y + 0.5;
+            const w0 = ((b[0] - px) * (c[1] - py) - (b[1] - py) * (c[0] - px)) / area;
+            const w1 = ((c[0] - px) * (a[1] - py) - (c[1] - py) * (a[0] - px)) / area;
+            const w2 = 1 - w0 - w1;
+            if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+            const depth = w0 * a[2] + w1 * b[2] + w2 * c[2];
+            const i = y * W + x;
+            if (depth < zbuf[i]) zbuf[i] = depth;
+        }
+    }
+}
+
+// A point is visible when nothing in its pixel neighbourhood is clearly in front of it
+function isDepthVisible(zbuf, W, H, x, y, depth, tolerance) {
+    const cx = Math.floor(x), cy = Math.floor(y);
+    let farthest = -Infinity;
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const px = cx + dx, py = cy + dy;
+            if (px < 0 || py < 0 || px >= W || py >= H) return true;
+            farthest = Math.max(farthest, zbuf[py * W + px]);
+        }
     }
+    return depth <= farthest + tolerance;
+}
 
-    addFloorPlanWingWindows(w, d, h, cx, cz, groundY) {
-        const whiteMat = new THREE.MeshPhongMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.95 
-        });
-        const glassMat = new THREE.MeshPhongMaterial({ 
-            color: 0x87CEEB, 
-            transparent: true, 
-            opacity: 0.7 
+// Lays the views out at a common drawing scale; sheet units are millimetres
+function layoutDrawingSheet(views, scale) {
+    const mmPerUnit = 1000 / scale;
+    const gap = 20, titleSpace = 12;
+    const byKey = Object.fromEntries(views.map(v => [v.view.key, v]));
+    const sizeOf = (v) => [(v.max[0] - v.min[0]) * mmPerUnit, (v.max[1] - v.min[1]) * mmPerUnit];
+    const rows = [['plan', 'front', 'rear'], ['left', 'right']].map(keys => keys.map(k => byKey[k]).filter(Boolean));
+
+    const parts = [];
+    let top = gap, sheetW = 0;
+    rows.forEach(row => {
+        const rowH = Math.max(...row.map(v => sizeOf(v)[1]));
+        let left = gap;
+        row.forEach(v => {
+            const [w, h] = sizeOf(v);
+            const ox = left, oy = top + rowH - h;
+            const sx = (u) => (ox + (u - v.min[0]) * mmPerUnit).toFixed(2);
+            const sy = (vv) => (oy + (v.max[1] - vv) * mmPerUnit).toFixed(2);
+            const d = v.segments.map(([u1, v1, u2, v2]) => `M${sx(u1)} ${sy(v1)}L${sx(u2)} ${sy(v2)}`).join('');
+            parts.push(`<g id="view-${v.view.key}"><path d="${d}" fill="none" stroke="#111" stroke-width="0.25" stroke-linecap="round"/>`);
+            if (v.view.key !== 'plan') {
+                // Ground line a little wider than the building
+                parts.push(`<line x1="${(ox - 5).toFixed(2)}" y1="${sy(0)}" x2="${(ox + w + 5).toFixed(2)}" y2="${sy(0)}" stroke="#111" stroke-width="0.5"/>`);
+            }
+            parts.push(`<text x="${(ox + w / 2).toFixed(2)}" y="${(top + rowH + titleSpace - 4).toFixed(2)}" font-family="Inter, Arial, sans-serif" font-size="4" text-anchor="middle">${v.view.title}</text></g>`);
+            left += w + gap;
         });
+        sheetW = Math.max(sheetW, left);
+        top += rowH + titleSpace + gap;
+    });
 
-        // Windows for wing sections
-        const windowGeom = new THREE.BoxGeometry(2.5, 3, 0.1);
-        const window = new THREE.Mesh(windowGeom, glassMat);
-        window.position.set(cx, h * 0.5 + groundY, (cz || 0) + d / 2 + 0.1);
-        window.castShadow = true;
-        this.building.add(window);
+    const sheetH = top + 6;
+    parts.push(`<text x="${gap}" y="${(sheetH - 8).toFixed(2)}" font-family="Inter, Arial, sans-serif" font-size="3.5">RP PROJECTS - scale 1:${scale} - indicative massing, not for construction</text>`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${sheetW.toFixed(1)}mm" height="${sheetH.toFixed(1)}mm" viewBox="0 0 ${sheetW.toFixed(2)} ${sheetH.toFixed(2)}">`
+        + `<rect width="100%" height="100%" fill="#fff"/>${parts.join('')}</svg>`;
+}
 
-        // Window frame
-        const frameGeom = new THREE.BoxGeometry(2.7, 3.2, 0.05);
-        const frame = new THREE.Mesh(frameGeom, whiteMat);
-        frame.position.set(cx, h * 0.5 + groundY, (cz || 0) + d / 2 + 0.12);
-        this.building.add(frame);
-    }
+// Leave Ctrl+Z alone in fields where the browser's own text undo is expected
+function isTextEntryTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+    return target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'submit', 'file', 'color'].includes(target.type);
+}
 
-    onWindowResize() {
-        const canvas = document.getElementById('canvas');
-        this.camera.aspect = canvas.clientWidth / canvas.clientHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(canvas.clientWidth, canvas.clientHeight);
-        
-        // Hero animation removed for professional look
-    }
+function downloadFile(data, filename, mimeType) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        
-        this.controls.update();
-        
-        // Building stays stationary
-        
-        this.renderer.render(this.scene, this.camera);
+function showDesignerNotice(message) {
+    let notice = document.getElementById('designer-notice');
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'designer-notice';
+        notice.className = 'designer-notice';
+        notice.setAttribute('role', 'status');
+        document.body.appendChild(notice);
     }
+    notice.textContent = message;
+    notice.classList.add('visible');
+    clearTimeout(showDesignerNotice.timer);
+    showDesignerNotice.timer = setTimeout(() => notice.classList.remove('visible'), 8000);
 }
 
 // Theme: derive colors from the logo and update CSS variables